@@ -0,0 +1,199 @@
+// Stream framer benchmark - frames per second before and after the ring-buffer framer
+//
+// Usage:
+//   node scripts/bench-framer.js                 synthetic 200 Hz IMU + GNSS + RTCM stream
+//   node scripts/bench-framer.js file.swgcap     RX records of a recorded capture
+//   node scripts/bench-framer.js file.swgcap 5   repeat the capture 5 times
+//
+// "legacy" is the previous SerialManager loop (Buffer.concat per chunk, slice per
+// frame, hex line for every binary frame); "framer" is StreamFramer with the hex
+// echo off, as when the terminal page is hidden, and "framer+hex" with it on.
+
+const path = require('path');
+const { StreamFramer } = require('../src/backend/stream-framer');
+const { calcBlockCrc32, crc24q } = require('../src/backend/crc');
+const { CaptureReader, RECORD_RX } = require('../src/backend/capture-file');
+const {
+  encodeBinaryFrame, encodeShortBinaryFrame, encodeAsciiLog, encodeNmea
+} = require('../src/backend/message-encoder');
+
+const SYNTHETIC_SECONDS = 600;
+const CHUNK_SIZE = 1024;
+
+function toHex(buf) {
+  return buf.toString('hex').toUpperCase().replace(/(..)(?!$)/g, '$1 ');
+}
+
+function rtcmFrame(msgId, bodyLen) {
+  const frame = Buffer.alloc(3 + bodyLen + 3);
+  frame[0] = 0xD3;
+  frame[1] = (bodyLen >> 8) & 0x03;
+  frame[2] = bodyLen & 0xFF;
+  frame[3] = (msgId >> 4) & 0xFF;
+  frame[4] = (msgId & 0x0F) << 4;
+  const crc = crc24q(frame.subarray(0, 3 + bodyLen));
+  frame[3 + bodyLen] = (crc >> 16) & 0xFF;
+  frame[4 + bodyLen] = (crc >> 8) & 0xFF;
+  frame[5 + bodyLen] = crc & 0xFF;
+  return frame;
+}
+
+// One GNSS second: 200 long-header IMU frames, 100 short-header frames,
+// BESTPOS (binary + ASCII), GGA and two RTCM MSM messages
+function buildSynthetic(seconds) {
+  const parts = [];
+  const imuPayload = Buffer.alloc(40, 0x5A);
+  const shortPayload = Buffer.alloc(40, 0x3C);
+  const bestposPayload = Buffer.alloc(72, 0x11);
+  for (let s = 0; s < seconds; s++) {
+    const week = 2330;
+    for (let i = 0; i < 200; i++) {
+      const ms = s * 1000 + i * 5;
+      parts.push(encodeBinaryFrame(268, imuPayload, { week, ms, sequence: i }));
+      if (i % 2 === 0) parts.push(encodeShortBinaryFrame(325, shortPayload, { week, ms }));
+    }
+    parts.push(encodeBinaryFrame(42, bestposPayload, { week, ms: s * 1000 }));
+    parts.push(Buffer.from(encodeAsciiLog('BESTPOSA', ['SOL_COMPUTED', 'SINGLE', '59.3', '18.0', '30.1']) + '\r\n'));
+    parts.push(Buffer.from(encodeNmea('GPGGA,120000.00,5918.0000,N,01800.0000,E,1,12,0.8,30.1,M,24.0,M,,') + '\r\n'));
+    parts.push(rtcmFrame(1077, 180), rtcmFrame(1087, 150));
+  }
+  return Buffer.concat(parts);
+}
+
+function chunked(stream, size) {
+  const chunks = [];
+  for (let i = 0; i < stream.length; i += size) chunks.push(stream.subarray(i, i + size));
+  return chunks;
+}
+
+function loadCapture(filePath, repeat) {
+  const reader = new CaptureReader(filePath);
+  reader.open();
+  const chunks = [];
+  for (let i = 0; i < reader.count; i++) {
+    const rec = reader.readRecord(i);
+    if (rec && rec.type === RECORD_RX) chunks.push(rec.data);
+  }
+  reader.close();
+  const out = [];
+  for (let r = 0; r < repeat; r++) out.push(...chunks);
+  return out;
+}
+
+// Previous SerialManager framing loop, kept here as the baseline
+function runLegacy(chunks) {
+  let buffer = Buffer.alloc(0);
+  let frames = 0;
+  let sink = 0;
+  const line = (text) => { frames++; sink += text.length; };
+
+  for (const chunk of chunks) {
+    buffer = Buffer.concat([buffer, chunk]);
+    let progressed = true;
+    while (progressed) {
+      progressed = false;
+      const buf = buffer;
+      if (buf.length >= 3 && buf[0] === 0xAA && buf[1] === 0x44 && (buf[2] === 0x12 || buf[2] === 0x13)) {
+        const short = buf[2] === 0x13;
+        if (buf.length < (short ? 12 : 28)) break;
+        const totalLen = short ? 12 + buf[3] + 4 : buf[3] + buf.readUInt16LE(8) + 4;
+        if (buf.length < totalLen) break;
+        const msg = buf.slice(0, totalLen);
+        const crcOk = msg.readUInt32LE(totalLen - 4) === calcBlockCrc32(msg.slice(0, -4));
+        const hexStr = [...msg].map(b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+        line(crcOk ? hexStr : `[CRC ERROR] ${hexStr}`);
+        buffer = buf.slice(totalLen);
+        progressed = true;
+        continue;
+      }
+      const rtcmIdx = buf.indexOf(0xD3);
+      const lfIdx = buf.indexOf(0x0A);
+      if (lfIdx >= 0 && (rtcmIdx === -1 || lfIdx < rtcmIdx)) {
+        line(buf.slice(0, lfIdx + 1).toString('utf-8').trim());
+        buffer = buf.slice(lfIdx + 1);
+        progressed = true;
+        continue;
+      }
+      if (rtcmIdx === -1) {
+        if (buf.length > 4096) buffer = buf.slice(-3);
+        break;
+      }
+      if (rtcmIdx > 0) {
+        buffer = buf.slice(rtcmIdx);
+        progressed = true;
+        continue;
+      }
+      if (buf.length < 3) break;
+      const length = ((buf[1] & 0x03) << 8) | buf[2];
+      if (length === 0 || length > 1023) {
+        buffer = buf.slice(1);
+        progressed = true;
+        continue;
+      }
+      const total = length + 6;
+      if (buf.length < total) break;
+      const frame = buf.slice(0, total);
+      const crcOk = frame.readUIntBE(total - 3, 3) === crc24q(frame.slice(0, -3));
+      line(`[RTCM${crcOk ? ' OK' : ' BAD-CRC'}] len=${length}`);
+      buffer = buf.slice(total);
+      progressed = true;
+    }
+  }
+  return { frames, sink };
+}
+
+function runFramer(chunks, echo) {
+  let frames = 0;
+  let sink = 0;
+  const binary = (frame) => {
+    frames++;
+    const crcOk = frame.readUInt32LE(frame.length - 4) === calcBlockCrc32(frame.subarray(0, frame.length - 4));
+    if (echo || !crcOk) sink += toHex(frame).length;
+  };
+  const framer = new StreamFramer({
+    binary,
+    shortBinary: binary,
+    rtcm: (frame) => {
+      frames++;
+      const crcOk = frame.readUIntBE(frame.length - 3, 3) === crc24q(frame.subarray(0, frame.length - 3));
+      sink += crcOk ? 1 : 0;
+    },
+    line: (text) => { frames++; sink += text.length; }
+  });
+  for (const chunk of chunks) framer.push(chunk);
+  return { frames, sink };
+}
+
+function measure(name, fn, chunks, bytes) {
+  fn(chunks.slice(0, Math.min(chunks.length, 200)));   // warm up
+  const start = process.hrtime.bigint();
+  const { frames } = fn(chunks);
+  const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+  const fps = frames / seconds;
+  console.log(`${name.padEnd(12)} ${String(frames).padStart(9)} frames  ${seconds.toFixed(3).padStart(8)} s  `
+    + `${Math.round(fps).toLocaleString('en-US').padStart(12)} frames/s  ${(bytes / seconds / 1e6).toFixed(1).padStart(7)} MB/s`);
+  return fps;
+}
+
+function main() {
+  const [filePath, repeatArg] = process.argv.slice(2);
+  let chunks;
+  let source;
+  if (filePath) {
+    const repeat = Math.max(1, Number(repeatArg) || 1);
+    chunks = loadCapture(filePath, repeat);
+    source = `${path.basename(filePath)} x${repeat}`;
+  } else {
+    chunks = chunked(buildSynthetic(SYNTHETIC_SECONDS), CHUNK_SIZE);
+    source = `synthetic ${SYNTHETIC_SECONDS} s, ${CHUNK_SIZE}-byte chunks`;
+  }
+  const bytes = chunks.reduce((n, c) => n + c.length, 0);
+  console.log(`Source: ${source} (${(bytes / 1e6).toFixed(1)} MB, ${chunks.length} chunks)\n`);
+
+  const before = measure('legacy', runLegacy, chunks, bytes);
+  const after = measure('framer', (c) => runFramer(c, false), chunks, bytes);
+  const afterHex = measure('framer+hex', (c) => runFramer(c, true), chunks, bytes);
+  console.log(`\nSpeed-up: ${(after / before).toFixed(1)}x (hex echo off), ${(afterHex / before).toFixed(1)}x (hex echo on)`);
+}
+
+main();
@@ -1,5 +1,7 @@
 // Schema-driven binary payload parser (port of binary_schema_loader.py)
-const { getBinaryMessageMap } = require('./schema-loader');
+const { getBinaryMessageMap, getCommandSchema, getReferenceTable, lookupRefValue } = require('./schema-loader');
+const { TIME_STATUS_NAMES } = require('./message-encoder');
+const { evaluate, ExpressionError } = require('./expression');
 
 let _nameIndex = null;
 let _idIndex = null;
@@ -15,8 +17,28 @@ const TYPE_FORMATS = {
   float: { size: 4, read: (dv, off) => dv.getFloat32(off, true) },
   float64: { size: 8, read: (dv, off) => dv.getFloat64(off, true) },
   double: { size: 8, read: (dv, off) => dv.getFloat64(off, true) },
+  ulong: { size: 4, read: (dv, off) => dv.getUint32(off, true) },
+  long: { size: 4, read: (dv, off) => dv.getInt32(off, true) },
+  uint64: { size: 8, read: (dv, off) => int64Value(dv.getBigUint64(off, true)) },
+  int64: { size: 8, read: (dv, off) => int64Value(dv.getBigInt64(off, true)) },
 };
 
+const MAX_SAFE = BigInt(Number.MAX_SAFE_INTEGER);
+
+// 64-bit integers stay plain numbers while exact; larger ones become decimal
+// strings so they survive JSON (IPC batches, the local API, CLI exports)
+function int64Value(big) {
+  return big >= -MAX_SAFE && big <= MAX_SAFE ? Number(big) : big.toString();
+}
+
+// Bytes one schema field occupies in the payload; null for an unknown type
+function fieldSize(field) {
+  const type = field.type || 'uint8';
+  if (type === 'char' || type === 'bytes') return field.length || field.count || 1;
+  const fmt = TYPE_FORMATS[type];
+  return fmt ? fmt.size * (field.count || 1) : null;
+}
+
 function normalizeName(name) {
   return (name || '').trim().replace(/[ -]/g, '_').toUpperCase();
 }
@@ -80,25 +102,212 @@ function readNumeric(dv, offset, typeName, count) {
   return { value: values, newOffset: off };
 }
 
-// Simple expression evaluator for derived fields
-function safeEval(expr, context) {
-  if (!expr) return null;
-  // Replace variable names with values
-  let evalStr = expr;
-  for (const [name, value] of Object.entries(context)) {
-    if (typeof value === 'number') {
-      evalStr = evalStr.replace(new RegExp(`\\b${name}\\b`, 'g'), String(value));
+/**
+ * Decode one payload field at offset: { value, decoded, offset } with offset
+ * past the field. A field cut off by a short payload gets a default value and
+ * leaves offset where it was. values holds the fields decoded before it.
+ */
+function readField(field, buf, dv, offset, msgId, values) {
+  const name = field.name;
+  const ftype = field.type || 'uint8';
+
+  if (ftype === 'repeat') return readBlocks(field, buf, dv, offset, msgId, values);
+
+  if (ftype === 'char') {
+    const length = field.length || field.count || 1;
+    if (offset + length > buf.byteLength) {
+      console.warn(`[BinaryParser] Truncated char field ${name} (ID=${msgId}). Needed ${length}, left ${buf.byteLength - offset}`);
+      return { value: '', offset }; // Safe default
     }
+    const { value, newOffset } = readChar(buf, offset, length);
+    return { value, offset: newOffset };
   }
-  // Only allow numbers, operators, parentheses
-  if (!/^[\d\s+\-*/().eE]+$/.test(evalStr)) return null;
+
+  if (ftype === 'bytes') {
+    const length = field.length || field.count || 1;
+    if (offset + length > buf.byteLength) {
+      console.warn(`[BinaryParser] Truncated bytes field ${name} (ID=${msgId})`);
+      return { value: null, offset };
+    }
+    return { value: buf.slice(offset, offset + length), offset: offset + length };
+  }
+
+  const count = field.count || 1;
+  // Pre-check size to avoid throw
+  const fmt = TYPE_FORMATS[ftype];
+  const needed = (fmt ? fmt.size : 1) * count;
+  if (offset + needed > buf.byteLength) {
+    return { value: 0, offset }; // Safe default for missing fields (zero-padding)
+  }
+
+  const { value, newOffset } = readNumeric(dv, offset, ftype, count);
+  let finalValue = value;
+  if (field.scale != null) {
+    if (typeof finalValue === 'number') {
+      finalValue = finalValue * field.scale;
+    } else if (Array.isArray(finalValue)) {
+      finalValue = finalValue.map(v => v * field.scale);
+    }
+  }
+  return { value: finalValue, decoded: decodeFieldLabel(field, finalValue), offset: newOffset };
+}
+
+/**
+ * type 'repeat': the group's fields are decoded once per block, the number of
+ * blocks coming from the earlier field named by count_field. The value is one
+ * { fieldName: value } record per block. Blocks must have a fixed size.
+ */
+function readBlocks(group, buf, dv, offset, msgId, values) {
+  const blockSize = (group.fields || []).reduce((sum, f) => sum + (fieldSize(f) ?? NaN), 0);
+  if (!(blockSize > 0)) throw new Error(`Repeated block ${group.name} has no fixed size`);
+
+  const count = Number(values[group.count_field]) || 0;
+  const room = Math.floor((buf.byteLength - offset) / blockSize);
+  if (count > room) {
+    console.warn(`[BinaryParser] ${group.name}: ${count} blocks announced, payload holds ${room} (ID=${msgId})`);
+  }
+
+  const records = [];
+  for (let i = 0; i < Math.min(count, room); i++) {
+    const record = {};
+    for (const field of group.fields) {
+      const read = readField(field, buf, dv, offset, msgId, record);
+      if (field.name) record[field.name] = read.value;
+      offset = read.offset;
+    }
+    records.push(record);
+  }
+  return { value: records, offset };
+}
+
+// "3", "1-3" (as in the reference tables) or 3 -> [low bit, high bit]
+function bitRange(bits) {
+  if (typeof bits === 'number') return [bits, bits];
+  const [lo, hi = lo] = String(bits).split('-').map(Number);
+  return [lo, hi];
+}
+
+const _bitfieldCache = new Map();   // reference table key -> ranges
+
+// A bitfield is an inline [{ name, bits, enum? }] list or the key of a reference
+// table whose rows have 'bit' and 'name'; rows without a name are reserved bits
+function bitfieldRanges(spec) {
+  if (Array.isArray(spec)) return spec;
+  if (!_bitfieldCache.has(spec)) {
+    const rows = getReferenceTable(spec)?.rows || [];
+    _bitfieldCache.set(spec, rows.filter(r => r.name).map(r => ({ name: r.name, bits: r.bit, enum: r.enum })));
+  }
+  return _bitfieldCache.get(spec);
+}
+
+/**
+ * Readable form of a field declared with `enum` (reference table key) or
+ * `bitfield`: { label } or { label, flags }, null when there is nothing to add.
+ * Single-bit flags are booleans and wider ranges numbers; the bitfield label
+ * lists the set flags and every range as NAME=value (or its enum name).
+ */
+function decodeFieldLabel(field, value) {
+  if (field.enum && typeof value === 'number') {
+    const label = lookupRefValue(field.enum, value);
+    return label ? { label } : null;
+  }
+  if (!field.bitfield) return null;
+  if (!(Number.isInteger(value) || (typeof value === 'string' && /^-?\d+$/.test(value)))) return null;
+
+  const word = BigInt(value);   // also covers 64-bit words and keeps the bits of negative values
+  const flags = {};
+  const set = [];
+  for (const range of bitfieldRanges(field.bitfield)) {
+    const [lo, hi] = bitRange(range.bits);
+    const bits = Number((word >> BigInt(lo)) & ((1n << BigInt(hi - lo + 1)) - 1n));
+    if (hi === lo) {
+      flags[range.name] = bits === 1;
+      if (bits) set.push(range.name);
+    } else {
+      flags[range.name] = bits;
+      set.push(`${range.name}=${(range.enum && lookupRefValue(range.enum, bits)) || bits}`);
+    }
+  }
+  return { label: set.length ? set.join(', ') : 'none', flags };
+}
+
+const _badExpressions = new Set();
+
+// A derived field that fails to evaluate is null; each bad expression is
+// reported once rather than on every message
+function evalDerived(dfield, values, msgId) {
+  if (!dfield.expr) return null;
   try {
-    return Function(`"use strict"; return (${evalStr})`)();
-  } catch {
+    return evaluate(dfield.expr, values);
+  } catch (e) {
+    if (!(e instanceof ExpressionError)) throw e;
+    if (!_badExpressions.has(dfield.expr)) {
+      _badExpressions.add(dfield.expr);
+      console.warn(`[BinaryParser] Derived field ${dfield.name} (ID=${msgId}): ${e.message} in '${dfield.expr}'`);
+    }
     return null;
   }
 }
 
+const MESSAGE_FORMATS = ['binary', 'ascii', 'abbreviated', 'reserved'];
+
+function portName(address) {
+  const ports = getCommandSchema()._enums?.port || {};
+  const entry = Object.entries(ports).find(([, v]) => v === address);
+  return entry ? entry[0] : `0x${address.toString(16).toUpperCase()}`;
+}
+
+/**
+ * Decode the 28-byte BYNAV binary header (AA 44 12 frames).
+ * idleTime is in percent (0.5 % units on the wire); ms is GPS time of week.
+ */
+function decodeBinaryHeader(frame) {
+  if (!frame || frame.length < 28) return null;
+  const msgType = frame[6];
+  const timeStatus = frame[13];
+  return {
+    headerLength: frame[3],
+    msgId: frame.readUInt16LE(4),
+    msgType,
+    format: MESSAGE_FORMATS[(msgType >> 5) & 0x03],
+    isResponse: (msgType & 0x80) !== 0,
+    portAddress: frame[7],
+    port: portName(frame[7]),
+    messageLength: frame.readUInt16LE(8),
+    sequence: frame.readUInt16LE(10),
+    idleTime: frame[12] / 2,
+    timeStatus,
+    timeStatusName: TIME_STATUS_NAMES[timeStatus] || 'UNKNOWN',
+    week: frame.readUInt16LE(14),
+    ms: frame.readUInt32LE(16),
+    receiverStatus: frame.readUInt32LE(20),
+    reserved: frame.readUInt16LE(24),
+    swVersion: frame.readUInt16LE(26)
+  };
+}
+
+/**
+ * Decode the 12-byte short header (AA 44 13 frames). It carries no port,
+ * time status or receiver status, so those are null.
+ */
+function decodeShortBinaryHeader(frame) {
+  if (!frame || frame.length < 12) return null;
+  return {
+    headerLength: 12,
+    short: true,
+    msgId: frame.readUInt16LE(4),
+    format: 'binary',
+    isResponse: false,
+    port: null,
+    messageLength: frame[3],
+    timeStatus: null,
+    timeStatusName: null,
+    week: frame.readUInt16LE(6),
+    ms: frame.readUInt32LE(8),
+    receiverStatus: null
+  };
+}
+
 function parseBinaryPayload(msgId, payload, frameCrc) {
   const result = getEntryById(msgId);
   if (!result) return null;
@@ -110,48 +319,9 @@ function parseBinaryPayload(msgId, payload, frameCrc) {
   const fieldsInfo = [];
   let offset = 0;
 
-  // Special case: TRACKSTATB (ID 83)
-  if (entry.tag === 'TRACKSTATB' || entry.id === 83) {
-    const solStatus = dv.getUint32(0, true);
-    const posType = dv.getUint32(4, true);
-    const cutoff = dv.getFloat32(8, true);
-    const numChans = dv.getUint32(12, true);
-    const channels = [];
-    let off = 16;
-    for (let i = 0; i < numChans; i++) {
-      channels.push({
-        prn_slot: dv.getUint16(off, true),
-        glofreq: dv.getInt16(off + 2, true),
-        ch_tr_status: dv.getUint32(off + 4, true),
-        psr_m: dv.getFloat64(off + 8, true),
-        doppler_hz: dv.getFloat32(off + 16, true),
-        cno_dbhz: dv.getFloat32(off + 20, true),
-        locktime_s: dv.getFloat32(off + 24, true),
-        psr_res_m: dv.getFloat32(off + 28, true),
-        reject_code: dv.getUint32(off + 32, true),
-        psr_weight: dv.getFloat32(off + 36, true),
-      });
-      off += 40;
-    }
-    return {
-      message_type: entry.name || schemaKey,
-      schema_key: schemaKey,
-      id: msgId,
-      fields: {
-        solution_status: { value: solStatus, unit: '', note: '' },
-        position_type: { value: posType, unit: '', note: '' },
-        cutoff_deg: { value: cutoff, unit: 'deg', note: '' },
-        num_channels: { value: numChans, unit: '', note: '' },
-        channels: { value: channels, unit: '', note: '' },
-        crc32: { value: frameCrc, unit: '', note: '' },
-      }
-    };
-  }
-
   // Generic schema-driven parsing
   for (const field of (entry.fields || [])) {
     const name = field.name;
-    const ftype = field.type || 'uint8';
     const unit = field.unit || '';
     const note = field.note || '';
     if (!name) continue;
@@ -163,71 +333,28 @@ function parseBinaryPayload(msgId, payload, frameCrc) {
     }
 
     try {
-      if (ftype === 'char') {
-        const length = field.length || field.count || 1;
-        if (offset + length > buf.byteLength) {
-          console.warn(`[BinaryParser] Truncated char field ${name} (ID=${msgId}). Needed ${length}, left ${buf.byteLength - offset}`);
-          values[name] = ''; // Safe default
-          fieldsInfo.push({ name, unit, note });
-          continue;
-        }
-        const { value, newOffset } = readChar(buf, offset, length);
-        values[name] = value;
-        offset = newOffset;
-      } else if (ftype === 'bytes') {
-        const length = field.length || field.count || 1;
-        if (offset + length > buf.byteLength) {
-          console.warn(`[BinaryParser] Truncated bytes field ${name} (ID=${msgId})`);
-          values[name] = null;
-          fieldsInfo.push({ name, unit, note });
-          continue;
-        }
-        values[name] = buf.slice(offset, offset + length);
-        offset += length;
-      } else {
-        const count = field.count || 1;
-        // Pre-check size to avoid throw
-        const fmt = TYPE_FORMATS[ftype];
-        const needed = (fmt ? fmt.size : 1) * count;
-        if (offset + needed > buf.byteLength) {
-          // console.warn(`[BinaryParser] Truncated numeric field ${name} (ID=${msgId}). Needed ${needed}, left ${buf.byteLength - offset}`);
-          values[name] = 0; // Safe default for missing fields (zero-padding)
-          fieldsInfo.push({ name, unit, note });
-          continue;
-        }
-
-        const { value, newOffset } = readNumeric(dv, offset, ftype, count);
-        let finalValue = value;
-        if (field.scale != null) {
-          if (typeof finalValue === 'number') {
-            finalValue = finalValue * field.scale;
-          } else if (Array.isArray(finalValue)) {
-            finalValue = finalValue.map(v => v * field.scale);
-          }
-        }
-        values[name] = finalValue;
-        offset = newOffset;
-      }
-      fieldsInfo.push({ name, unit, note });
+      const read = readField(field, buf, dv, offset, msgId, values);
+      values[name] = read.value;
+      offset = read.offset;
+      fieldsInfo.push({ name, unit, note, decoded: read.decoded });
     } catch (e) {
       console.error(`[BinaryParser] Error reading field ${name} (ID=${msgId}):`, e.message);
       break; // Stop parsing if unexpected error
     }
   }
 
-  // Derived fields
+  // Derived fields, in order: each may use the ones defined before it
   for (const dfield of (entry.derived || [])) {
-    // ... same as before
     const name = dfield.name;
     if (!name) continue;
-    values[name] = safeEval(dfield.expr || '', values);
+    values[name] = evalDerived(dfield, values, msgId);
     fieldsInfo.push({ name, unit: dfield.unit || '', note: dfield.note || '' });
   }
 
   // Format output
   const formattedFields = {};
-  for (const { name, unit, note } of fieldsInfo) {
-    formattedFields[name] = { value: values[name], unit, note };
+  for (const { name, unit, note, decoded } of fieldsInfo) {
+    formattedFields[name] = { value: values[name], unit, note, ...decoded };
   }
 
   return {
@@ -238,4 +365,4 @@ function parseBinaryPayload(msgId, payload, frameCrc) {
   };
 }
 
-module.exports = { parseBinaryPayload, getEntryById };
+module.exports = { parseBinaryPayload, decodeBinaryHeader, decodeShortBinaryHeader, getEntryById, fieldSize };
@@ -0,0 +1,207 @@
+// Capture file format - raw stream recording for offline reproduction
+//
+// Layout:
+//   File header : "SWGCAP" + version (u8) + reserved (u8)            = 8 bytes
+//   Record      : type (u8) + timestamp ms (f64 LE) + length (u32 LE) + data
+//
+// Record types:
+//   RX   - raw bytes exactly as received from the device (binary, RTCM, ASCII)
+//   TX   - command text sent to the device (UTF-8, no CRLF)
+//   META - JSON object (connection description, connect/disconnect events,
+//          and { event: 'gnss_time', week, ms, timeStatus } marks that tie the
+//          record timestamp to receiver time once per GNSS second)
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+
+const CAPTURE_MAGIC = Buffer.from('SWGCAP', 'ascii');
+const CAPTURE_VERSION = 1;
+const FILE_HEADER_LEN = 8;
+const RECORD_HEADER_LEN = 13;
+
+const RECORD_RX = 1;
+const RECORD_TX = 2;
+const RECORD_META = 3;
+
+const CAPTURE_EXTENSION = 'swgcap';
+
+function encodeRecord(type, timestamp, data) {
+  const header = Buffer.alloc(RECORD_HEADER_LEN);
+  header.writeUInt8(type, 0);
+  header.writeDoubleLE(timestamp, 1);
+  header.writeUInt32LE(data.length, 9);
+  return Buffer.concat([header, data]);
+}
+
+class CaptureWriter extends EventEmitter {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this._stream = null;
+    this._startTime = 0;
+    this._bytes = 0;
+    this._records = 0;
+  }
+
+  open() {
+    return new Promise((resolve, reject) => {
+      const stream = fs.createWriteStream(this.filePath);
+      const onError = (err) => reject(err);
+      stream.once('error', onError);
+      stream.once('open', () => {
+        stream.removeListener('error', onError);
+        stream.on('error', (err) => this.emit('error', err));
+        this._stream = stream;
+        this._startTime = Date.now();
+
+        const header = Buffer.alloc(FILE_HEADER_LEN);
+        CAPTURE_MAGIC.copy(header, 0);
+        header.writeUInt8(CAPTURE_VERSION, 6);
+        this._write(header);
+        resolve();
+      });
+    });
+  }
+
+  get isOpen() {
+    return !!this._stream;
+  }
+
+  writeRx(chunk, timestamp = Date.now()) {
+    if (!this._stream || !chunk || chunk.length === 0) return;
+    this._writeRecord(RECORD_RX, timestamp, Buffer.from(chunk));
+  }
+
+  writeTx(cmd, timestamp = Date.now()) {
+    if (!this._stream) return;
+    this._writeRecord(RECORD_TX, timestamp, Buffer.from(String(cmd), 'utf-8'));
+  }
+
+  writeMeta(obj, timestamp = Date.now()) {
+    if (!this._stream) return;
+    this._writeRecord(RECORD_META, timestamp, Buffer.from(JSON.stringify(obj), 'utf-8'));
+  }
+
+  getStatus() {
+    return {
+      recording: this.isOpen,
+      path: this.filePath,
+      bytes: this._bytes,
+      records: this._records,
+      startTime: this._startTime,
+      duration: this._startTime ? Math.floor((Date.now() - this._startTime) / 1000) : 0
+    };
+  }
+
+  close() {
+    return new Promise((resolve) => {
+      const stream = this._stream;
+      this._stream = null;
+      if (!stream) { resolve(); return; }
+      stream.end(() => resolve());
+    });
+  }
+
+  _writeRecord(type, timestamp, data) {
+    this._records++;
+    this._write(encodeRecord(type, timestamp, data));
+  }
+
+  _write(buf) {
+    this._bytes += buf.length;
+    this._stream.write(buf);
+  }
+}
+
+// Random-access reader: indexes record headers once, reads payloads on demand
+class CaptureReader {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this._fd = null;
+    this._index = [];   // [{ type, timestamp, offset, length }]
+  }
+
+  open() {
+    this._fd = fs.openSync(this.filePath, 'r');
+    const size = fs.fstatSync(this._fd).size;
+
+    const fileHeader = Buffer.alloc(FILE_HEADER_LEN);
+    if (size < FILE_HEADER_LEN || fs.readSync(this._fd, fileHeader, 0, FILE_HEADER_LEN, 0) < FILE_HEADER_LEN
+      || !fileHeader.subarray(0, CAPTURE_MAGIC.length).equals(CAPTURE_MAGIC)) {
+      this.close();
+      throw new Error('Not a SWEGEO capture file');
+    }
+    const version = fileHeader.readUInt8(6);
+    if (version > CAPTURE_VERSION) {
+      this.close();
+      throw new Error(`Unsupported capture version ${version}`);
+    }
+
+    const recHeader = Buffer.alloc(RECORD_HEADER_LEN);
+    let offset = FILE_HEADER_LEN;
+    while (offset + RECORD_HEADER_LEN <= size) {
+      fs.readSync(this._fd, recHeader, 0, RECORD_HEADER_LEN, offset);
+      const length = recHeader.readUInt32LE(9);
+      // Truncated final record (e.g. app crashed mid-write) - stop here
+      if (offset + RECORD_HEADER_LEN + length > size) break;
+      this._index.push({
+        type: recHeader.readUInt8(0),
+        timestamp: recHeader.readDoubleLE(1),
+        offset: offset + RECORD_HEADER_LEN,
+        length
+      });
+      offset += RECORD_HEADER_LEN + length;
+    }
+  }
+
+  get count() {
+    return this._index.length;
+  }
+
+  get startTime() {
+    return this._index.length ? this._index[0].timestamp : 0;
+  }
+
+  get endTime() {
+    return this._index.length ? this._index[this._index.length - 1].timestamp : 0;
+  }
+
+  timestampAt(i) {
+    return this._index[i]?.timestamp ?? this.endTime;
+  }
+
+  // First record index with timestamp >= the given capture time
+  indexAtTime(timestamp) {
+    let lo = 0, hi = this._index.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this._index[mid].timestamp < timestamp) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  readRecord(i) {
+    const entry = this._index[i];
+    if (!entry || this._fd == null) return null;
+    const data = Buffer.alloc(entry.length);
+    fs.readSync(this._fd, data, 0, entry.length, entry.offset);
+    return { type: entry.type, timestamp: entry.timestamp, data };
+  }
+
+  close() {
+    if (this._fd != null) {
+      try { fs.closeSync(this._fd); } catch { }
+      this._fd = null;
+    }
+  }
+}
+
+module.exports = {
+  CaptureWriter,
+  CaptureReader,
+  CAPTURE_EXTENSION,
+  RECORD_RX,
+  RECORD_TX,
+  RECORD_META
+};
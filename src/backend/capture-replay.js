@@ -0,0 +1,200 @@
+// CapturePlayer - plays a recorded capture back as a virtual connection
+// Emits 'data' chunks with the original timing (scaled by speed) so that
+// SerialManager._onData and every downstream consumer behave as if live.
+
+const { EventEmitter } = require('events');
+const { RECORD_RX, RECORD_TX, RECORD_META } = require('./capture-file');
+
+const TICK_MS = 10;                // Timed playback resolution
+const MAX_SPEED_BATCH_BYTES = 256 * 1024; // Per event-loop turn at "as fast as possible"
+const STATUS_INTERVAL_MS = 250;
+
+class CapturePlayer extends EventEmitter {
+  /**
+   * @param {CaptureReader} reader - opened capture reader
+   * @param {object} [options]
+   * @param {number} [options.speed=1] - playback multiplier; 0 = as fast as possible
+   */
+  constructor(reader, options = {}) {
+    super();
+    this._reader = reader;
+    this._speed = options.speed ?? 1;
+    this._cursor = 0;
+    this._playing = false;
+    this._timer = null;
+    this._statusTimer = null;
+
+    // Timing anchor: capture time _anchorCapture corresponds to PC time _anchorPc
+    this._anchorCapture = reader.startTime;
+    this._anchorPc = 0;
+  }
+
+  get isOpen() {
+    return this._reader != null;
+  }
+
+  play() {
+    if (!this._reader || this._playing) return;
+    if (this._cursor >= this._reader.count) this._cursor = 0;
+    this._playing = true;
+    this._resetAnchor();
+    this._schedule();
+    this._startStatusTimer();
+    this._emitStatus();
+  }
+
+  pause() {
+    if (!this._playing) return;
+    this._playing = false;
+    this._clearTimer();
+    this._stopStatusTimer();
+    this._emitStatus();
+  }
+
+  /**
+   * Seek to a position in seconds from the start of the capture.
+   */
+  seek(seconds) {
+    if (!this._reader) return;
+    const target = this._reader.startTime + Math.max(0, Number(seconds) || 0) * 1000;
+    this._cursor = this._reader.indexAtTime(target);
+    this._resetAnchor();
+    this.emit('seek', this.getStatus());
+    this._emitStatus();
+  }
+
+  setSpeed(speed) {
+    const value = Number(speed);
+    this._speed = Number.isFinite(value) && value >= 0 ? value : 1;
+    this._resetAnchor();
+    if (this._playing) {
+      this._clearTimer();
+      this._schedule();
+    }
+    this._emitStatus();
+  }
+
+  // Replay is read-only; accept writes (e.g. NTRIP corrections) and drop them
+  write() { }
+
+  close() {
+    this._playing = false;
+    this._clearTimer();
+    this._stopStatusTimer();
+    if (this._reader) {
+      this._reader.close();
+      this._reader = null;
+    }
+  }
+
+  getStatus() {
+    const reader = this._reader;
+    if (!reader) return { playing: false, speed: this._speed, position: 0, duration: 0 };
+    const current = this._cursor < reader.count ? reader.timestampAt(this._cursor) : reader.endTime;
+    return {
+      path: reader.filePath,
+      playing: this._playing,
+      speed: this._speed,
+      position: (current - reader.startTime) / 1000,
+      duration: (reader.endTime - reader.startTime) / 1000,
+      record: this._cursor,
+      records: reader.count,
+      ended: this._cursor >= reader.count
+    };
+  }
+
+  // --- Playback loop ---
+
+  _resetAnchor() {
+    if (!this._reader) return;
+    this._anchorCapture = this._reader.timestampAt(this._cursor);
+    this._anchorPc = Date.now();
+  }
+
+  _schedule() {
+    if (!this._playing) return;
+    if (this._speed === 0) {
+      this._timer = setImmediate(() => this._tick());
+    } else {
+      this._timer = setTimeout(() => this._tick(), TICK_MS);
+    }
+  }
+
+  _clearTimer() {
+    if (!this._timer) return;
+    clearTimeout(this._timer);
+    clearImmediate(this._timer);
+    this._timer = null;
+  }
+
+  _tick() {
+    this._timer = null;
+    if (!this._playing || !this._reader) return;
+
+    const reader = this._reader;
+    const fast = this._speed === 0;
+    const until = this._anchorCapture + (Date.now() - this._anchorPc) * this._speed;
+    let bytes = 0;
+
+    while (this._cursor < reader.count) {
+      if (fast) {
+        if (bytes >= MAX_SPEED_BATCH_BYTES) break;
+      } else if (reader.timestampAt(this._cursor) > until) {
+        break;
+      }
+      const rec = reader.readRecord(this._cursor++);
+      if (!rec) continue;
+      bytes += rec.data.length;
+      this._emitRecord(rec);
+      // A consumer may have closed or paused the player from inside a handler
+      if (!this._playing || !this._reader) return;
+    }
+
+    if (this._cursor >= reader.count) {
+      this._playing = false;
+      this._stopStatusTimer();
+      this._emitStatus();
+      this.emit('end');
+      return;
+    }
+    this._schedule();
+  }
+
+  _emitRecord(rec) {
+    switch (rec.type) {
+      case RECORD_RX:
+        this.emit('data', rec.data);
+        break;
+      case RECORD_TX:
+        this.emit('tx', rec.data.toString('utf-8'));
+        break;
+      case RECORD_META:
+        try {
+          this.emit('meta', JSON.parse(rec.data.toString('utf-8')));
+        } catch { }
+        break;
+      default:
+        break;
+    }
+  }
+
+  // --- Status ---
+
+  _startStatusTimer() {
+    this._stopStatusTimer();
+    this._statusTimer = setInterval(() => this._emitStatus(), STATUS_INTERVAL_MS);
+  }
+
+  _stopStatusTimer() {
+    if (this._statusTimer) {
+      clearInterval(this._statusTimer);
+      this._statusTimer = null;
+    }
+  }
+
+  _emitStatus() {
+    this.emit('status', this.getStatus());
+  }
+}
+
+module.exports = CapturePlayer;
@@ -0,0 +1,245 @@
+// Command codec - BYNAV binary commands (AA 44 12) driven by commands.json5
+// encodeCommand() turns ASCII command text ("LOG COM1 BESTPOSB ONTIME 1") into a
+// binary frame for ports in binary-only interface mode; decodeResponse() reads
+// the receiver's binary reply (response bit set in the message type byte).
+// Commands and logs commands.json5 does not describe throw an error with code
+// NO_BINARY_DEFINITION, which SerialManager answers by sending the ASCII text.
+const { getCommandSchema, getBinaryMessageMap, getAsciiMessageMap } = require('./schema-loader');
+const { encodeBinaryPayload, encodeBinaryFrame, BYNAV_HEADER_LEN } = require('./message-encoder');
+
+const MSG_TYPE_FORMAT_MASK = 0x60;
+const MSG_TYPE_ASCII = 0x20;
+const MSG_TYPE_RESPONSE = 0x80;
+const RESPONSE_OK = 1;
+const PORT_THISPORT = 0xC0;
+const TIME_STATUS_UNKNOWN = 20;
+
+// 'message' fields expand to the three binary fields the receiver expects
+const MESSAGE_FIELD_PARTS = [
+  { suffix: 'id', type: 'uint16' },
+  { suffix: 'type', type: 'uint8' },
+  { suffix: 'reserved', type: 'uint8' }
+];
+
+function noBinaryDefinition(message) {
+  const err = new Error(message);
+  err.code = 'NO_BINARY_DEFINITION';
+  return err;
+}
+
+function getCommandDef(name) {
+  const key = String(name || '').toUpperCase();
+  if (!key || key.startsWith('_')) return null;
+  return getCommandSchema()[key] || null;
+}
+
+function getCommandDefById(id) {
+  for (const [key, def] of Object.entries(getCommandSchema())) {
+    if (!key.startsWith('_') && def.id === id) return { name: key, def };
+  }
+  return null;
+}
+
+function enumTable(key) {
+  return getCommandSchema()._enums?.[key] || {};
+}
+
+function enumValue(key, token) {
+  const table = enumTable(key);
+  const name = String(token).toUpperCase();
+  return Object.prototype.hasOwnProperty.call(table, name) ? table[name] : null;
+}
+
+function enumName(key, value) {
+  const entry = Object.entries(enumTable(key)).find(([, v]) => v === value);
+  return entry ? entry[0] : String(value);
+}
+
+/**
+ * Resolve a log name to its binary message ID and format.
+ * "BESTPOSB" -> binary, "BESTPOSA" / "BESTPOS" -> ASCII, "42" -> binary ID 42.
+ */
+function resolveMessage(token) {
+  const name = String(token).toUpperCase();
+  const binaryMap = getBinaryMessageMap();
+  const asciiMap = getAsciiMessageMap();
+
+  if (binaryMap[name]) return { id: binaryMap[name].id, messageType: 0 };
+  const ascii = asciiMap[name] || asciiMap[`${name}A`];
+  if (ascii) {
+    const binary = Object.values(binaryMap).find(e => e._family === ascii._family);
+    if (binary) return { id: binary.id, messageType: MSG_TYPE_ASCII };
+  }
+
+  const known = getCommandSchema()._messages || {};
+  const base = name.replace(/[AB]$/, '');
+  const id = known[name] ?? known[base];
+  if (typeof id === 'number') {
+    const isBinary = known[name] == null && name.endsWith('B');
+    return { id, messageType: isBinary ? 0 : MSG_TYPE_ASCII };
+  }
+
+  if (/^\d+$/.test(name)) return { id: Number(name), messageType: 0 };
+  return null;
+}
+
+function messageName(id, messageType) {
+  const binary = Object.values(getBinaryMessageMap()).find(e => e.id === id);
+  const ascii = (messageType & MSG_TYPE_FORMAT_MASK) === MSG_TYPE_ASCII;
+  if (binary) {
+    if (!ascii) return binary.tag.toUpperCase();
+    const asciiEntry = Object.values(getAsciiMessageMap()).find(e => e._family === binary._family);
+    if (asciiEntry) return (asciiEntry.tag || asciiEntry.name).toUpperCase();
+  }
+  const known = Object.entries(getCommandSchema()._messages || {}).find(([, v]) => v === id);
+  if (known) return `${known[0]}${ascii ? 'A' : 'B'}`;
+  return String(id);
+}
+
+function fieldValue(field, token) {
+  if (field.enum) {
+    const value = enumValue(field.enum, token);
+    if (value != null) return value;
+  }
+  if (field.type === 'char') return String(token);
+  const num = Number(token);
+  if (!Number.isFinite(num)) throw new Error(`Invalid value "${token}" for ${field.name}`);
+  return num;
+}
+
+function defaultValue(field) {
+  return field.enum ? enumValue(field.enum, field.default) ?? field.default : field.default;
+}
+
+/**
+ * Encode ASCII command text as a binary command frame.
+ * Throws for commands without a binary definition (err.code NO_BINARY_DEFINITION)
+ * or with invalid arguments.
+ * @param {string} text
+ * @param {object} [header] - overrides for encodeBinaryFrame (sequence, portAddress, ...)
+ * @returns {Buffer}
+ */
+function encodeCommand(text, header = {}) {
+  const tokens = String(text || '').trim().split(/\s+/).filter(Boolean);
+  const name = (tokens.shift() || '').toUpperCase();
+  const def = getCommandDef(name);
+  if (!name) throw new Error('No binary definition for command (empty)');
+  if (!def) throw noBinaryDefinition(`No binary definition for command ${name}`);
+
+  const fields = [];
+  const values = {};
+  for (const field of (def.fields || [])) {
+    let token = tokens[0];
+    if (field.optional && (token == null || enumValue(field.enum, token) == null)) token = undefined;
+    else tokens.shift();
+
+    if (field.type === 'message') {
+      if (token == null) throw new Error(`${name}: missing ${field.name}`);
+      const msg = resolveMessage(token);
+      if (!msg) throw noBinaryDefinition(`${name}: no binary message ID for ${token}`);
+      const [idPart, typePart, reservedPart] = MESSAGE_FIELD_PARTS.map(p => ({
+        name: `${field.name}_${p.suffix}`, type: p.type
+      }));
+      fields.push(idPart, typePart, reservedPart);
+      values[idPart.name] = msg.id;
+      values[typePart.name] = msg.messageType;
+      values[reservedPart.name] = 0;
+      continue;
+    }
+
+    if (token == null && field.default == null) throw new Error(`${name}: missing ${field.name}`);
+    fields.push(field);
+    values[field.name] = token == null ? defaultValue(field) : fieldValue(field, token);
+  }
+  if (tokens.length) throw new Error(`${name}: unexpected argument ${tokens[0]}`);
+
+  const payload = encodeBinaryPayload({ fields }, values);
+  return encodeBinaryFrame(def.id, payload, {
+    portAddress: PORT_THISPORT,
+    timeStatus: TIME_STATUS_UNKNOWN,
+    ...header
+  });
+}
+
+/**
+ * Decode a binary command frame back to ASCII command text (used by the simulator).
+ * Optional fields left at their default and trailing defaults are omitted.
+ * @returns {{ name, id, text }|null}
+ */
+function decodeCommand(frame) {
+  if (!Buffer.isBuffer(frame) || frame.length < BYNAV_HEADER_LEN) return null;
+  const found = getCommandDefById(frame.readUInt16LE(4));
+  if (!found) return null;
+  const headerLen = frame[3];
+  const payload = frame.subarray(headerLen, headerLen + frame.readUInt16LE(8));
+
+  const tokens = [];
+  let offset = 0;
+  for (const field of (found.def.fields || [])) {
+    // A truncated payload decodes up to its last whole field
+    const size = field.type === 'float64' ? 8 : field.type === 'char' ? (field.length || 1) : 4;
+    if (offset + size > payload.length) break;
+    if (field.type === 'message') {
+      tokens.push({ field, text: messageName(payload.readUInt16LE(offset), payload[offset + 2]) });
+      offset += size;
+      continue;
+    }
+    let value;
+    switch (field.type) {
+      case 'float64': value = payload.readDoubleLE(offset); break;
+      case 'int32': value = payload.readInt32LE(offset); break;
+      case 'char': value = payload.toString('latin1', offset, offset + size).replace(/\0+$/, ''); break;
+      default: value = payload.readUInt32LE(offset);
+    }
+    offset += size;
+    const isDefault = field.default != null && value === defaultValue(field);
+    tokens.push({ field, isDefault, text: field.enum ? enumName(field.enum, value) : String(value) });
+  }
+
+  while (tokens.length && tokens[tokens.length - 1].isDefault) tokens.pop();
+  const args = tokens.filter(t => !(t.field.optional && t.isDefault)).map(t => t.text);
+  return { name: found.name, id: found.def.id, text: [found.name, ...args].join(' ') };
+}
+
+function isResponseFrame(frame) {
+  return Buffer.isBuffer(frame) && frame.length > 6 && (frame[6] & MSG_TYPE_RESPONSE) !== 0;
+}
+
+/**
+ * Decode a binary command response: uint32 response ID followed by the response text.
+ * @returns {{ ok, id, command, responseId, text }}
+ */
+function decodeResponse(msgId, payload) {
+  const responseId = payload.length >= 4 ? payload.readUInt32LE(0) : 0;
+  const raw = payload.toString('latin1', 4).replace(/\0+$/, '').trim();
+  const text = raw || getCommandSchema()._responses?.[String(responseId)] || `Response ${responseId}`;
+  const command = getCommandDefById(msgId)?.name || String(msgId);
+  return { ok: responseId === RESPONSE_OK, id: msgId, command, responseId, text };
+}
+
+/**
+ * Build a binary response frame for a command (used by the simulator).
+ * Unknown error texts are reported as "Command failed on receiver".
+ */
+function encodeResponse(msgId, ok, text, header = {}) {
+  const responses = getCommandSchema()._responses || {};
+  let responseId = RESPONSE_OK;
+  if (!ok) {
+    const match = Object.entries(responses).find(([, t]) => t.toUpperCase() === String(text).toUpperCase());
+    responseId = match ? Number(match[0]) : 5;
+  }
+  const message = ok ? 'OK' : String(text || responses[String(responseId)]);
+  const payload = Buffer.alloc(4 + message.length);
+  payload.writeUInt32LE(responseId, 0);
+  payload.write(message, 4, 'latin1');
+  return encodeBinaryFrame(msgId, payload, { msgType: MSG_TYPE_RESPONSE, ...header });
+}
+
+module.exports = {
+  encodeCommand,
+  decodeCommand,
+  decodeResponse,
+  encodeResponse,
+  isResponseFrame,
+  resolveMessage
+};
@@ -0,0 +1,207 @@
+// CommandScheduler - single outgoing command queue shared by every sender
+// Only one command is on the wire at a time: each item waits for its response
+// (via CommandTransactions) and a per-transport gap before the next is written.
+// Failed commands are retried; batches can stop on the first error and report
+// progress for the renderer.
+
+const { EventEmitter } = require('events');
+
+// Minimum gap between the end of one command and the start of the next (ms)
+const PACING_MS = { serial: 150, tcp: 50, 'tcp-server': 50, udp: 50, sim: 20, replay: 0 };
+const DEFAULT_PACING_MS = 100;
+const FIRE_AND_FORGET_TIMEOUT_MS = 1000;
+const DEFAULT_BATCH_RETRIES = 1;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class CommandScheduler extends EventEmitter {
+  constructor(serialManager, transactions) {
+    super();
+    this._serial = serialManager;
+    this._transactions = transactions;
+    this._queue = [];         // [{ cmd, timeout, retries, resolve, onWrite }]
+    this._running = false;
+    this._lastDoneAt = 0;
+    this._batchSeq = 0;
+    this._cancelled = new Set();
+
+    this._connectionHandler = (connected) => {
+      if (!connected) this._flush('Connection closed');
+    };
+    this._serial.on('connection', this._connectionHandler);
+
+    // After an automatic reconnect, re-issue the logs that were active
+    this._reconnectHandler = (event) => {
+      if (event.state === 'connected' && event.logs?.length) {
+        this.runBatch(event.logs, { label: 'restore-logs', stopOnError: false });
+      }
+    };
+    this._serial.on('reconnect', this._reconnectHandler);
+  }
+
+  /**
+   * Queue a command without waiting for its response.
+   * Resolves with SerialManager's write result ({ ok, msg }) once written.
+   */
+  send(cmd) {
+    return new Promise((resolve) => {
+      this._push({
+        cmd,
+        timeout: FIRE_AND_FORGET_TIMEOUT_MS,
+        retries: 0,
+        resolve: () => {},
+        onWrite: resolve,
+        onFlush: (reason) => resolve({ ok: false, msg: reason })
+      });
+    });
+  }
+
+  /**
+   * Queue a command and wait for the receiver's response.
+   * @param {string} cmd
+   * @param {object} [options]
+   * @param {number} [options.timeout] - response timeout per attempt (ms)
+   * @param {number} [options.retries=0] - extra attempts after a failure
+   * @returns {Promise<{ok, cmd, response, error, timedOut, elapsedMs, attempts}>}
+   */
+  enqueue(cmd, options = {}) {
+    return new Promise((resolve) => {
+      this._push({
+        cmd,
+        timeout: options.timeout,
+        retries: options.retries ?? 0,
+        resolve,
+        onWrite: null,
+        onAttempt: options.onAttempt
+      });
+    });
+  }
+
+  /**
+   * Run a list of commands in order.
+   * @param {string[]} cmds
+   * @param {object} [options]
+   * @param {string} [options.label] - echoed in progress events so pages can filter
+   * @param {boolean} [options.stopOnError=true]
+   * @param {number} [options.retries=1]
+   * @param {number} [options.timeout]
+   * @returns {Promise<{id, label, ok, results, stoppedAt, cancelled}>}
+   */
+  async runBatch(cmds, options = {}) {
+    const id = ++this._batchSeq;
+    const label = options.label || null;
+    const stopOnError = options.stopOnError !== false;
+    const retries = options.retries ?? DEFAULT_BATCH_RETRIES;
+    const list = (cmds || []).map(c => String(c).trim()).filter(Boolean);
+    const total = list.length;
+    const results = [];
+    let stoppedAt = -1;
+    let cancelled = false;
+
+    this.emit('progress', { id, label, state: 'started', index: 0, total });
+
+    for (let index = 0; index < total; index++) {
+      if (this._cancelled.has(id)) {
+        cancelled = true;
+        stoppedAt = index;
+        break;
+      }
+      const cmd = list[index];
+      const result = await this.enqueue(cmd, {
+        timeout: options.timeout,
+        retries,
+        onAttempt: (attempt) => {
+          this.emit('progress', { id, label, state: 'sending', index, total, cmd, attempt });
+        }
+      });
+      results.push(result);
+      this.emit('progress', { id, label, state: 'result', index, total, cmd, result });
+
+      if (!result.ok && (stopOnError || result.sent === false)) {
+        stoppedAt = index;
+        break;
+      }
+    }
+
+    this._cancelled.delete(id);
+    const ok = stoppedAt === -1 && results.every(r => r.ok);
+    this.emit('progress', { id, label, state: 'finished', index: results.length, total, ok, stoppedAt, cancelled });
+    return { id, label, ok, results, stoppedAt, cancelled };
+  }
+
+  // Stops a running batch before its next command
+  cancelBatch(id) {
+    this._cancelled.add(id);
+  }
+
+  get pendingCount() {
+    return this._queue.length;
+  }
+
+  destroy() {
+    this._serial.removeListener('connection', this._connectionHandler);
+    this._serial.removeListener('reconnect', this._reconnectHandler);
+    this._flush('Closed');
+  }
+
+  _push(item) {
+    this._queue.push(item);
+    this._pump();
+  }
+
+  async _pump() {
+    if (this._running) return;
+    this._running = true;
+    while (this._queue.length) {
+      const item = this._queue.shift();
+      const result = await this._execute(item);
+      item.resolve(result);
+    }
+    this._running = false;
+  }
+
+  async _execute(item) {
+    let result = null;
+    for (let attempt = 1; attempt <= item.retries + 1; attempt++) {
+      await this._pace();
+      item.onAttempt?.(attempt);
+      result = await this._transactions.send(item.cmd, {
+        timeout: item.timeout,
+        onWrite: (write) => {
+          // Only the first write result is reported to fire-and-forget callers
+          if (item.onWrite) {
+            item.onWrite(write);
+            item.onWrite = null;
+          }
+        }
+      });
+      this._lastDoneAt = Date.now();
+      result.attempts = attempt;
+      // Nothing to retry when the command never reached the receiver
+      if (result.ok || result.sent === false) break;
+    }
+    return result;
+  }
+
+  async _pace() {
+    const gap = PACING_MS[this._serial.mode] ?? DEFAULT_PACING_MS;
+    const wait = this._lastDoneAt + gap - Date.now();
+    if (wait > 0) await sleep(wait);
+  }
+
+  // Fail queued (not yet written) items; the in-flight one is failed by CommandTransactions
+  _flush(reason) {
+    const items = this._queue.splice(0);
+    for (const item of items) {
+      item.onFlush?.(reason);
+      item.resolve({
+        ok: false, sent: false, cmd: item.cmd, response: null, error: reason,
+        timedOut: false, elapsedMs: 0, attempts: 0
+      });
+    }
+  }
+}
+
+module.exports = CommandScheduler;
@@ -0,0 +1,153 @@
+// CommandTransactions - correlates receiver responses with sent commands
+// The receiver answers commands in order, so every command written through
+// SerialManager is queued here and the next response is matched to the oldest
+// open entry. Commands sent via send() resolve with the real outcome.
+//
+// Recognized responses:
+//   Abbreviated : <OK            <ERROR:Invalid Message ID      <RTKTYPE ROVER (query echo)
+//   ASCII       : #LOGA,COM1,0,...;OK*1f2e3d4c   #LOGA,...;ERROR:...*crc
+//   NMEA style  : $command,LOG BESTPOSA ONTIME 1,response: OK*2B
+
+const DEFAULT_TIMEOUT_MS = 2000;
+
+function commandName(cmd) {
+  return String(cmd || '').trim().split(/\s+/)[0].toUpperCase();
+}
+
+// Returns { ok, error, name } for a response line, or null for any other line
+function parseResponse(line) {
+  const text = line.trim();
+
+  let m = text.match(/^<\s*OK\b/i);
+  if (m) return { ok: true, error: null, name: null };
+
+  m = text.match(/^<\s*ERROR\s*:?\s*(.*)$/i);
+  if (m) return { ok: false, error: m[1] || 'ERROR', name: null };
+
+  m = text.match(/^#([A-Z0-9]+),[^;]*;\s*(OK|ERROR\s*:?\s*(.*?))\s*(\*[0-9A-Fa-f]{8})?$/i);
+  if (m) {
+    const name = m[1].toUpperCase().replace(/A$/, '');
+    if (/^OK$/i.test(m[2])) return { ok: true, error: null, name };
+    return { ok: false, error: m[3] || 'ERROR', name };
+  }
+
+  m = text.match(/^\$command,(.+?),\s*response:\s*(.+?)\s*(\*[0-9A-Fa-f]{2})?$/i);
+  if (m) {
+    const ok = /^OK\b/i.test(m[2]);
+    return { ok, error: ok ? null : m[2], name: commandName(m[1]) };
+  }
+
+  return null;
+}
+
+class CommandTransactions {
+  constructor(serialManager) {
+    this._serial = serialManager;
+    this._pending = [];   // FIFO of { cmd, name, sentAt, timer, resolve }
+    this._lastEntry = null;
+
+    this._commandHandler = (cmd) => this._onCommand(cmd);
+    this._lineHandler = (text) => this._onLine(text);
+    this._connectionHandler = (connected) => {
+      if (!connected) this._failAll('Connection closed');
+    };
+    this._serial.on('command', this._commandHandler);
+    this._serial.on('line', this._lineHandler);
+    this._serial.on('connection', this._connectionHandler);
+  }
+
+  /**
+   * Send a command and wait for the receiver's response.
+   * @param {string} cmd
+   * @param {object} [options]
+   * @param {number} [options.timeout=2000] - ms to wait for <OK / <ERROR
+   * @param {function} [options.onWrite] - called with SerialManager's write result
+   * @returns {Promise<{ok, sent, cmd, response, error, timedOut, elapsedMs}>}
+   */
+  send(cmd, options = {}) {
+    const timeout = options.timeout ?? DEFAULT_TIMEOUT_MS;
+    this._lastEntry = null;
+    const result = this._serial.sendCommand(cmd);
+    const entry = this._lastEntry;
+    options.onWrite?.(result);
+
+    // Accepted without being written (replay): there is no response to wait for
+    if (result.ok && result.written === false) {
+      return Promise.resolve({
+        ok: true, sent: false, cmd, response: null, error: null, timedOut: false, elapsedMs: 0
+      });
+    }
+
+    if (!result.ok || !entry) {
+      return Promise.resolve({
+        ok: false, sent: false, cmd, response: null, error: result.msg, timedOut: false, elapsedMs: 0
+      });
+    }
+
+    return new Promise((resolve) => {
+      entry.resolve = resolve;
+      this._armTimeout(entry, timeout);
+    });
+  }
+
+  destroy() {
+    this._serial.removeListener('command', this._commandHandler);
+    this._serial.removeListener('line', this._lineHandler);
+    this._serial.removeListener('connection', this._connectionHandler);
+    this._failAll('Closed');
+  }
+
+  // Every written command gets an entry, so fire-and-forget commands
+  // (cards, DeviceQuery) still consume their own response.
+  _onCommand(cmd) {
+    const entry = { cmd, name: commandName(cmd), sentAt: Date.now(), timer: null, resolve: null };
+    this._armTimeout(entry, DEFAULT_TIMEOUT_MS);
+    this._pending.push(entry);
+    this._lastEntry = entry;
+  }
+
+  _armTimeout(entry, timeout) {
+    if (entry.timer) clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      this._settle(entry, { ok: false, response: null, error: 'No response (timeout)', timedOut: true });
+    }, timeout);
+  }
+
+  _onLine(text) {
+    if (typeof text !== 'string' || !this._pending.length) return;
+    const line = text.trim();
+    if (!line || line.startsWith('>')) return;
+
+    const parsed = parseResponse(line);
+    if (parsed) {
+      const entry = (parsed.name && this._pending.find(e => e.name === parsed.name)) || this._pending[0];
+      this._settle(entry, { ok: parsed.ok, response: line, error: parsed.error, timedOut: false });
+      return;
+    }
+
+    // Abbreviated query reply, e.g. "<RTKTYPE ROVER" for a bare RTKTYPE
+    if (line.startsWith('<')) {
+      const name = commandName(line.slice(1));
+      const entry = this._pending.find(e => e.name === name);
+      if (entry) this._settle(entry, { ok: true, response: line, error: null, timedOut: false });
+    }
+  }
+
+  _settle(entry, outcome) {
+    const idx = this._pending.indexOf(entry);
+    if (idx === -1) return;
+    this._pending.splice(idx, 1);
+    clearTimeout(entry.timer);
+    if (entry.resolve) {
+      entry.resolve({ cmd: entry.cmd, sent: true, elapsedMs: Date.now() - entry.sentAt, ...outcome });
+    }
+  }
+
+  _failAll(reason) {
+    for (const entry of [...this._pending]) {
+      this._settle(entry, { ok: false, response: null, error: reason, timedOut: false });
+    }
+  }
+}
+
+module.exports = CommandTransactions;
@@ -1,4 +1,4 @@
-// CRC32 (BYNAV) + CRC-24Q (RTCM v3)
+// CRC32 (BYNAV) + CRC-24Q (RTCM v3) + NMEA/ASCII line checksums
 
 const CRC32_POLYNOMIAL = 0xEDB88320;
 
@@ -42,4 +42,39 @@ function crc24q(data) {
   return crc & 0xFFFFFF;
 }
 
-module.exports = { calcBlockCrc32, crc24q };
+// NMEA 0183 checksum: XOR of every character between '$' and '*'
+function nmeaXor(text) {
+  let cs = 0;
+  for (let i = 0; i < text.length; i++) cs ^= text.charCodeAt(i);
+  return cs;
+}
+
+// Command responses may come without a checksum:
+// "$command,LOG ...,response: OK" and "#LOGA,COM1,...;OK"
+const UNCHECKED_RESPONSE = /^(\$command,|#[A-Z0-9]+,[^;]*;\s*(OK|ERROR)\b)/i;
+
+/**
+ * Check the checksum a text line carries after its last '*':
+ * "$...*hh" NMEA sentences (XOR) and "#...*xxxxxxxx" BYNAV ASCII logs (CRC32
+ * of everything between '#' and '*'). A '$' / '#' data line without one fails,
+ * since a corrupted '*' would otherwise let the damaged line through.
+ * @param {string} line - trimmed line
+ * @returns {boolean|null} null when the line has no checksum to check
+ */
+function checkLineChecksum(line) {
+  const lead = line[0];
+  if (lead !== '$' && lead !== '#') return null;
+  const star = line.lastIndexOf('*');
+  if (star === -1) return UNCHECKED_RESPONSE.test(line) ? null : false;
+  const body = line.slice(1, star);
+  const field = line.slice(star + 1);
+
+  if (lead === '$') {
+    if (!/^[0-9A-Fa-f]{2}$/.test(field)) return false;
+    return parseInt(field, 16) === nmeaXor(body);
+  }
+  if (!/^[0-9A-Fa-f]{8}$/.test(field)) return false;
+  return parseInt(field, 16) === calcBlockCrc32(Buffer.from(body, 'latin1'));
+}
+
+module.exports = { calcBlockCrc32, crc24q, nmeaXor, checkLineChecksum };
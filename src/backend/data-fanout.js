@@ -0,0 +1,337 @@
+// DataFanout - re-broadcasts the receiver stream to other applications
+// Every chunk SerialManager receives ('rx') is copied to the configured outputs:
+// a local TCP server, a UDP target or a second serial port. An output without a
+// filter gets the bytes untouched; an output with a filter gets only the
+// messages of the selected types (binary / ascii / nmea / rtcm) that passed
+// their CRC / checksum, as framed by SerialManager's decoder ('framed'). 'synth'
+// selects NMEA generated in the app (NmeaSynthesizer), handed in through publish().
+//
+// One output at a time may pass commands back: text lines it receives are
+// emitted as 'command' and sent to the receiver by the owner. For a TCP server
+// output only the longest-connected client is listened to.
+
+const { EventEmitter } = require('events');
+const net = require('net');
+const dgram = require('dgram');
+const dns = require('dns');
+
+const MESSAGE_TYPES = ['binary', 'ascii', 'nmea', 'rtcm', 'synth'];
+const MAX_CLIENT_BACKLOG = 1024 * 1024;   // a client / port this far behind misses data
+const MAX_COMMAND_LINE = 1024;
+const MAX_DATAGRAM = 1472;                 // one Ethernet frame, no IP fragmentation
+
+class DataFanout extends EventEmitter {
+  constructor(serialManager) {
+    super();
+    this._serial = serialManager;
+    this._outputs = new Map();   // id -> output
+    this._nextId = 1;
+    this._commandOutputId = null;
+
+    this._onRx = (chunk) => this._write(chunk);
+    this._onFramed = ({ type, ok, data }) => {
+      if (ok && this._outputs.size) this._writeFiltered(type, data);
+    };
+    if (this._serial) {
+      this._serial.on('rx', this._onRx);
+      this._serial.on('framed', this._onFramed);
+    }
+  }
+
+  /**
+   * Open a new output.
+   * @param {object} config
+   * @param {string} config.type - 'tcp-server' | 'udp' | 'serial'
+   * @param {number} [config.port] - tcp-server listen port / udp target port
+   * @param {string} [config.host] - tcp-server bind address (default 127.0.0.1) / udp target host
+   * @param {string} [config.path] - serial port path
+   * @param {number} [config.baudRate] - serial baud rate (default 115200)
+   * @param {string[]} [config.types] - message types to pass; empty for the raw stream
+   * @param {boolean} [config.commands=false] - pass commands received on this output to the receiver
+   * @returns {Promise<{ok: boolean, msg: string, output?: object}>}
+   */
+  async addOutput(config = {}) {
+    const types = (config.types || []).map(t => String(t).toLowerCase());
+    const unknown = types.find(t => !MESSAGE_TYPES.includes(t));
+    if (unknown) return { ok: false, msg: `[Output] Unknown message type: ${unknown}` };
+
+    let output;
+    switch (config.type) {
+      case 'tcp-server': output = new TcpServerOutput(config); break;
+      case 'udp': output = new UdpOutput(config); break;
+      case 'serial': output = new SerialOutput(config); break;
+      default: return { ok: false, msg: `[Output] Unknown output type: ${config.type}` };
+    }
+
+    output.id = this._nextId++;
+    output.types = types.length ? new Set(types) : null;
+    output.onCommand = (line) => {
+      if (this._commandOutputId === output.id) this.emit('command', line, output.desc);
+    };
+    const result = await output.open();
+    if (!result.ok) return result;
+
+    this._outputs.set(output.id, output);
+    if (config.commands) this._commandOutputId = output.id;
+    this._emitChange();
+    return { ok: true, msg: `Output opened: ${output.desc}`, output: this._describe(output) };
+  }
+
+  removeOutput(id) {
+    const output = this._outputs.get(id);
+    if (!output) return { ok: false, msg: `[Output] No output ${id}` };
+    output.close();
+    this._outputs.delete(id);
+    if (this._commandOutputId === id) this._commandOutputId = null;
+    this._emitChange();
+    return { ok: true, msg: `Output closed: ${output.desc}` };
+  }
+
+  // Data that did not come from the receiver stream, for outputs filtering on its type
+  publish(type, data) {
+    if (this._outputs.size) this._writeFiltered(type, data);
+  }
+
+  getOutputs() {
+    return [...this._outputs.values()].map(o => this._describe(o));
+  }
+
+  closeAll() {
+    for (const id of [...this._outputs.keys()]) this.removeOutput(id);
+  }
+
+  destroy() {
+    this.closeAll();
+    if (this._serial) {
+      this._serial.removeListener('rx', this._onRx);
+      this._serial.removeListener('framed', this._onFramed);
+    }
+  }
+
+  _write(chunk) {
+    if (!this._outputs.size) return;
+    for (const output of this._outputs.values()) {
+      if (!output.types) output.send(chunk);
+    }
+  }
+
+  _writeFiltered(type, data) {
+    for (const output of this._outputs.values()) {
+      if (output.types && output.types.has(type)) output.send(data);
+    }
+  }
+
+  _describe(output) {
+    return {
+      id: output.id,
+      type: output.type,
+      desc: output.desc,
+      types: output.types ? [...output.types] : [],
+      commands: this._commandOutputId === output.id,
+      ...output.status()
+    };
+  }
+
+  _emitChange() {
+    this.emit('change', this.getOutputs());
+  }
+}
+
+// Splits incoming bytes into command lines
+class LineSplitter {
+  constructor(onLine) {
+    this._onLine = onLine;
+    this._pending = '';
+  }
+
+  push(data) {
+    const lines = (this._pending + data.toString('latin1')).split(/\r?\n|\r/);
+    this._pending = lines.pop();
+    if (this._pending.length > MAX_COMMAND_LINE) this._pending = '';
+    for (const line of lines) {
+      const cmd = line.trim();
+      if (cmd) this._onLine(cmd);
+    }
+  }
+}
+
+// Local TCP server; every connected client gets the stream
+class TcpServerOutput {
+  constructor({ host = '127.0.0.1', port }) {
+    this.type = 'tcp-server';
+    this.desc = `tcp-listen://${host}:${port}`;
+    this._host = host;
+    this._port = port;
+    this._server = null;
+    this._clients = [];   // oldest first; clients[0] may send commands
+    this._bytesSent = 0;
+    this._dropped = 0;
+  }
+
+  open() {
+    return new Promise((resolve) => {
+      this._server = net.createServer((socket) => this._onClient(socket));
+      this._server.once('error', (err) => resolve({ ok: false, msg: `[Output] ${this.desc}: ${err.message}` }));
+      this._server.listen(this._port, this._host, () => {
+        this._server.on('error', () => { });
+        resolve({ ok: true });
+      });
+    });
+  }
+
+  _onClient(socket) {
+    socket.setNoDelay(true);
+    const splitter = new LineSplitter((line) => {
+      if (this._clients[0] === socket) this.onCommand(line);
+    });
+    socket.on('data', (data) => splitter.push(data));
+    socket.on('error', () => { });
+    socket.on('close', () => {
+      this._clients = this._clients.filter(c => c !== socket);
+    });
+    this._clients.push(socket);
+  }
+
+  send(data) {
+    for (const socket of this._clients) {
+      // Never buffer without bound for a client that stopped reading
+      if (socket.writableLength > MAX_CLIENT_BACKLOG) {
+        this._dropped += data.length;
+        continue;
+      }
+      socket.write(data);
+      this._bytesSent += data.length;
+    }
+  }
+
+  close() {
+    for (const socket of this._clients) socket.destroy();
+    this._clients = [];
+    this._server?.close();
+    this._server = null;
+  }
+
+  status() {
+    return {
+      clients: this._clients.map(s => `${s.remoteAddress}:${s.remotePort}`),
+      bytesSent: this._bytesSent,
+      bytesDropped: this._dropped
+    };
+  }
+}
+
+// UDP datagrams to one target; datagrams coming back from it are commands.
+// The socket listens on every interface, so anything not sent from the
+// target's address and port is dropped.
+class UdpOutput {
+  constructor({ host, port }) {
+    this.type = 'udp';
+    this.desc = `udp://${host}:${port}`;
+    this._host = host;
+    this._port = port;
+    this._address = null;   // host resolved once on open
+    this._socket = null;
+    this._bytesSent = 0;
+  }
+
+  open() {
+    return new Promise((resolve) => {
+      if (!this._host || !this._port) {
+        resolve({ ok: false, msg: '[Output] UDP output needs a host and port' });
+        return;
+      }
+      dns.lookup(this._host, { family: 4 }, (err, address) => {
+        if (err) {
+          resolve({ ok: false, msg: `[Output] ${this.desc}: ${err.message}` });
+          return;
+        }
+        this._address = address;
+        this._socket = dgram.createSocket('udp4');
+        this._socket.once('error', (e) => resolve({ ok: false, msg: `[Output] ${this.desc}: ${e.message}` }));
+        // Only the target is listened to, so its splitter never sees another sender's fragments
+        const splitter = new LineSplitter((line) => this.onCommand(line));
+        this._socket.on('message', (msg, rinfo) => {
+          if (rinfo.address !== this._address || rinfo.port !== this._port) return;
+          splitter.push(msg);
+        });
+        this._socket.bind(0, () => {
+          this._socket.on('error', () => { });
+          resolve({ ok: true });
+        });
+      });
+    });
+  }
+
+  send(data) {
+    for (let i = 0; i < data.length; i += MAX_DATAGRAM) {
+      this._socket.send(data.subarray(i, i + MAX_DATAGRAM), this._port, this._address);
+    }
+    this._bytesSent += data.length;
+  }
+
+  close() {
+    try { this._socket?.close(); } catch { }
+    this._socket = null;
+  }
+
+  status() {
+    return { clients: [], bytesSent: this._bytesSent, bytesDropped: 0 };
+  }
+}
+
+// Second serial port, e.g. a null-modem pair into survey software
+class SerialOutput {
+  constructor({ path, baudRate = 115200 }) {
+    this.type = 'serial';
+    this.desc = `${path}@${baudRate}`;
+    this._path = path;
+    this._baudRate = baudRate;
+    this._port = null;
+    this._bytesSent = 0;
+    this._dropped = 0;
+  }
+
+  open() {
+    return new Promise((resolve) => {
+      try {
+        const { SerialPort } = require('serialport');
+        this._port = new SerialPort({ path: this._path, baudRate: this._baudRate, autoOpen: false });
+      } catch (e) {
+        resolve({ ok: false, msg: `[Output] ${this.desc}: ${e.message}` });
+        return;
+      }
+      this._port.open((err) => {
+        if (err) {
+          resolve({ ok: false, msg: `[Output] ${this.desc}: ${err.message}` });
+          return;
+        }
+        const splitter = new LineSplitter((line) => this.onCommand(line));
+        this._port.on('data', (data) => splitter.push(data));
+        this._port.on('error', () => { });
+        resolve({ ok: true });
+      });
+    });
+  }
+
+  send(data) {
+    if (!this._port?.isOpen) return;
+    // A slower baud rate than the receiver's cannot keep up; drop instead of queueing
+    if (this._port.writableLength > MAX_CLIENT_BACKLOG) {
+      this._dropped += data.length;
+      return;
+    }
+    this._port.write(data);
+    this._bytesSent += data.length;
+  }
+
+  close() {
+    if (this._port?.isOpen) this._port.close();
+    this._port = null;
+  }
+
+  status() {
+    return { clients: [], bytesSent: this._bytesSent, bytesDropped: this._dropped };
+  }
+}
+
+module.exports = DataFanout;
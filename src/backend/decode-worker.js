@@ -0,0 +1,42 @@
+// Decode worker - runs FrameProcessor for FrameDecoder on its own thread
+// Messages in:  init / data / reset / echo / decode
+// Messages out: { generation, events } once per received chunk with events
+const { parentPort } = require('worker_threads');
+const { FrameProcessor } = require('./frame-decoder');
+
+const processor = new FrameProcessor();
+let generation = 0;
+
+parentPort.on('message', (msg) => {
+  switch (msg.type) {
+    case 'init':
+      generation = msg.generation;
+      processor.setFrameEcho(msg.echo);
+      processor.setDecodeIds(msg.ids || []);
+      break;
+    case 'data': {
+      const chunk = Buffer.from(msg.chunk.buffer, msg.chunk.byteOffset, msg.chunk.byteLength);
+      const events = processor.push(chunk);
+      if (!events.length) break;
+      // Frames are slices of pooled buffers: copy each into its own transferable buffer
+      const transfer = [];
+      for (const event of events) {
+        if (!event.raw) continue;
+        event.raw = new Uint8Array(event.raw);
+        transfer.push(event.raw.buffer);
+      }
+      parentPort.postMessage({ generation, events }, transfer);
+      break;
+    }
+    case 'reset':
+      generation = msg.generation;
+      processor.reset();
+      break;
+    case 'echo':
+      processor.setFrameEcho(msg.enabled);
+      break;
+    case 'decode':
+      processor.setDecodeIds(msg.ids || []);
+      break;
+  }
+});
@@ -14,9 +14,10 @@ const PORT_REGEX = /^(COM\d+|ICOM\d+)$/i;
 const ICOM_REGEX = /^ICOM\d+$/i;
 
 class DeviceQuery extends EventEmitter {
-  constructor(serialManager) {
+  constructor(serialManager, scheduler = null) {
     super();
     this._serial = serialManager;
+    this._scheduler = scheduler;
     this._mode = null;
     this._buffer = [];
     this._timeoutId = null;
@@ -117,16 +118,29 @@ class DeviceQuery extends EventEmitter {
     const cmd = type === 'COMCONFIG' ? 'LOG COMCONFIG ONCE'
       : type === 'ICOMCONFIG' ? 'LOG ICOMCONFIG ONCE'
         : 'LOG LOGLISTA ONCE';
-    this._serial.sendCommand(cmd);
 
     const timeout = type === 'LOGLISTA' ? LOGLISTA_TIMEOUT_MS
       : type === 'ICOMCONFIG' ? ICOMCONFIG_TIMEOUT_MS
         : COMCONFIG_TIMEOUT_MS;
 
-    this._timeoutId = setTimeout(() => {
-      const result = this._parseCurrentBuffer(type);
-      this._finish(result);
-    }, timeout);
+    const armTimeout = (write) => {
+      if (this._mode !== type || this._timeoutId) return;
+      // Replay accepts the command without writing it; only the capture can
+      // answer, so wait once rather than re-asking
+      if (write && write.written === false) this._retryCount = MAX_RETRIES;
+      this._timeoutId = setTimeout(() => {
+        const result = this._parseCurrentBuffer(type);
+        this._finish(result);
+      }, timeout);
+    };
+
+    // The shared scheduler may hold the command behind other traffic,
+    // so the response timeout starts once it is actually written
+    if (this._scheduler) {
+      this._scheduler.send(cmd).then(armTimeout);
+    } else {
+      armTimeout(this._serial.sendCommand(cmd));
+    }
   }
 
   _parseCurrentBuffer(type) {
@@ -0,0 +1,387 @@
+// Expression - sandboxed evaluator for schema-defined derived fields
+// Expressions are parsed into a small AST and walked; nothing reaches
+// Function/eval and identifiers only resolve to the message's own values or
+// the function / constant library below. Supports number, string, boolean and
+// array literals, field and earlier derived values, indexing (channels[0].prn),
+// arithmetic, comparison, logical operators and the ternary.
+
+class ExpressionError extends Error {
+  constructor(message, expr, pos = null) {
+    super(pos == null ? message : `${message} at position ${pos + 1}`);
+    this.name = 'ExpressionError';
+    this.reason = message;
+    this.expr = expr;
+    this.pos = pos;
+  }
+}
+
+const MAX_LENGTH = 1000;
+const MAX_DEPTH = 64;
+
+const DEG = 180 / Math.PI;
+
+// Numeric arguments may also be arrays (e.g. a repeat group's column via
+// pluck); these are flattened so hypot(v), min(a, b) and sum(xs) all work
+function numbers(args) {
+  return args.flat(Infinity).map(Number);
+}
+
+function mean(args) {
+  const xs = numbers(args);
+  return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null;
+}
+
+const FUNCTIONS = {
+  abs: Math.abs,
+  sign: Math.sign,
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  exp: Math.exp,
+  log: Math.log,
+  log10: Math.log10,
+  log2: Math.log2,
+  pow: Math.pow,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  round: (x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits,
+  trunc: Math.trunc,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  atan2: Math.atan2,
+  deg: (rad) => rad * DEG,
+  rad: (deg) => deg / DEG,
+  // Always-positive remainder: mod(-90, 360) is 270, handy for course/heading
+  mod: (x, m) => ((x % m) + m) % m,
+  clamp: (x, lo, hi) => Math.min(Math.max(x, lo), hi),
+  hypot: (...args) => Math.hypot(...numbers(args)),
+  min: (...args) => Math.min(...numbers(args)),
+  max: (...args) => Math.max(...numbers(args)),
+  sum: (...args) => numbers(args).reduce((a, b) => a + b, 0),
+  mean: (...args) => mean(args),
+  len: (v) => (v == null ? 0 : v.length),
+  // Column of a repeat group: pluck(channels, 'cn0')
+  pluck: (records, name) => (Array.isArray(records) ? records.map(r => member(r, name)) : null),
+  num: (v) => (v == null || v === '' ? null : Number(v)),
+  str: (v) => (v == null ? '' : String(v)),
+  isnull: (v) => v == null,
+};
+
+const CONSTANTS = {
+  PI: Math.PI,
+  E: Math.E,
+  true: true,
+  false: false,
+  null: null,
+};
+
+// --- Tokenizer ---
+
+const TOKEN = new RegExp([
+  /(\s+)/.source,
+  /(0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/.source,
+  /([A-Za-z_$][\w$]*)/.source,
+  /("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')/.source,
+  /(\*\*|==|!=|<=|>=|&&|\|\||\?\?|[-+*/%<>!?:,.()[\]])/.source,
+].join('|'), 'y');
+
+const STRING_ESCAPES = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"' };
+
+function tokenize(expr) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < expr.length) {
+    const pos = TOKEN.lastIndex;
+    const m = TOKEN.exec(expr);
+    if (!m) throw new ExpressionError(`Unexpected character '${expr[pos]}'`, expr, pos);
+    if (m[1]) continue;
+    const raw = m[0];
+    if (m[2]) tokens.push({ type: 'num', value: Number(raw), raw, pos });
+    else if (m[3]) tokens.push({ type: 'name', value: raw, raw, pos });
+    else if (m[4]) tokens.push({ type: 'str', value: raw.slice(1, -1).replace(/\\(.)/g, (_, c) => STRING_ESCAPES[c] ?? c), raw, pos });
+    else tokens.push({ type: 'op', value: raw, raw, pos });
+  }
+  tokens.push({ type: 'end', value: null, pos: expr.length });
+  return tokens;
+}
+
+// --- Parser (precedence climbing) ---
+
+// Binary operators, lowest binding first; ** is right-associative
+const BINARY = {
+  '??': 1,
+  '||': 2,
+  '&&': 3,
+  '==': 4, '!=': 4,
+  '<': 5, '<=': 5, '>': 5, '>=': 5,
+  '+': 6, '-': 6,
+  '*': 7, '/': 7, '%': 7,
+  '**': 9,
+};
+const UNARY_PRECEDENCE = 8;
+
+class Parser {
+  constructor(expr) {
+    this.expr = expr;
+    this.tokens = tokenize(expr);
+    this.i = 0;
+    this.depth = 0;
+  }
+
+  parse() {
+    const node = this._expression();
+    if (this._peek().type !== 'end') this._unexpected();
+    return node;
+  }
+
+  _expression() {
+    if (++this.depth > MAX_DEPTH) this._fail('Expression is nested too deeply', this._peek().pos);
+    const test = this._binary(0);
+    let node = test;
+    if (this._accept('?')) {
+      const then = this._expression();
+      this._expect(':');
+      node = { type: 'cond', test, then, else: this._expression() };
+    }
+    this.depth--;
+    return node;
+  }
+
+  _binary(minPrecedence) {
+    let left = this._unary();
+    for (;;) {
+      const tok = this._peek();
+      const prec = tok.type === 'op' ? BINARY[tok.value] : undefined;
+      if (prec === undefined || prec < minPrecedence) return left;
+      this.i++;
+      const right = this._binary(tok.value === '**' ? prec : prec + 1);
+      left = { type: 'binary', op: tok.value, left, right, pos: tok.pos };
+    }
+  }
+
+  _unary() {
+    const tok = this._peek();
+    if (tok.type === 'op' && (tok.value === '-' || tok.value === '+' || tok.value === '!')) {
+      this.i++;
+      if (++this.depth > MAX_DEPTH) this._fail('Expression is nested too deeply', tok.pos);
+      // -x ** 2 binds as -(x ** 2)
+      const arg = this._binary(UNARY_PRECEDENCE);
+      this.depth--;
+      return { type: 'unary', op: tok.value, arg };
+    }
+    return this._postfix(this._primary());
+  }
+
+  _postfix(node) {
+    for (;;) {
+      const tok = this._peek();
+      if (this._accept('[')) {
+        node = { type: 'index', object: node, index: this._expression(), pos: tok.pos };
+        this._expect(']');
+      } else if (this._accept('.')) {
+        const name = this._next();
+        if (name.type !== 'name') this._fail('Expected a property name', name.pos);
+        node = { type: 'index', object: node, index: { type: 'lit', value: name.value }, pos: tok.pos };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  _primary() {
+    const tok = this._next();
+    switch (tok.type) {
+      case 'num':
+      case 'str':
+        return { type: 'lit', value: tok.value };
+      case 'name':
+        if (this._peek().value === '(' && this._peek().type === 'op') {
+          if (!Object.hasOwn(FUNCTIONS, tok.value)) this._fail(`Unknown function '${tok.value}'`, tok.pos);
+          this.i++;
+          return { type: 'call', name: tok.value, args: this._list(')'), pos: tok.pos };
+        }
+        return { type: 'ref', name: tok.value, pos: tok.pos };
+      case 'op':
+        if (tok.value === '(') {
+          const node = this._expression();
+          this._expect(')');
+          return node;
+        }
+        if (tok.value === '[') return { type: 'array', items: this._list(']') };
+    }
+    this.i--;
+    return this._unexpected();
+  }
+
+  // Comma-separated expressions up to the closing bracket (already past the opener)
+  _list(close) {
+    const items = [];
+    while (!this._accept(close)) {
+      if (items.length) this._expect(',');
+      items.push(this._expression());
+    }
+    return items;
+  }
+
+  _peek() {
+    return this.tokens[this.i];
+  }
+
+  _next() {
+    return this.tokens[this.i++];
+  }
+
+  _accept(op) {
+    const tok = this._peek();
+    if (tok.type !== 'op' || tok.value !== op) return false;
+    this.i++;
+    return true;
+  }
+
+  _expect(op) {
+    if (!this._accept(op)) this._unexpected(`'${op}'`);
+  }
+
+  _unexpected(expected) {
+    const tok = this._peek();
+    const what = tok.type === 'end' ? 'end of expression' : `'${tok.raw}'`;
+    this._fail(`Unexpected ${what}${expected ? `, expected ${expected}` : ''}`, tok.pos);
+  }
+
+  _fail(message, pos) {
+    throw new ExpressionError(message, this.expr, pos);
+  }
+}
+
+// --- Evaluation ---
+
+// Only own properties of records and arrays, so nothing reaches prototypes
+function member(object, key) {
+  if (Array.isArray(object) || typeof object === 'string') {
+    if (key === 'length') return object.length;
+    return Number.isInteger(key) && key >= 0 && key < object.length ? object[key] : null;
+  }
+  if (object !== null && typeof object === 'object' && Object.hasOwn(object, key)) return object[key];
+  return null;
+}
+
+function binary(op, a, b) {
+  switch (op) {
+    case '+': return typeof a === 'string' || typeof b === 'string' ? `${a ?? ''}${b ?? ''}` : a + b;
+    case '-': return a - b;
+    case '*': return a * b;
+    case '/': return a / b;
+    case '%': return a % b;
+    case '**': return a ** b;
+    case '==': return a === b;
+    case '!=': return a !== b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+  }
+  return undefined;
+}
+
+function evaluateNode(node, scope, expr) {
+  switch (node.type) {
+    case 'lit':
+      return node.value;
+    case 'ref':
+      if (Object.hasOwn(scope, node.name)) return scope[node.name];
+      if (Object.hasOwn(CONSTANTS, node.name)) return CONSTANTS[node.name];
+      throw new ExpressionError(`Unknown name '${node.name}'`, expr, node.pos);
+    case 'array':
+      return node.items.map(item => evaluateNode(item, scope, expr));
+    case 'index':
+      return member(evaluateNode(node.object, scope, expr), evaluateNode(node.index, scope, expr));
+    case 'call':
+      return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, scope, expr)));
+    case 'cond':
+      return evaluateNode(node.test, scope, expr)
+        ? evaluateNode(node.then, scope, expr)
+        : evaluateNode(node.else, scope, expr);
+    case 'unary': {
+      const v = evaluateNode(node.arg, scope, expr);
+      return node.op === '!' ? !v : node.op === '-' ? -v : +v;
+    }
+    case 'binary': {
+      const a = evaluateNode(node.left, scope, expr);
+      // Short-circuit, so cond && x / y never evaluates the right side needlessly
+      if (node.op === '&&') return a && evaluateNode(node.right, scope, expr);
+      if (node.op === '||') return a || evaluateNode(node.right, scope, expr);
+      if (node.op === '??') return a ?? evaluateNode(node.right, scope, expr);
+      return binary(node.op, a, evaluateNode(node.right, scope, expr));
+    }
+  }
+  throw new ExpressionError(`Unsupported node '${node.type}'`, expr);
+}
+
+// NaN / Infinity (0/0, sqrt(-1), a missing field in arithmetic) become null,
+// same as a field that could not be decoded
+function normalizeResult(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (Array.isArray(value)) return value.map(normalizeResult);
+  return value === undefined ? null : value;
+}
+
+// --- Public API ---
+
+const _cache = new Map();
+
+/**
+ * Parse an expression once; the result is cached per source string.
+ * @param {string} expr
+ * @returns {{ expr: string, ast: object, names: string[] }}
+ * @throws {ExpressionError}
+ */
+function compile(expr) {
+  expr = String(expr);
+  const cached = _cache.get(expr);
+  if (cached) {
+    if (cached instanceof ExpressionError) throw cached;
+    return cached;
+  }
+  try {
+    if (expr.length > MAX_LENGTH) throw new ExpressionError(`Expression is longer than ${MAX_LENGTH} characters`, expr);
+    const ast = new Parser(expr).parse();
+    const compiled = { expr, ast, names: referencedNames(ast) };
+    _cache.set(expr, compiled);
+    return compiled;
+  } catch (e) {
+    if (e instanceof ExpressionError) _cache.set(expr, e);
+    throw e;
+  }
+}
+
+// Names an expression reads that are not library constants (schema-lint
+// checks these against the message's fields)
+function referencedNames(ast) {
+  const names = new Set();
+  const walk = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (node.type === 'ref' && !Object.hasOwn(CONSTANTS, node.name)) names.add(node.name);
+    for (const value of Object.values(node)) {
+      if (Array.isArray(value)) value.forEach(walk);
+      else if (value && typeof value === 'object') walk(value);
+    }
+  };
+  walk(ast);
+  return [...names];
+}
+
+/**
+ * Evaluate an expression against a message's values.
+ * @param {string} expr
+ * @param {Object<string, *>} scope - field name -> decoded value
+ * @returns {*} number, string, boolean, array or null
+ * @throws {ExpressionError} on a syntax error or an unknown name
+ */
+function evaluate(expr, scope = {}) {
+  return normalizeResult(evaluateNode(compile(expr).ast, scope, String(expr)));
+}
+
+module.exports = { compile, evaluate, ExpressionError, FUNCTIONS, CONSTANTS };
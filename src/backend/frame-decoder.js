@@ -0,0 +1,288 @@
+// FrameDecoder - frames, checks and decodes the device stream on a worker thread
+// SerialManager hands every received chunk to FrameDecoder, which runs the
+// StreamFramer, CRC checks, header decoding and schema decoding in
+// decode-worker.js and posts the results back as one batch of plain events per
+// chunk. Each binary frame is decoded at most once; only message IDs someone has
+// asked for (setDecodeIds) get their payload schema-decoded.
+//
+// Events (in stream order):
+//   { type: 'line', text, color, bytes, ok }  bytes is set for lines framed from the stream;
+//                                            ok is false when an NMEA/ASCII checksum failed
+//   { type: 'binary', ok, id, raw, payloadStart, payloadEnd, crc, header, parsed }
+//   { type: 'response', ok, text, raw }      binary command response (AA 44 12, response bit)
+//   { type: 'rtcm', ok, id, sid, length, total, raw }
+
+const { EventEmitter } = require('events');
+const path = require('path');
+const { StreamFramer } = require('./stream-framer');
+const { calcBlockCrc32, crc24q, checkLineChecksum } = require('./crc');
+const { decodeResponse, isResponseFrame } = require('./command-codec');
+const { parseBinaryPayload, decodeBinaryHeader, decodeShortBinaryHeader } = require('./binary-parser');
+
+const WORKER_PATH = path.join(__dirname, 'decode-worker.js');
+const BYNAV_SHORT_HEADER_LEN = 12;   // AA 44 13 short header ("S" logs)
+
+// RTCM MSM ranges
+const MSM_RANGES = [[1071, 1077], [1081, 1087], [1091, 1097], [1111, 1117], [1121, 1127]];
+function isMSM(id) {
+  return MSM_RANGES.some(([lo, hi]) => id >= lo && id <= hi);
+}
+
+class BitReader {
+  constructor(data) {
+    this.data = data;
+    this.bitLen = data.length * 8;
+    this.pos = 0;
+  }
+  read(n) {
+    if (this.pos + n > this.bitLen) throw new Error('EOFError');
+    let v = 0;
+    for (let i = 0; i < n; i++) {
+      const byteIdx = this.pos >> 3;
+      const bitIdx = 7 - (this.pos & 7);
+      v = (v << 1) | ((this.data[byteIdx] >> bitIdx) & 1);
+      this.pos++;
+    }
+    return v;
+  }
+}
+
+function toHex(frame) {
+  return frame.toString('hex').toUpperCase().replace(/(..)(?!$)/g, '$1 ');
+}
+
+// Synchronous framing + decoding; runs inside the worker (or inline as a fallback)
+class FrameProcessor {
+  constructor() {
+    this._events = [];
+    this._frameEcho = false;
+    this._decodeIds = new Set();
+    this._framer = new StreamFramer({
+      binary: (frame) => this._onBynavFrame(frame),
+      shortBinary: (frame) => this._onShortFrame(frame),
+      rtcm: (frame) => this._onRtcmFrame(frame),
+      line: (text, bytes) => this._onLine(text, bytes)
+    });
+  }
+
+  // Frames a chunk and returns the events it completed
+  push(chunk) {
+    this._framer.push(chunk);
+    const events = this._events;
+    this._events = [];
+    return events;
+  }
+
+  reset() {
+    this._framer.reset();
+    this._events = [];
+  }
+
+  setFrameEcho(enabled) {
+    this._frameEcho = !!enabled;
+  }
+
+  setDecodeIds(ids) {
+    this._decodeIds = new Set(ids);
+  }
+
+  _echoFrame(frame, crcOk) {
+    if (crcOk && !this._frameEcho) return;
+    const hexStr = toHex(frame);
+    this._events.push({
+      type: 'line', text: crcOk ? hexStr : `[CRC ERROR] ${hexStr}`, color: crcOk ? '#888' : 'red'
+    });
+  }
+
+  _decode(id, payload, crc, crcOk) {
+    if (!crcOk || !this._decodeIds.has(id)) return null;
+    try {
+      return parseBinaryPayload(id, payload, crc);
+    } catch (e) {
+      console.error(`[FrameDecoder] Binary error id=${id}:`, e.message);
+      return null;
+    }
+  }
+
+  // NMEA sentences and ASCII logs; other text (prompts, abbreviated responses)
+  // and command responses without a checksum pass as they are
+  _onLine(text, bytes) {
+    const ok = checkLineChecksum(text) !== false;
+    this._events.push({ type: 'line', text, color: '#000', bytes, ok });
+  }
+
+  // BYNAV binary (AA 44 12)
+  _onBynavFrame(msg) {
+    const headerLen = msg[3];
+    const crcRx = msg.readUInt32LE(msg.length - 4);
+    const crcOk = crcRx === calcBlockCrc32(msg.subarray(0, msg.length - 4));
+
+    const msgId = msg.readUInt16LE(4);
+    let payloadEnd = headerLen + msg.readUInt16LE(8);
+    let payloadStart = headerLen;
+    if (payloadEnd > msg.length - 4) payloadStart = payloadEnd = 0;
+    const payload = msg.subarray(payloadStart, payloadEnd);
+
+    this._echoFrame(msg, crcOk);
+    if (crcOk && isResponseFrame(msg)) {
+      const resp = decodeResponse(msgId, payload);
+      this._events.push({ type: 'response', ok: resp.ok, text: resp.text, raw: msg });
+      return;
+    }
+    this._events.push({
+      type: 'binary', ok: crcOk, id: msgId, raw: msg, payloadStart, payloadEnd, crc: crcRx,
+      header: decodeBinaryHeader(msg),
+      parsed: this._decode(msgId, payload, crcRx, crcOk)
+    });
+  }
+
+  // BYNAV short-header binary (AA 44 13)
+  _onShortFrame(msg) {
+    const crcRx = msg.readUInt32LE(msg.length - 4);
+    const crcOk = crcRx === calcBlockCrc32(msg.subarray(0, msg.length - 4));
+    const header = decodeShortBinaryHeader(msg);
+    const payloadEnd = msg.length - 4;
+
+    this._echoFrame(msg, crcOk);
+    this._events.push({
+      type: 'binary', ok: crcOk, id: header.msgId, raw: msg,
+      payloadStart: BYNAV_SHORT_HEADER_LEN, payloadEnd, crc: crcRx, header,
+      parsed: this._decode(header.msgId, msg.subarray(BYNAV_SHORT_HEADER_LEN, payloadEnd), crcRx, crcOk)
+    });
+  }
+
+  // RTCM v3 (0xD3)
+  _onRtcmFrame(frame) {
+    const total = frame.length;
+    const length = total - 6;
+    const crcRx = (frame[total - 3] << 16) | (frame[total - 2] << 8) | frame[total - 1];
+    const crcOk = crcRx === crc24q(frame.subarray(0, total - 3));
+
+    let msgId = null, sid = null;
+    try {
+      const br = new BitReader(frame.subarray(3, total - 3));
+      msgId = br.read(12);
+      if ([1005, 1006, 1007, 1008, 1033, 1019, 1020, 1230].includes(msgId) || isMSM(msgId)) {
+        sid = br.read(12);
+      }
+    } catch { }
+
+    let text = `[RTCM${crcOk ? ' OK' : ' BAD-CRC'}] id=${msgId ?? '?'}`;
+    if (sid != null) text += ` sid=${sid}`;
+    text += ` len=${length}`;
+    this._events.push({ type: 'line', text, color: crcOk ? '#6a1b9a' : 'red' });
+    this._events.push({ type: 'rtcm', ok: crcOk, id: msgId, sid, length, total, raw: frame });
+  }
+}
+
+class FrameDecoder extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.worker=true] - decode on a worker thread; false runs inline
+   */
+  constructor(options = {}) {
+    super();
+    this._useWorker = options.worker !== false;
+    this._worker = null;
+    this._inline = null;
+    this._generation = 0;     // bumped on reset so batches from before it are dropped
+    this._frameEcho = false;
+    this._decodeIds = [];
+  }
+
+  get threaded() {
+    return !!this._worker;
+  }
+
+  push(chunk) {
+    if (!chunk || chunk.length === 0) return;
+    if (this._useWorker && !this._worker) this._startWorker();
+    if (this._worker) {
+      // Copy into an exactly sized buffer so the transfer never drags a pooled slab along
+      const data = Uint8Array.prototype.slice.call(chunk);
+      this._worker.postMessage({ type: 'data', chunk: data }, [data.buffer]);
+      return;
+    }
+    this._emitEvents(this._getInline().push(chunk));
+  }
+
+  reset() {
+    this._generation++;
+    this._post({ type: 'reset', generation: this._generation });
+    this._inline?.reset();
+  }
+
+  setFrameEcho(enabled) {
+    this._frameEcho = !!enabled;
+    this._post({ type: 'echo', enabled: this._frameEcho });
+    this._inline?.setFrameEcho(this._frameEcho);
+  }
+
+  setDecodeIds(ids) {
+    this._decodeIds = [...ids];
+    this._post({ type: 'decode', ids: this._decodeIds });
+    this._inline?.setDecodeIds(this._decodeIds);
+  }
+
+  destroy() {
+    if (this._worker) {
+      this._worker.removeAllListeners();
+      this._worker.terminate();
+      this._worker = null;
+    }
+    this._inline = null;
+  }
+
+  _post(msg) {
+    if (this._worker) this._worker.postMessage(msg);
+  }
+
+  _getInline() {
+    if (!this._inline) {
+      this._inline = new FrameProcessor();
+      this._inline.setFrameEcho(this._frameEcho);
+      this._inline.setDecodeIds(this._decodeIds);
+    }
+    return this._inline;
+  }
+
+  _startWorker() {
+    let Worker;
+    try {
+      ({ Worker } = require('worker_threads'));
+      this._worker = new Worker(WORKER_PATH);
+    } catch (e) {
+      this._fallBack(e);
+      return;
+    }
+    this._worker.unref();
+    this._worker.postMessage({ type: 'init', generation: this._generation, echo: this._frameEcho, ids: this._decodeIds });
+    this._worker.on('message', (msg) => {
+      if (msg.generation === this._generation) this._emitEvents(msg.events.map(reviveEvent));
+    });
+    this._worker.on('error', (e) => this._fallBack(e));
+  }
+
+  // Keep decoding on the main thread if the worker cannot start or dies
+  _fallBack(err) {
+    console.error('[FrameDecoder] Worker unavailable, decoding inline:', err.message);
+    if (this._worker) {
+      this._worker.removeAllListeners();
+      this._worker.terminate();
+      this._worker = null;
+    }
+    this._useWorker = false;
+  }
+
+  _emitEvents(events) {
+    if (events.length) this.emit('events', events);
+  }
+}
+
+// Frames cross the thread boundary as Uint8Arrays; hand Buffers to listeners
+function reviveEvent(event) {
+  if (event.raw) event.raw = Buffer.from(event.raw.buffer, event.raw.byteOffset, event.raw.byteLength);
+  return event;
+}
+
+module.exports = { FrameDecoder, FrameProcessor };
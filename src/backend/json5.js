@@ -0,0 +1,299 @@
+// JSON5 - parser for the schema files (https://spec.json5.org)
+// Recursive descent over the whole JSON5 grammar: comments, single- and
+// double-quoted strings with every escape form, unquoted identifier keys,
+// hex numbers, leading / trailing decimal points, +/-Infinity and NaN, and
+// trailing commas. Errors are Json5SyntaxError with the 1-based line and
+// column of the offending character.
+
+class Json5SyntaxError extends SyntaxError {
+  constructor(message, line, column, source = null) {
+    super(`${source ? `${source}: ` : ''}${message} at line ${line}, column ${column}`);
+    this.name = 'Json5SyntaxError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+    this.source = source;
+  }
+}
+
+const LINE_TERMINATORS = '\n\r\u2028\u2029';
+const ID_START = /[\p{L}\p{Nl}$_]/u;
+const ID_CONTINUE = /[\p{L}\p{Nl}\p{Mn}\p{Mc}\p{Nd}\p{Pc}$_\u200C\u200D]/u;
+const SPACE_SEPARATOR = /\p{Zs}/u;
+const NUMBER = /[+-]?(?:Infinity|NaN|0[xX][0-9a-fA-F]+|(?:(?:0|[1-9]\d*)(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?)/y;
+const SINGLE_ESCAPES = { "'": "'", '"': '"', '\\': '\\', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' };
+
+class Parser {
+  constructor(text, source) {
+    this.text = text;
+    this.source = source;
+    this.pos = 0;
+  }
+
+  parse() {
+    this._skip();
+    if (this.pos >= this.text.length) this._fail('Empty document', this.pos);
+    const value = this._value();
+    this._skip();
+    if (this.pos < this.text.length) this._unexpected();
+    return value;
+  }
+
+  // --- Values ---
+
+  _value() {
+    const ch = this.text[this.pos];
+    switch (ch) {
+      case '{': return this._object();
+      case '[': return this._array();
+      case '"': case "'": return this._string();
+      case undefined: return this._fail('Unexpected end of input', this.pos);
+    }
+    if (ch === '-' || ch === '+' || ch === '.' || (ch >= '0' && ch <= '9')) return this._number();
+    if (this._literal('true')) return true;
+    if (this._literal('false')) return false;
+    if (this._literal('null')) return null;
+    if (ch === 'I' || ch === 'N') return this._number();
+    return this._unexpected();
+  }
+
+  _object() {
+    const obj = {};
+    const start = this.pos;
+    this.pos++;   // {
+    this._skip();
+    while (this.text[this.pos] !== '}') {
+      const key = this._key();
+      this._skip();
+      this._expect(':');
+      this._skip();
+      // defineProperty so "__proto__" stays an ordinary key
+      Object.defineProperty(obj, key, { value: this._value(), enumerable: true, writable: true, configurable: true });
+      this._skip();
+      if (this.text[this.pos] === ',') {
+        this.pos++;
+        this._skip();
+      } else if (this.text[this.pos] !== '}') {
+        if (this.pos >= this.text.length) this._fail(`Unterminated object (opened at ${this._where(start)})`, this.pos);
+        this._unexpected("',' or '}'");
+      }
+    }
+    this.pos++;   // }
+    return obj;
+  }
+
+  _array() {
+    const arr = [];
+    const start = this.pos;
+    this.pos++;   // [
+    this._skip();
+    while (this.text[this.pos] !== ']') {
+      arr.push(this._value());
+      this._skip();
+      if (this.text[this.pos] === ',') {
+        this.pos++;
+        this._skip();
+      } else if (this.text[this.pos] !== ']') {
+        if (this.pos >= this.text.length) this._fail(`Unterminated array (opened at ${this._where(start)})`, this.pos);
+        this._unexpected("',' or ']'");
+      }
+    }
+    this.pos++;   // ]
+    return arr;
+  }
+
+  _key() {
+    const ch = this.text[this.pos];
+    if (ch === '"' || ch === "'") return this._string();
+    if (ch === undefined) this._fail('Unexpected end of input', this.pos);
+    return this._identifier();
+  }
+
+  // ES5 IdentifierName, including \uXXXX escapes
+  _identifier() {
+    let name = '';
+    for (;;) {
+      const start = this.pos;
+      let ch = this._codePointAt(this.pos);
+      if (ch === '\\') {
+        if (this.text[this.pos + 1] !== 'u') this._fail("Expected '\\u' escape in identifier", this.pos);
+        this.pos += 2;
+        ch = String.fromCharCode(this._hex(4));
+      } else {
+        this.pos += ch ? ch.length : 0;
+      }
+      const valid = ch && (name ? ID_CONTINUE.test(ch) : ID_START.test(ch));
+      if (!valid) {
+        this.pos = start;
+        if (!name) this._unexpected('a property name');
+        return name;
+      }
+      name += ch;
+    }
+  }
+
+  _string() {
+    const quote = this.text[this.pos];
+    const start = this.pos;
+    this.pos++;
+    let out = '';
+    let chunkStart = this.pos;
+    for (;;) {
+      const ch = this.text[this.pos];
+      if (ch === undefined) this._fail(`Unterminated string (opened at ${this._where(start)})`, start);
+      if (ch === quote) {
+        out += this.text.slice(chunkStart, this.pos);
+        this.pos++;
+        return out;
+      }
+      if (ch === '\n' || ch === '\r') this._fail('Unescaped line break in string', this.pos);
+      if (ch === '\\') {
+        out += this.text.slice(chunkStart, this.pos);
+        out += this._escape();
+        chunkStart = this.pos;
+        continue;
+      }
+      this.pos++;
+    }
+  }
+
+  _escape() {
+    const escPos = this.pos;
+    this.pos++;   // backslash
+    const ch = this.text[this.pos];
+    if (ch === undefined) this._fail('Unterminated string', escPos);
+    this.pos++;
+    if (ch in SINGLE_ESCAPES) return SINGLE_ESCAPES[ch];
+    if (ch === '0') {
+      if (/[0-9]/.test(this.text[this.pos] || '')) this._fail('Octal escapes are not allowed', escPos);
+      return '\0';
+    }
+    if (ch >= '1' && ch <= '9') this._fail(`Invalid escape '\\${ch}'`, escPos);
+    if (ch === 'x') return String.fromCharCode(this._hex(2));
+    if (ch === 'u') return String.fromCharCode(this._hex(4));
+    // Line continuation: backslash + line terminator contributes nothing
+    if (LINE_TERMINATORS.includes(ch)) {
+      if (ch === '\r' && this.text[this.pos] === '\n') this.pos++;
+      return '';
+    }
+    return ch;
+  }
+
+  _hex(digits) {
+    const hex = this.text.substr(this.pos, digits);
+    if (hex.length !== digits || !/^[0-9a-fA-F]+$/.test(hex)) {
+      this._fail(`Expected ${digits} hex digits`, this.pos);
+    }
+    this.pos += digits;
+    return parseInt(hex, 16);
+  }
+
+  _number() {
+    NUMBER.lastIndex = this.pos;
+    const m = NUMBER.exec(this.text);
+    if (!m) return this._unexpected('a value');
+    const next = this._codePointAt(this.pos + m[0].length);
+    // "01", "1abc", "Infinityx" are not numbers
+    if (next && (/[0-9]/.test(next) || ID_CONTINUE.test(next) || next === '\\')) {
+      this._fail(`Invalid number '${m[0]}${next}'`, this.pos);
+    }
+    this.pos += m[0].length;
+
+    let text = m[0];
+    let sign = 1;
+    if (text[0] === '+' || text[0] === '-') {
+      sign = text[0] === '-' ? -1 : 1;
+      text = text.slice(1);
+    }
+    if (text === 'Infinity') return sign * Infinity;
+    if (text === 'NaN') return NaN;
+    if (text[1] === 'x' || text[1] === 'X') return sign * parseInt(text.slice(2), 16);
+    return sign * Number(text);
+  }
+
+  _literal(word) {
+    if (!this.text.startsWith(word, this.pos)) return false;
+    const next = this._codePointAt(this.pos + word.length);
+    if (next && ID_CONTINUE.test(next)) return false;
+    this.pos += word.length;
+    return true;
+  }
+
+  // --- Whitespace and comments ---
+
+  _skip() {
+    const text = this.text;
+    for (;;) {
+      const ch = text[this.pos];
+      if (ch === undefined) return;
+      if (ch === '/' && text[this.pos + 1] === '/') {
+        this.pos += 2;
+        while (this.pos < text.length && !LINE_TERMINATORS.includes(text[this.pos])) this.pos++;
+      } else if (ch === '/' && text[this.pos + 1] === '*') {
+        const end = text.indexOf('*/', this.pos + 2);
+        if (end === -1) this._fail('Unterminated block comment', this.pos);
+        this.pos = end + 2;
+      } else if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r' || ch === '\v' || ch === '\f'
+        || ch === '\uFEFF' || ch === '\u2028' || ch === '\u2029' || SPACE_SEPARATOR.test(ch)) {
+        this.pos++;
+      } else {
+        return;
+      }
+    }
+  }
+
+  // --- Errors ---
+
+  _codePointAt(pos) {
+    const cp = this.text.codePointAt(pos);
+    return cp === undefined ? '' : String.fromCodePoint(cp);
+  }
+
+  _expect(ch) {
+    if (this.text[this.pos] !== ch) this._unexpected(`'${ch}'`);
+    this.pos++;
+  }
+
+  _unexpected(expected) {
+    const ch = this._codePointAt(this.pos);
+    if (!ch) this._fail('Unexpected end of input', this.pos);
+    const shown = ch.trim() ? `'${ch}'` : JSON.stringify(ch);
+    this._fail(`Unexpected character ${shown}${expected ? `, expected ${expected}` : ''}`, this.pos);
+  }
+
+  _where(pos) {
+    const { line, column } = this._lineColumn(pos);
+    return `line ${line}, column ${column}`;
+  }
+
+  // \r\n, \r, \n, U+2028 and U+2029 each end a line
+  _lineColumn(pos) {
+    let line = 1;
+    let lineStart = 0;
+    for (let i = 0; i < pos; i++) {
+      const ch = this.text[i];
+      if (ch === '\n' || ch === '\u2028' || ch === '\u2029' || (ch === '\r' && this.text[i + 1] !== '\n')) {
+        line++;
+        lineStart = i + 1;
+      }
+    }
+    return { line, column: pos - lineStart + 1 };
+  }
+
+  _fail(message, pos) {
+    const { line, column } = this._lineColumn(pos);
+    throw new Json5SyntaxError(message, line, column, this.source);
+  }
+}
+
+/**
+ * @param {string} text
+ * @param {string} [source] - file name prefixed to error messages
+ * @returns {*}
+ * @throws {Json5SyntaxError}
+ */
+function parse(text, source) {
+  return new Parser(String(text), source || null).parse();
+}
+
+module.exports = { parse, Json5SyntaxError };
@@ -0,0 +1,400 @@
+// LocalApiServer - local WebSocket / HTTP API for other applications
+// Serves normalized MessageRouter capability events (the same data the
+// dashboard shows) as WebSocket topics, plus a few REST endpoints:
+//
+//   GET  /api/status    connection status
+//   GET  /api/ntrip     NTRIP client statistics
+//   GET  /api/topics    available WebSocket topics
+//   POST /api/command   { "command": "LOG BESTPOSA ONTIME 1", "wait": true, "timeout": 3000 }
+//   WS   /ws[?topics=position,imu]
+//        client -> { "subscribe": ["position"] } | { "unsubscribe": ["imu"] }
+//        server -> { "topic": "position", "data": { ... } }
+//
+// The server runs its own MessageRouter: while any client subscribes to a
+// topic, every display_config source of that capability is routed, whether or
+// not the dashboard shows the card. data.source_name names the log an event
+// came from (e.g. BESTPOSB or GGA when the receiver outputs both).
+//
+// The server only binds to the loopback interface and refuses requests that
+// carry a browser Origin header or a Host other than 127.0.0.1 / localhost on
+// its port (DNS rebinding), so web pages cannot read data or send commands.
+
+const http = require('http');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const MessageRouter = require('./message-router');
+const { getCapabilitySources } = require('./schema-loader');
+
+const TOPICS = ['position', 'velocity', 'heading', 'satellites', 'imu', 'time'];
+const DEFAULT_PORT = 8766;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_WS_FRAME = 64 * 1024;
+const MAX_WS_BACKLOG = 1024 * 1024;   // a client this far behind misses messages
+
+// WebSocket opcodes (RFC 6455)
+const OP_TEXT = 0x1;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xA;
+
+class LocalApiServer extends EventEmitter {
+  /**
+   * @param {object} deps
+   * @param {object} deps.serialManager
+   * @param {object} [deps.commandScheduler]
+   * @param {object} [deps.ntripClient]
+   */
+  constructor({ serialManager, commandScheduler, ntripClient }) {
+    super();
+    this._serial = serialManager;
+    this._router = null;
+    this._routed = new Set();    // topics whose sources the router is subscribed to
+    this._scheduler = commandScheduler;
+    this._ntrip = ntripClient;
+    this._server = null;
+    this._port = null;
+    this._clients = new Set();   // WsClient
+  }
+
+  get running() {
+    return !!this._server;
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      port: this._port,
+      url: this.running ? `http://127.0.0.1:${this._port}` : null,
+      clients: this._clients.size
+    };
+  }
+
+  start(port = DEFAULT_PORT) {
+    if (this._server) return Promise.resolve({ ok: true, msg: `API already running on port ${this._port}` });
+    return new Promise((resolve) => {
+      const server = http.createServer((req, res) => this._onRequest(req, res));
+      server.on('upgrade', (req, socket) => this._onUpgrade(req, socket));
+      server.once('error', (err) => resolve({ ok: false, msg: `[API] ${err.message}` }));
+      server.listen(port, '127.0.0.1', () => {
+        server.on('error', (err) => console.error('[API] Server error:', err.message));
+        this._server = server;
+        this._port = port;
+        this._attachRouter();
+        this.emit('status', this.getStatus());
+        resolve({ ok: true, msg: `API listening on http://127.0.0.1:${port}` });
+      });
+    });
+  }
+
+  stop() {
+    if (!this._server) return;
+    this._detachRouter();
+    for (const client of this._clients) client.socket.destroy();
+    this._clients.clear();
+    this._server.close();
+    this._server = null;
+    this._port = null;
+    this.emit('status', this.getStatus());
+  }
+
+  // --- Capability topics ---
+
+  _attachRouter() {
+    this._router = new MessageRouter(this._serial, { decodeOwner: 'local-api' });
+    for (const topic of TOPICS) {
+      this._router.on(topic, (data) => this._publish(topic, data));
+    }
+  }
+
+  _detachRouter() {
+    this._router.destroy();
+    this._router.removeAllListeners();
+    this._router = null;
+    this._routed.clear();
+  }
+
+  // Route a capability's sources only while some client wants the topic
+  _syncSources() {
+    if (!this._router) return;
+    const wanted = new Set();
+    for (const client of this._clients) client.topics.forEach(t => wanted.add(t));
+    for (const topic of TOPICS) {
+      if (wanted.has(topic) && !this._routed.has(topic)) {
+        for (const [name, source] of Object.entries(getCapabilitySources(topic))) {
+          this._router.subscribe(topic, source.id ?? source.tag ?? name, name);
+        }
+        this._routed.add(topic);
+      } else if (!wanted.has(topic) && this._routed.has(topic)) {
+        this._router.unsubscribe(topic);
+        this._routed.delete(topic);
+      }
+    }
+  }
+
+  _publish(topic, data) {
+    let frame = null;
+    for (const client of this._clients) {
+      if (!client.topics.has(topic)) continue;
+      if (client.socket.writableLength > MAX_WS_BACKLOG) continue;
+      // Serialize once per event, only when someone listens
+      frame ??= encodeFrame(OP_TEXT, Buffer.from(JSON.stringify({ topic, data })));
+      client.socket.write(frame);
+    }
+  }
+
+  // --- HTTP ---
+
+  async _onRequest(req, res) {
+    if (req.headers.origin || !this._isLocalHost(req)) {
+      sendJson(res, 403, { ok: false, error: 'Browser requests are not allowed' });
+      return;
+    }
+    const url = new URL(req.url, 'http://127.0.0.1');
+    try {
+      if (req.method === 'GET' && url.pathname === '/api/status') {
+        sendJson(res, 200, this._serial.getConnectionStatus());
+      } else if (req.method === 'GET' && url.pathname === '/api/ntrip') {
+        sendJson(res, 200, this._ntrip ? this._ntrip.getStats() : { connected: false });
+      } else if (req.method === 'GET' && url.pathname === '/api/topics') {
+        sendJson(res, 200, TOPICS);
+      } else if (req.method === 'POST' && url.pathname === '/api/command') {
+        const body = await readJsonBody(req);
+        sendJson(res, 200, await this._sendCommand(body));
+      } else {
+        sendJson(res, 404, { ok: false, error: `No route for ${req.method} ${url.pathname}` });
+      }
+    } catch (e) {
+      sendJson(res, e.status || 500, { ok: false, error: e.message });
+    }
+  }
+
+  // A rebound hostname reaches the loopback socket with its own name as Host
+  _isLocalHost(req) {
+    const host = String(req.headers.host || '').toLowerCase();
+    return host === `127.0.0.1:${this._port}` || host === `localhost:${this._port}`;
+  }
+
+  async _sendCommand(body) {
+    if (!isPlainObject(body)) throw httpError(400, 'Expected an object');
+    const cmd = typeof body.command === 'string' ? body.command.trim() : '';
+    if (!cmd) throw httpError(400, 'Missing "command"');
+    if (!this._scheduler) return this._serial.sendCommand(cmd);
+    if (body.wait) {
+      return await this._scheduler.enqueue(cmd, { timeout: Number(body.timeout) || undefined });
+    }
+    return await this._scheduler.send(cmd);
+  }
+
+  // --- WebSocket ---
+
+  _onUpgrade(req, socket) {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const key = req.headers['sec-websocket-key'];
+    if (url.pathname !== '/ws' || req.headers.origin || !this._isLocalHost(req) || !key
+      || String(req.headers.upgrade).toLowerCase() !== 'websocket'
+      || req.headers['sec-websocket-version'] !== '13') {
+      socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const client = new WsClient(socket, (text) => this._onClientMessage(client, text));
+    const initial = (url.searchParams.get('topics') || '').split(',').map(t => t.trim()).filter(Boolean);
+    client.setTopics(initial, true);
+    this._clients.add(client);
+    this._syncSources();
+    socket.on('close', () => {
+      this._clients.delete(client);
+      this._syncSources();
+    });
+    socket.on('error', () => { });
+  }
+
+  // Runs inside the socket's 'data' handler: nothing a client sends may throw
+  // out of here, or it would take the main process down
+  _onClientMessage(client, text) {
+    try {
+      let msg;
+      try {
+        msg = JSON.parse(text);
+      } catch {
+        client.sendJson({ error: 'Invalid JSON' });
+        return;
+      }
+      if (!isPlainObject(msg)) {
+        client.sendJson({ error: 'Expected an object' });
+        return;
+      }
+      if (Array.isArray(msg.subscribe)) client.setTopics(msg.subscribe, true);
+      if (Array.isArray(msg.unsubscribe)) client.setTopics(msg.unsubscribe, false);
+      this._syncSources();
+      client.sendJson({ topics: [...client.topics] });
+    } catch (e) {
+      console.error('[API] Error handling client message:', e.message);
+    }
+  }
+}
+
+// One WebSocket connection: frame parsing, control frames and topic set
+class WsClient {
+  constructor(socket, onText) {
+    this.socket = socket;
+    this.topics = new Set();
+    this._onText = onText;
+    this._buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => this._onData(chunk));
+  }
+
+  setTopics(topics, subscribed) {
+    for (const topic of topics) {
+      if (!TOPICS.includes(topic)) continue;
+      if (subscribed) this.topics.add(topic);
+      else this.topics.delete(topic);
+    }
+  }
+
+  sendJson(obj) {
+    this.socket.write(encodeFrame(OP_TEXT, Buffer.from(JSON.stringify(obj))));
+  }
+
+  _onData(chunk) {
+    this._buffer = this._buffer.length ? Buffer.concat([this._buffer, chunk]) : chunk;
+    for (;;) {
+      const frame = decodeFrame(this._buffer);
+      if (!frame) break;
+      if (frame.error) {
+        this._close(frame.code, frame.error);
+        return;
+      }
+      this._buffer = this._buffer.subarray(frame.length);
+      this._onFrame(frame);
+    }
+  }
+
+  _onFrame({ opcode, fin, payload }) {
+    switch (opcode) {
+      case OP_TEXT:
+        // Commands from clients are small; fragmented messages are not supported
+        if (fin) this._onText(payload.toString('utf-8'));
+        else this._close(1003, 'Fragmented messages are not supported');
+        break;
+      case OP_PING:
+        this.socket.write(encodeFrame(OP_PONG, payload));
+        break;
+      case OP_CLOSE:
+        this._close(1000);
+        break;
+      default:
+        break;
+    }
+  }
+
+  _close(code, reason = '') {
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.socket.end(encodeFrame(OP_CLOSE, payload));
+  }
+}
+
+// Server frames are never masked
+function encodeFrame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Client frames must be masked (RFC 6455 5.1); returns null until a whole
+// frame is buffered, or { error, code } when the connection must be closed
+function decodeFrame(buf) {
+  if (buf.length < 2) return null;
+  const fin = (buf[0] & 0x80) !== 0;
+  const opcode = buf[0] & 0x0F;
+  if ((buf[1] & 0x80) === 0) return { error: 'Client frames must be masked', code: 1002 };
+  let len = buf[1] & 0x7F;
+  let offset = 2;
+  if (len === 126) {
+    if (buf.length < 4) return null;
+    len = buf.readUInt16BE(2);
+    offset = 4;
+  } else if (len === 127) {
+    if (buf.length < 10) return null;
+    const big = buf.readBigUInt64BE(2);
+    if (big > BigInt(MAX_WS_FRAME)) return { error: 'Frame too large', code: 1009 };
+    len = Number(big);
+    offset = 10;
+  }
+  if (len > MAX_WS_FRAME) return { error: 'Frame too large', code: 1009 };
+  if (buf.length < offset + 4 + len) return null;
+
+  const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + len));
+  const mask = buf.subarray(offset, offset + 4);
+  for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+  return { fin, opcode, payload, length: offset + 4 + len };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sendJson(res, status, obj) {
+  const body = JSON.stringify(obj);
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) });
+  res.end(body);
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf-8') || '{}'));
+      } catch {
+        reject(httpError(400, 'Body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+module.exports = { LocalApiServer, TOPICS, DEFAULT_PORT };
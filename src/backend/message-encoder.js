@@ -0,0 +1,268 @@
+// Message encoder - builds BYNAV binary frames, ASCII logs and NMEA sentences
+// (inverse of binary-parser / MessageRouter parsing, driven by the same schemas)
+const { calcBlockCrc32, nmeaXor } = require('./crc');
+const { getReferenceTable } = require('./schema-loader');
+
+const BYNAV_SYNC = [0xAA, 0x44, 0x12];
+const BYNAV_HEADER_LEN = 28;
+const BYNAV_SHORT_SYNC = [0xAA, 0x44, 0x13];
+const BYNAV_SHORT_HEADER_LEN = 12;
+const TIME_STATUS_FINESTEERING = 180;
+const PORT_COM1 = 0x20;
+
+const TIME_STATUS_NAMES = {
+  20: 'UNKNOWN', 60: 'APPROXIMATE', 80: 'COARSEADJUSTING', 100: 'COARSE',
+  120: 'COARSESTEERING', 130: 'FREEWHEELING', 140: 'FINEADJUSTING', 160: 'FINE',
+  170: 'FINEBACKUPSTEERING', 180: 'FINESTEERING', 200: 'SATTIME'
+};
+
+const TYPE_WRITERS = {
+  uint8: { size: 1, write: (buf, off, v) => buf.writeUInt8(v & 0xFF, off) },
+  int8: { size: 1, write: (buf, off, v) => buf.writeInt8(v, off) },
+  uint16: { size: 2, write: (buf, off, v) => buf.writeUInt16LE(v & 0xFFFF, off) },
+  int16: { size: 2, write: (buf, off, v) => buf.writeInt16LE(v, off) },
+  uint32: { size: 4, write: (buf, off, v) => buf.writeUInt32LE(v >>> 0, off) },
+  int32: { size: 4, write: (buf, off, v) => buf.writeInt32LE(v | 0, off) },
+  float32: { size: 4, write: (buf, off, v) => buf.writeFloatLE(v, off) },
+  float: { size: 4, write: (buf, off, v) => buf.writeFloatLE(v, off) },
+  float64: { size: 8, write: (buf, off, v) => buf.writeDoubleLE(v, off) },
+  double: { size: 8, write: (buf, off, v) => buf.writeDoubleLE(v, off) },
+  ulong: { size: 4, write: (buf, off, v) => buf.writeUInt32LE(v >>> 0, off) },
+  long: { size: 4, write: (buf, off, v) => buf.writeInt32LE(v | 0, off) },
+  uint64: { size: 8, write: (buf, off, v) => buf.writeBigUInt64LE(BigInt.asUintN(64, BigInt(v)), off) },
+  int64: { size: 8, write: (buf, off, v) => buf.writeBigInt64LE(BigInt.asIntN(64, BigInt(v)), off) },
+};
+
+function toNumber(value) {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : 0;
+}
+
+// --- Binary ---
+
+// A repeated group's count field defaults to the number of records given
+function withRepeatCounts(fields, values) {
+  const out = { ...values };
+  for (const f of (fields || [])) {
+    if (f.type === 'repeat' && out[f.count_field] == null) {
+      out[f.count_field] = Array.isArray(values[f.name]) ? values[f.name].length : 0;
+    }
+  }
+  return out;
+}
+
+/**
+ * Encode a binary payload from a schema entry (getBinaryMessageMap() value)
+ * and a { fieldName: value } map. Missing values encode as zero; a 'repeat'
+ * field takes an array of { fieldName: value } records.
+ */
+function encodeBinaryPayload(entry, values = {}) {
+  const parts = [];
+  values = withRepeatCounts(entry.fields, values);
+  for (const field of (entry.fields || [])) {
+    const name = field.name;
+    if (!name || field.source === 'crc' || name === 'crc32') continue;
+    const ftype = field.type || 'uint8';
+    const value = values[name];
+
+    if (ftype === 'repeat') {
+      for (const record of (Array.isArray(value) ? value : [])) {
+        parts.push(encodeBinaryPayload({ fields: field.fields }, record));
+      }
+      continue;
+    }
+
+    if (ftype === 'char' || ftype === 'bytes') {
+      const length = field.length || field.count || 1;
+      const buf = Buffer.alloc(length);
+      if (Buffer.isBuffer(value)) value.copy(buf, 0, 0, length);
+      else if (value != null) buf.write(String(value), 0, length, 'latin1');
+      parts.push(buf);
+      continue;
+    }
+
+    const writer = TYPE_WRITERS[ftype];
+    if (!writer) throw new Error(`Unsupported type: ${ftype}`);
+    const count = field.count || 1;
+    const buf = Buffer.alloc(writer.size * count);
+    const list = Array.isArray(value) ? value : [value];
+    for (let i = 0; i < count; i++) {
+      // 64-bit values beyond 2^53 arrive as decimal strings (see binary-parser)
+      if ((ftype === 'uint64' || ftype === 'int64') && typeof list[i] === 'string' && /^-?\d+$/.test(list[i])) {
+        writer.write(buf, i * writer.size, list[i]);
+        continue;
+      }
+      let v = toNumber(list[i]);
+      if (field.scale) v = v / field.scale;
+      if (!/float|double/.test(ftype)) v = Math.round(v);
+      writer.write(buf, i * writer.size, v);
+    }
+    parts.push(buf);
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Wrap a payload in a 28-byte BYNAV header and CRC32.
+ * @param {number} msgId
+ * @param {Buffer} payload
+ * @param {object} [header] - msgType, portAddress, sequence, idleTime, timeStatus,
+ *                            week, ms, receiverStatus, swVersion
+ */
+function encodeBinaryFrame(msgId, payload, header = {}) {
+  const frame = Buffer.alloc(BYNAV_HEADER_LEN + payload.length + 4);
+  frame[0] = BYNAV_SYNC[0];
+  frame[1] = BYNAV_SYNC[1];
+  frame[2] = BYNAV_SYNC[2];
+  frame.writeUInt8(BYNAV_HEADER_LEN, 3);
+  frame.writeUInt16LE(msgId, 4);
+  frame.writeUInt8(header.msgType ?? 0, 6);
+  frame.writeUInt8(header.portAddress ?? PORT_COM1, 7);
+  frame.writeUInt16LE(payload.length, 8);
+  frame.writeUInt16LE(header.sequence ?? 0, 10);
+  frame.writeUInt8(Math.min(255, Math.round((header.idleTime ?? 0) * 2)), 12);  // 0.5 % units
+  frame.writeUInt8(header.timeStatus ?? TIME_STATUS_FINESTEERING, 13);
+  frame.writeUInt16LE(header.week ?? 0, 14);
+  frame.writeUInt32LE((header.ms ?? 0) >>> 0, 16);
+  frame.writeUInt32LE((header.receiverStatus ?? 0) >>> 0, 20);
+  frame.writeUInt16LE(header.reserved ?? 0, 24);
+  frame.writeUInt16LE(header.swVersion ?? 0, 26);
+  payload.copy(frame, BYNAV_HEADER_LEN);
+  const crc = calcBlockCrc32(frame.subarray(0, BYNAV_HEADER_LEN + payload.length));
+  frame.writeUInt32LE(crc, BYNAV_HEADER_LEN + payload.length);
+  return frame;
+}
+
+/**
+ * Wrap a payload in the 12-byte short header (AA 44 13) used by the "S" logs.
+ * @param {number} msgId
+ * @param {Buffer} payload - at most 255 bytes
+ * @param {object} [header] - week, ms
+ */
+function encodeShortBinaryFrame(msgId, payload, header = {}) {
+  if (payload.length > 0xFF) throw new Error(`Short header payload too long: ${payload.length}`);
+  const frame = Buffer.alloc(BYNAV_SHORT_HEADER_LEN + payload.length + 4);
+  frame[0] = BYNAV_SHORT_SYNC[0];
+  frame[1] = BYNAV_SHORT_SYNC[1];
+  frame[2] = BYNAV_SHORT_SYNC[2];
+  frame.writeUInt8(payload.length, 3);
+  frame.writeUInt16LE(msgId, 4);
+  frame.writeUInt16LE(header.week ?? 0, 6);
+  frame.writeUInt32LE((header.ms ?? 0) >>> 0, 8);
+  payload.copy(frame, BYNAV_SHORT_HEADER_LEN);
+  const crc = calcBlockCrc32(frame.subarray(0, BYNAV_SHORT_HEADER_LEN + payload.length));
+  frame.writeUInt32LE(crc, BYNAV_SHORT_HEADER_LEN + payload.length);
+  return frame;
+}
+
+// --- ASCII ---
+
+function asciiCrcHex(body) {
+  return calcBlockCrc32(Buffer.from(body, 'latin1')).toString(16).padStart(8, '0');
+}
+
+/**
+ * Build a complete "#TAG,header;data*crc" ASCII log from already formatted tokens.
+ */
+function encodeAsciiLog(tag, tokens, header = {}) {
+  const timeStatus = TIME_STATUS_NAMES[header.timeStatus ?? TIME_STATUS_FINESTEERING] || 'UNKNOWN';
+  const seconds = ((header.ms ?? 0) / 1000).toFixed(3);
+  const hdr = [
+    tag,
+    header.port || 'COM1',
+    header.sequence ?? 0,
+    (header.idleTime ?? 0).toFixed(1),
+    timeStatus,
+    header.week ?? 0,
+    seconds,
+    ((header.receiverStatus ?? 0) >>> 0).toString(16).padStart(8, '0'),
+    (header.reserved ?? 0).toString(16).padStart(4, '0'),
+    header.swVersion ?? 0
+  ].join(',');
+  const body = `${hdr};${tokens.join(',')}`;
+  return `#${body}*${asciiCrcHex(body)}`;
+}
+
+function formatRefValue(tableKey, value) {
+  const table = getReferenceTable(tableKey);
+  if (!table || !table.rows) return String(value);
+  const isMask = (table.columns || []).includes('mask');
+  if (isMask) return (toNumber(value) >>> 0).toString(16).padStart(2, '0');
+  const strVal = String(value);
+  const row = table.rows.find(r => String(r.value) === strVal);
+  return row?.ascii || strVal;
+}
+
+function formatAsciiField(field, value) {
+  const type = field.type || 'str';
+  if (value == null) value = (type === 'str') ? '' : 0;
+  switch (type) {
+    case 'int':
+      return String(Math.round(toNumber(value)));
+    case 'float': {
+      const num = toNumber(value);
+      if (num !== 0 && Math.abs(num) < 1e-3) return num.toExponential(9);
+      const decimals = /^(latitude|longitude)(_deg)?$/.test(field.name) ? 11 : 4;
+      return num.toFixed(decimals);
+    }
+    case 'hex':
+      return (toNumber(value) >>> 0).toString(16).padStart(8, '0');
+    default:
+      if (typeof value === 'number' && field.note_table) return formatRefValue(field.note_table, value);
+      return String(value);
+  }
+}
+
+/**
+ * Encode an ASCII log from a schema entry (getAsciiMessageMap() value) and values.
+ */
+function encodeAsciiMessage(entry, values = {}, header = {}) {
+  const fields = (entry.fields || [])
+    .filter(f => f.index > 0 && f.name !== 'crc_hex')
+    .sort((a, b) => a.index - b.index);
+  values = withRepeatCounts(fields, values);
+  const tokens = [];
+  let shift = 0;   // extra tokens taken by repeated groups, as in MessageRouter
+  for (const f of fields) {
+    const pos = f.index - 1 + shift;
+    if (f.type === 'repeat') {
+      const records = Array.isArray(values[f.name]) ? values[f.name] : [];
+      const stride = Math.max(0, ...(f.fields || []).map(sub => sub.index || 0));
+      records.forEach((record, i) => {
+        for (const sub of f.fields) tokens[pos + i * stride + sub.index - 1] = formatAsciiField(sub, record[sub.name]);
+      });
+      shift += records.length * stride - 1;
+      continue;
+    }
+    tokens[pos] = formatAsciiField(f, values[f.name]);
+  }
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i] == null) tokens[i] = '';
+  }
+  const tag = (entry.tag || entry.name || '').toUpperCase();
+  return encodeAsciiLog(tag, tokens, header);
+}
+
+// --- NMEA ---
+
+function nmeaChecksum(body) {
+  return nmeaXor(body).toString(16).toUpperCase().padStart(2, '0');
+}
+
+function encodeNmea(body) {
+  return `$${body}*${nmeaChecksum(body)}`;
+}
+
+module.exports = {
+  BYNAV_HEADER_LEN,
+  BYNAV_SHORT_HEADER_LEN,
+  TIME_STATUS_NAMES,
+  encodeBinaryPayload,
+  encodeBinaryFrame,
+  encodeShortBinaryFrame,
+  encodeAsciiLog,
+  encodeAsciiMessage,
+  asciiCrcHex,
+  nmeaChecksum,
+  encodeNmea
+};
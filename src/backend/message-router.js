@@ -1,6 +1,6 @@
 // Message Router - routes parsed binary/NMEA/ASCII messages to UI
 const { EventEmitter } = require('events');
-const { parseBinaryPayload } = require('./binary-parser');
+const { TIME_STATUS_NAMES } = require('./message-encoder');
 const {
   getNmeaSchema,
   getAsciiMessageMap,
@@ -12,10 +12,43 @@ const {
   lookupRefValue
 } = require('./schema-loader');
 
+const TIME_STATUS_BY_NAME = Object.fromEntries(
+  Object.entries(TIME_STATUS_NAMES).map(([value, name]) => [name, Number(value)])
+);
+
+// "#TAG,port,seq,idle,timestatus,week,sec,rxstatus,reserved,sw;" -> same shape as decodeBinaryHeader
+function parseAsciiHeader(line) {
+  const semi = line.indexOf(';');
+  if (!line.startsWith('#') || semi === -1) return null;
+  const parts = line.slice(1, semi).split(',');
+  if (parts.length < 10) return null;
+  const timeStatusName = parts[4].trim().toUpperCase();
+  return {
+    format: 'ascii',
+    port: parts[1].trim(),
+    sequence: parseInt(parts[2], 10) || 0,
+    idleTime: parseFloat(parts[3]) || 0,
+    timeStatus: TIME_STATUS_BY_NAME[timeStatusName] ?? null,
+    timeStatusName,
+    week: parseInt(parts[5], 10) || 0,
+    ms: Math.round((parseFloat(parts[6]) || 0) * 1000),
+    receiverStatus: parseInt(parts[7], 16) || 0,
+    reserved: parseInt(parts[8], 16) || 0,
+    swVersion: parseInt(parts[9], 10) || 0
+  };
+}
+
 class MessageRouter extends EventEmitter {
-  constructor(serialManager) {
+  /**
+   * @param {object|null} serialManager
+   * @param {object} [options]
+   * @param {string} [options.decodeOwner='router'] - SerialManager decode-interest owner;
+   *   routers sharing one SerialManager need distinct owners
+   */
+  constructor(serialManager, options = {}) {
     super();
     this.serial = serialManager;
+    this._decodeOwner = options.decodeOwner || 'router';
 
     // Subscriptions: { capability: [{ msgId, sourceName }] }
     this._subs = {
@@ -30,9 +63,11 @@ class MessageRouter extends EventEmitter {
     this.NMEA_MESSAGES = new Set(['GGA', 'RMC', 'GLL', 'GNS', 'FPD', 'HPD', 'VTG', 'GSA', 'GSV']);
 
     // Connect to serial manager events
+    this._onBinaryFrame = (frame) => this._onBinary(frame);
+    this._onTextLine = (line) => this._onLine(line);
     if (this.serial) {
-      this.serial.on('binary', (frame) => this._onBinary(frame));
-      this.serial.on('line', (line) => this._onLine(line));
+      this.serial.on('binary', this._onBinaryFrame);
+      this.serial.on('line', this._onTextLine);
     }
 
     // Build source indexes
@@ -80,6 +115,7 @@ class MessageRouter extends EventEmitter {
     if (count === 1) {
       // this._sendLogCommand(sourceName, true);
     }
+    this._updateDecodeInterest();
   }
 
   unsubscribe(capability, msgId, sourceName) {
@@ -113,6 +149,30 @@ class MessageRouter extends EventEmitter {
         this._refCount.set(key, count);
       }
     }
+    this._updateDecodeInterest();
+  }
+
+  // Binary frames are schema-decoded by SerialManager's worker only for subscribed IDs
+  _updateDecodeInterest() {
+    if (!this.serial?.setDecodeInterest) return;
+    const ids = new Set();
+    for (const subs of Object.values(this._subs)) {
+      for (const sub of subs) {
+        if (typeof sub.msgId === 'number') ids.add(sub.msgId);
+      }
+    }
+    this.serial.setDecodeInterest(this._decodeOwner, ids);
+  }
+
+  // Drops all subscriptions and detaches from the SerialManager
+  destroy() {
+    for (const cap of Object.keys(this._subs)) this._subs[cap] = [];
+    this._refCount.clear();
+    this._updateDecodeInterest();
+    if (this.serial) {
+      this.serial.removeListener('binary', this._onBinaryFrame);
+      this.serial.removeListener('line', this._onTextLine);
+    }
   }
 
   sendCommand(cmd) {
@@ -131,26 +191,24 @@ class MessageRouter extends EventEmitter {
   // --- Binary frame handling ---
 
   _onBinary(frame) {
-    if (!frame.ok) return;
-    const { id: msgId, payload, crc } = frame;
-    if (msgId == null || !payload) return;
+    if (!frame.ok || !frame.parsed) return;
+    const { id: msgId, parsed, header } = frame;
 
     for (const [cap, subs] of Object.entries(this._subs)) {
       for (const sub of subs) {
         if (sub.msgId === msgId) {
-          this._processBinary(cap, sub.sourceName, msgId, payload, crc);
+          this._processBinary(cap, sub.sourceName, msgId, parsed, header);
         }
       }
     }
   }
 
-  _processBinary(capability, sourceName, msgId, payload, crc) {
+  // parsed: schema-decoded payload from the frame decoder (shared by all subscribers)
+  _processBinary(capability, sourceName, msgId, parsed, header) {
     try {
-      const parsed = parseBinaryPayload(msgId, payload, crc);
-      if (!parsed) return;
-
       const flat = this._flattenFields(parsed);
-      const normalized = this._normalize(capability, sourceName, msgId, flat);
+      const normalized = this._normalize(capability, sourceName, msgId, flat, this._fieldLabels(parsed));
+      normalized.header = header || null;
       this.emit(capability, normalized);
     } catch (e) {
       console.error(`[Router] Binary error id=${msgId}:`, e.message);
@@ -253,6 +311,7 @@ class MessageRouter extends EventEmitter {
 
       const flat = this._flattenFields(parsed);
       const normalized = this._normalize(capability, sourceName, tag, flat);
+      normalized.header = parseAsciiHeader(line.trim());
       this.emit(capability, normalized);
     } catch (e) {
       console.error(`[Router] ASCII error ${tag}:`, e.message);
@@ -261,6 +320,16 @@ class MessageRouter extends EventEmitter {
 
   // --- Parsing helpers ---
 
+  /**
+   * Parse one NMEA sentence or ASCII log against the schemas, without routing it.
+   * @param {string} line
+   * @returns {{message_type: string, fields: object}|null} null for unknown messages
+   */
+  parseLine(line) {
+    const stripped = (line || '').trim();
+    return stripped.startsWith('$') ? this._parseNmeaLine(stripped) : this._parseAsciiLine(stripped);
+  }
+
   _parseNmeaLine(line) {
     if (!line || !line.startsWith('$')) return null;
     const [body] = line.split('*');
@@ -310,12 +379,37 @@ class MessageRouter extends EventEmitter {
     const parts = dataSection ? dataSection.split(',') : [];
     const fieldParts = family === 'ASCII' ? parts : parts.slice(1);
 
+    const fields = this._parseTokenFields(entry.fields || [], fieldParts);
+    return { message_type: name, _family: family, fields };
+  }
+
+  // Field tokens -> { name: { value, raw, type, unit, note } }. A 'repeat' field
+  // spans count_field blocks of (highest index among its fields) tokens, each
+  // decoded into a { name: value } record; the fields after it are numbered as
+  // if the whole group were one token.
+  _parseTokenFields(fieldDefs, tokens) {
     const fields = {};
-    for (const f of (entry.fields || [])) {
-      const idx = (f.index || 0) - 1;
+    let shift = 0;   // extra tokens taken by repeated groups so far
+    for (const f of fieldDefs) {
+      const idx = (f.index || 0) - 1 + shift;
       const nm = f.name;
       const tp = f.type || 'str';
-      const raw = (idx >= 0 && idx < fieldParts.length) ? fieldParts[idx] : '';
+
+      if (tp === 'repeat') {
+        const count = Number(fields[f.count_field]?.value) || 0;
+        const stride = Math.max(0, ...(f.fields || []).map(sub => sub.index || 0));
+        const room = stride ? Math.max(0, Math.floor((tokens.length - idx) / stride)) : 0;
+        const records = [];
+        for (let i = 0; i < Math.min(count, room); i++) {
+          const block = tokens.slice(idx + i * stride, idx + (i + 1) * stride);
+          records.push(this._flattenFields({ fields: this._parseTokenFields(f.fields, block) }));
+        }
+        fields[nm] = { value: records, raw: '', type: tp, unit: f.unit || '', note: f.note || '' };
+        shift += records.length * stride - 1;
+        continue;
+      }
+
+      const raw = (idx >= 0 && idx < tokens.length) ? tokens[idx] : '';
       fields[nm] = {
         value: this._convertField(raw, tp),
         raw, type: tp,
@@ -323,8 +417,7 @@ class MessageRouter extends EventEmitter {
         note: f.note || ''
       };
     }
-
-    return { message_type: name, _family: family, fields };
+    return fields;
   }
 
   _convertField(raw, type) {
@@ -398,7 +491,16 @@ class MessageRouter extends EventEmitter {
     return flat;
   }
 
-  _normalize(capability, sourceName, msgId, flatFields) {
+  // Enum / bitfield labels the binary parser attached: { fieldName: label }
+  _fieldLabels(parsed) {
+    const labels = {};
+    for (const [name, data] of Object.entries(parsed.fields || {})) {
+      if (data && typeof data === 'object' && data.label != null) labels[name] = data.label;
+    }
+    return labels;
+  }
+
+  _normalize(capability, sourceName, msgId, flatFields, labels = {}) {
     const mapping = getFieldMapping(capability, sourceName);
     const extraDefs = getExtraFields(capability, sourceName);
     const sourceConfig = getSourceConfig(capability, sourceName);
@@ -430,8 +532,11 @@ class MessageRouter extends EventEmitter {
         const num = parseFloat(value);
         if (!isNaN(num)) value = num * factor;
       }
-      // Resolve reference table lookup (binary int → ASCII label)
-      if (def.ref_table && value != null) {
+      // Text fields show the decoded enum / bitfield label
+      if (value != null && labels[def.field] != null && (def.format || 'str') === 'str') {
+        value = labels[def.field];
+      } else if (def.ref_table && value != null) {
+        // Resolve reference table lookup (binary int → ASCII label)
         const label = lookupRefValue(def.ref_table, value);
         if (label) value = label;
       }
@@ -448,7 +553,9 @@ class MessageRouter extends EventEmitter {
     normalized.source_id = msgId;
     normalized.source_name = sourceName;
     normalized.extra_fields = extraFields;
+    normalized.header = null;   // receiver header (time tag), set for binary and #ASCII logs
     normalized.raw_fields = flatFields;
+    normalized.field_labels = labels;
     return normalized;
   }
 }
@@ -0,0 +1,311 @@
+// NmeaSynthesizer - standard NMEA 0183 output built from binary / ASCII solutions
+// Runs its own MessageRouter subscribed to the selected position, velocity,
+// heading and time sources, and turns the normalized data into GGA, GST, RMC,
+// VTG, HDT and ZDA sentences:
+//
+//   position  -> GGA, GST, RMC, ZDA   (one set per solution epoch)
+//   velocity  -> VTG                  (RMC uses the latest velocity)
+//   heading   -> HDT
+//   time      -> GPS-UTC leap seconds (TIMEB), 18 s until one is received
+//
+// Every sentence is emitted as 'sentence' (text, type). 'gga' is emitted as well
+// while the receiver is not outputting GPGGA/GNGGA itself, so the NTRIP client
+// can fall back to the synthesized one.
+
+const { EventEmitter } = require('events');
+const MessageRouter = require('./message-router');
+const { encodeNmea } = require('./message-encoder');
+const { getCapabilitySources, lookupRefValue } = require('./schema-loader');
+
+const SENTENCES = ['GGA', 'GST', 'RMC', 'VTG', 'HDT', 'ZDA'];
+const CAPABILITIES = ['position', 'velocity', 'heading', 'time'];
+const DEFAULT_CONFIG = {
+  talker: 'GP',
+  sentences: SENTENCES,
+  sources: { position: 'BESTPOSB', velocity: 'BESTGNSSVELB', heading: 'HEADING2B', time: 'TIMEB' }
+};
+
+const GPS_EPOCH_MS = Date.UTC(1980, 0, 6);
+const MS_PER_WEEK = 7 * 86400 * 1000;
+const DEFAULT_LEAP_SECONDS = 18;
+const MPS_TO_KNOTS = 1.943844;
+const MPS_TO_KMH = 3.6;
+const VELOCITY_MAX_AGE_MS = 2000;      // older velocity is left out of RMC
+const DEVICE_GGA_TIMEOUT_MS = 3000;    // receiver GGA this recent suppresses the fallback
+
+// GGA fix quality per position type (Table 4-2 names)
+const QUALITY_BY_TYPE = {
+  NONE: 0,
+  SINGLE: 1, INS_PSRSP: 1,
+  PSRDIFF: 2, WAAS: 2, INS_PSRDIFF: 2, INS_SBAS: 2,
+  L1_INT: 4, WIDE_INT: 4, NARROW_INT: 4, RTK_DIRECT_INS: 4, INS_RTKFIXED: 4,
+  FLOATCONV: 5, L1_FLOAT: 5, IONOFREE_FLOAT: 5, NARROW_FLOAT: 5, INS_RTKFLOAT: 5,
+  PPP_CONVERGING: 5, PPP: 5, INS_PPP_CONVERGING: 5, INS_PPP: 5,
+  PPP_BASIC_CONVERGING: 5, PPP_BASIC: 5, INS_PPPP_BASIC_CONVERGING: 5, INS_PPPP_BASIC: 5,
+  PROPAGATED: 6,
+  FIXEDPOS: 7
+};
+// NMEA 4.x mode indicator per GGA quality
+const MODE_BY_QUALITY = { 0: 'N', 1: 'A', 2: 'D', 4: 'R', 5: 'F', 6: 'E', 7: 'M' };
+
+class NmeaSynthesizer extends EventEmitter {
+  constructor(serialManager) {
+    super();
+    this._serial = serialManager;
+    this._router = null;
+    this._config = null;
+    this._handlers = {};
+    this._velocity = null;          // { speed, track, time }
+    this._leapSeconds = DEFAULT_LEAP_SECONDS;
+    this._deviceGgaAt = 0;
+    this._counts = {};
+
+    this._onLine = (text) => {
+      if (typeof text === 'string' && /^\$G[PN]GGA,/.test(text.trim())) this._deviceGgaAt = Date.now();
+    };
+  }
+
+  get running() {
+    return !!this._router;
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      config: this._config || DEFAULT_CONFIG,
+      counts: { ...this._counts },
+      deviceGga: Date.now() - this._deviceGgaAt < DEVICE_GGA_TIMEOUT_MS
+    };
+  }
+
+  /**
+   * Start (or reconfigure) the synthesizer.
+   * @param {object} [config]
+   * @param {string} [config.talker='GP'] - talker ID of the generated sentences
+   * @param {string[]} [config.sentences] - subset of GGA, GST, RMC, VTG, HDT, ZDA
+   * @param {object} [config.sources] - display-config source name per capability
+   *   (position / velocity / heading / time); null leaves a capability out
+   * @returns {{ok: boolean, msg: string}}
+   */
+  start(config = {}) {
+    const sentences = (config.sentences || DEFAULT_CONFIG.sentences).map(s => String(s).toUpperCase());
+    const unknown = sentences.find(s => !SENTENCES.includes(s));
+    if (unknown) return { ok: false, msg: `[NMEA] Unknown sentence: ${unknown}` };
+    const talker = String(config.talker || DEFAULT_CONFIG.talker).toUpperCase();
+    if (!/^[A-Z]{2}$/.test(talker)) return { ok: false, msg: `[NMEA] Invalid talker ID: ${talker}` };
+
+    const sources = { ...DEFAULT_CONFIG.sources, ...config.sources };
+    for (const cap of CAPABILITIES) {
+      const name = sources[cap];
+      if (name && !getCapabilitySources(cap)[name]) {
+        return { ok: false, msg: `[NMEA] ${name} is not a ${cap} source` };
+      }
+    }
+
+    this.stop();
+    this._config = { talker, sentences, sources };
+    this._counts = {};
+    this._velocity = null;
+    this._router = new MessageRouter(this._serial, { decodeOwner: 'nmea-synth' });
+    for (const cap of CAPABILITIES) {
+      const name = sources[cap];
+      if (!name) continue;
+      const source = getCapabilitySources(cap)[name];
+      this._router.subscribe(cap, source.id ?? source.tag ?? name, name);
+      this._handlers[cap] = (data) => this._onCapability(cap, data);
+      this._router.on(cap, this._handlers[cap]);
+    }
+    this._serial?.on('line', this._onLine);
+    this.emit('status', this.getStatus());
+    return { ok: true, msg: `NMEA output from ${sources.position || 'no position source'}` };
+  }
+
+  stop() {
+    if (!this._router) return;
+    this._router.destroy();
+    this._router.removeAllListeners();
+    this._router = null;
+    this._handlers = {};
+    this._serial?.removeListener('line', this._onLine);
+    this.emit('status', this.getStatus());
+  }
+
+  // --- Capability data ---
+
+  _onCapability(cap, data) {
+    try {
+      switch (cap) {
+        case 'position': this._onPosition(data); break;
+        case 'velocity': this._onVelocity(data); break;
+        case 'heading': this._onHeading(data); break;
+        case 'time':
+          // TIMEB utc_offset is UTC - GPS, i.e. minus the leap seconds
+          if (Number.isFinite(data.utc_offset) && data.utc_offset !== 0) {
+            this._leapSeconds = Math.round(-data.utc_offset);
+          }
+          break;
+      }
+    } catch (e) {
+      console.error(`[NMEA] ${cap} error:`, e.message);
+    }
+  }
+
+  _onPosition(pos) {
+    const raw = pos.raw_fields || {};
+    const time = this._utcTime(pos.header);
+    const quality = fixQuality(raw);
+    const lat = formatLatitude(pos.latitude);
+    const lon = formatLongitude(pos.longitude);
+    const hms = formatTime(time);
+
+    // INS sources carry their own velocity; use it when no velocity source is set
+    if (!this._config.sources.velocity && Number.isFinite(raw.north_velocity_ms)) {
+      this._velocity = velocityFrom(raw.north_velocity_ms, raw.east_velocity_ms);
+    }
+
+    if (this._wants('GGA')) {
+      const sats = raw.num_sv_used ?? raw.num_sv_soln ?? '';
+      const gga = this._sentence('GGA', [
+        hms, lat, lon, quality, sats === '' ? '' : String(sats).padStart(2, '0'), '',
+        fixed(pos.height, 3), 'M', fixed(raw.undulation_m, 3), 'M',
+        quality === 2 || quality === 4 || quality === 5 ? fixed(raw.diff_age_s, 1) : '',
+        quality === 2 || quality === 4 || quality === 5 ? baseId(raw.base_station_id) : ''
+      ]);
+      if (Date.now() - this._deviceGgaAt >= DEVICE_GGA_TIMEOUT_MS) this.emit('gga', gga);
+    }
+    if (this._wants('GST') && pos.lat_sigma != null) {
+      this._sentence('GST', [
+        hms, '', '', '', '', fixed(pos.lat_sigma, 3), fixed(pos.lon_sigma, 3), fixed(pos.hgt_sigma, 3)
+      ]);
+    }
+    if (this._wants('RMC')) {
+      const vel = this._freshVelocity();
+      this._sentence('RMC', [
+        hms, quality > 0 ? 'A' : 'V', lat, lon,
+        vel ? fixed(vel.speed * MPS_TO_KNOTS, 3) : '', vel ? fixed(vel.track, 1) : '',
+        formatDate(time), '', '', MODE_BY_QUALITY[quality] || 'A'
+      ]);
+    }
+    if (this._wants('ZDA')) {
+      const d = new Date(time);
+      this._sentence('ZDA', [
+        hms, pad(d.getUTCDate(), 2), pad(d.getUTCMonth() + 1, 2), d.getUTCFullYear(), '00', '00'
+      ]);
+    }
+  }
+
+  _onVelocity(vel) {
+    let velocity = null;
+    if (Number.isFinite(vel.horizontal_speed) && Number.isFinite(vel.track)) {
+      velocity = { speed: vel.horizontal_speed, track: vel.track, time: Date.now() };
+    } else if (Number.isFinite(vel.north_velocity) && Number.isFinite(vel.east_velocity)) {
+      velocity = velocityFrom(vel.north_velocity, vel.east_velocity);
+    }
+    if (!velocity) return;
+    this._velocity = velocity;
+    if (this._wants('VTG')) {
+      this._sentence('VTG', [
+        fixed(velocity.track, 1), 'T', '', 'M',
+        fixed(velocity.speed * MPS_TO_KNOTS, 3), 'N', fixed(velocity.speed * MPS_TO_KMH, 3), 'K', 'A'
+      ]);
+    }
+  }
+
+  _onHeading(hdg) {
+    if (!this._wants('HDT') || !Number.isFinite(hdg.heading)) return;
+    this._sentence('HDT', [fixed(((hdg.heading % 360) + 360) % 360, 3), 'T']);
+  }
+
+  // --- Helpers ---
+
+  _wants(type) {
+    return this._config.sentences.includes(type);
+  }
+
+  _freshVelocity() {
+    const v = this._velocity;
+    return v && Date.now() - v.time <= VELOCITY_MAX_AGE_MS ? v : null;
+  }
+
+  _sentence(type, fields) {
+    const text = encodeNmea(`${this._config.talker}${type},${fields.join(',')}`);
+    this._counts[type] = (this._counts[type] || 0) + 1;
+    this.emit('sentence', text, type);
+    return text;
+  }
+
+  // Receiver time of the solution; messages without a header use the clock
+  _utcTime(header) {
+    if (!header || !header.week) return Date.now();
+    return GPS_EPOCH_MS + header.week * MS_PER_WEEK + header.ms - this._leapSeconds * 1000;
+  }
+}
+
+function fixQuality(raw) {
+  const status = refName('table_4_1_solution_status', raw.solution_status);
+  if (status && status !== 'SOL_COMPUTED') return 0;
+  const type = refName('table_4_2_position_status', raw.position_type);
+  if (type == null) return 1;   // INS / NMEA sources without a position type
+  return QUALITY_BY_TYPE[type] ?? 1;
+}
+
+// Binary sources carry enum numbers, ASCII sources the names
+function refName(table, value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return lookupRefValue(table, value);
+  return String(value).toUpperCase();
+}
+
+function velocityFrom(north, east) {
+  const track = Math.atan2(east, north) * 180 / Math.PI;
+  return { speed: Math.hypot(north, east), track: (track + 360) % 360, time: Date.now() };
+}
+
+function pad(n, width) {
+  return String(n).padStart(width, '0');
+}
+
+function fixed(value, decimals) {
+  const num = Number(value);
+  return value == null || value === '' || !Number.isFinite(num) ? '' : num.toFixed(decimals);
+}
+
+// ddmm.mmmmmmm / dddmm.mmmmmmm, hemisphere as its own field
+function formatDegrees(deg, width) {
+  const a = Math.abs(deg);
+  let whole = Math.floor(a);
+  let minutes = Number(((a - whole) * 60).toFixed(7));
+  if (minutes >= 60) {
+    whole += 1;
+    minutes -= 60;
+  }
+  return `${pad(whole, width)}${minutes.toFixed(7).padStart(10, '0')}`;
+}
+
+function formatLatitude(deg) {
+  if (!Number.isFinite(deg)) return ',';
+  return `${formatDegrees(deg, 2)},${deg >= 0 ? 'N' : 'S'}`;
+}
+
+function formatLongitude(deg) {
+  if (!Number.isFinite(deg)) return ',';
+  return `${formatDegrees(deg, 3)},${deg >= 0 ? 'E' : 'W'}`;
+}
+
+function formatTime(ms) {
+  const d = new Date(ms);
+  return `${pad(d.getUTCHours(), 2)}${pad(d.getUTCMinutes(), 2)}${pad(d.getUTCSeconds(), 2)}.${pad(Math.floor(d.getUTCMilliseconds() / 10), 2)}`;
+}
+
+function formatDate(ms) {
+  const d = new Date(ms);
+  return `${pad(d.getUTCDate(), 2)}${pad(d.getUTCMonth() + 1, 2)}${pad(d.getUTCFullYear() % 100, 2)}`;
+}
+
+// Base station IDs are 0-1023 in GGA; the receiver reports them as text
+function baseId(id) {
+  const num = parseInt(String(id ?? '').replace(/"/g, ''), 10);
+  return Number.isFinite(num) ? pad(num, 4) : '';
+}
+
+module.exports = { NmeaSynthesizer, SENTENCES, DEFAULT_CONFIG };
@@ -0,0 +1,426 @@
+// Schema linter - cross-checks the message catalogs against each other
+// A mistake in a schema file does not fail anywhere: the field just decodes to
+// nothing and the dashboard shows '--'. lintSchemas() looks for the usual
+// causes instead: binary layouts that don't add up to payload_length, clashing
+// IDs, field_mapping / extra_fields naming fields the message doesn't have,
+// note_table / ref_table / enum / bitfield tables missing from
+// reference_tables.json5, derived expressions that don't parse or read
+// unknown fields, and ASCII and binary variants of a log that disagree about
+// their fields.
+
+const {
+  getSchemaErrors,
+  getLogSchema,
+  getNmeaSchema,
+  getDisplayConfig,
+  getReferenceTables
+} = require('./schema-loader');
+const { fieldSize } = require('./binary-parser');
+const { compile, ExpressionError } = require('./expression');
+
+const LOG_FILE = 'log_messages.json5';
+const NMEA_FILE = 'nmea0183.json5';
+const DISPLAY_FILE = 'display_config.json5';
+const REF_FILE = 'reference_tables.json5';
+
+// Checksum fields: each variant carries its own
+const TRAILER_FIELDS = new Set(['crc32', 'crc_hex', 'checksum']);
+
+// Added to NMEA sentences by the router before field_mapping is applied
+const NMEA_INJECTED_FIELDS = ['talker', 'msg_type'];
+
+// Mapping keys the router consumes itself rather than displaying
+const HEMISPHERE_KEYS = new Set(['ns', 'ew']);
+
+function entries(obj) {
+  return Object.entries(obj || {}).filter(([key, value]) => !key.startsWith('_') && value && typeof value === 'object');
+}
+
+function isCrcField(field) {
+  return field.source === 'crc' || field.name === 'crc32';
+}
+
+function nmeaFields(entry) {
+  return (entry.ascii || entry).fields || [];
+}
+
+class Linter {
+  constructor({ log, nmea, display, refTables }) {
+    this.log = log;
+    this.nmea = nmea;
+    this.display = display;
+    this.refTables = refTables;
+    this.issues = [];
+  }
+
+  error(file, path, message) {
+    this.issues.push({ level: 'error', file, path, message });
+  }
+
+  warning(file, path, message) {
+    this.issues.push({ level: 'warning', file, path, message });
+  }
+
+  run() {
+    this._checkReferenceTables();
+    this._checkLogMessages();
+    this._checkNmea();
+    this._checkDisplayConfig();
+    return this.issues;
+  }
+
+  // --- reference_tables.json5 ---
+
+  _checkReferenceTables() {
+    for (const [key, table] of entries(this.refTables)) {
+      // Either a flat table or one split into sections, each with its own rows
+      const sections = Array.isArray(table.sections) ? table.sections : [table];
+      if (!sections.every(s => Array.isArray(s.rows))) this.error(REF_FILE, key, 'Table has no rows array');
+    }
+  }
+
+  _checkTableRef(file, path, table) {
+    if (!this.refTables[table]) this.error(file, path, `Reference table '${table}' does not exist`);
+  }
+
+  // --- log_messages.json5 ---
+
+  _checkLogMessages() {
+    const ids = new Map();                                   // binary id -> first key using it
+    const tags = { ascii: new Map(), binary: new Map() };   // upper-case tag -> first key using it
+
+    // The ASCII and binary message maps are keyed by tag, so a repeat hides the earlier entry
+    const claimTag = (family, tag, key) => {
+      const upper = String(tag).toUpperCase();
+      const seen = tags[family];
+      if (seen.has(upper)) this.error(LOG_FILE, `${key}.${family}.tag`, `Tag ${upper} is already used by ${seen.get(upper)}`);
+      else seen.set(upper, key);
+    };
+
+    for (const [key, entry] of entries(this.log)) {
+      if (entry.ascii) {
+        claimTag('ascii', entry.ascii.tag || key, key);
+        this._checkAsciiFields(LOG_FILE, `${key}.ascii`, entry.ascii.fields || []);
+      }
+      if (entry.binary) {
+        claimTag('binary', entry.binary.tag || key, key);
+        const id = entry.binary.id;
+        if (!Number.isInteger(id)) {
+          this.error(LOG_FILE, `${key}.binary.id`, `Binary message id must be an integer, got ${JSON.stringify(id)}`);
+        } else if (ids.has(id)) {
+          this.error(LOG_FILE, `${key}.binary.id`, `Binary id ${id} is already used by ${ids.get(id)}`);
+        } else {
+          ids.set(id, key);
+        }
+        this._checkBinary(key, entry.binary);
+      }
+      if (entry.ascii && entry.binary) this._compareVariants(key, entry.ascii, entry.binary);
+    }
+  }
+
+  _checkAsciiFields(file, path, fields, inGroup = false) {
+    const indexes = new Map();
+    const names = new Set();
+    fields.forEach((field, i) => {
+      const fieldPath = `${path}.fields[${i}]`;
+      this._checkFieldName(file, fieldPath, field, names);
+      if (!Number.isInteger(field.index) || field.index < 1) {
+        this.error(file, fieldPath, `Field '${field.name}' needs a positive integer index`);
+      } else if (indexes.has(field.index)) {
+        this.error(file, fieldPath, `Index ${field.index} is also used by '${indexes.get(field.index)}'`);
+      } else {
+        indexes.set(field.index, field.name);
+      }
+      if (field.note_table) this._checkTableRef(file, `${fieldPath}.note_table`, field.note_table);
+      if (field.type === 'repeat') {
+        this._checkRepeat(file, fieldPath, field, names, inGroup);
+        this._checkAsciiFields(file, fieldPath, field.fields || [], true);
+      }
+    });
+  }
+
+  _checkFieldName(file, fieldPath, field, names) {
+    if (!field.name) {
+      this.error(file, fieldPath, 'Field has no name');
+    } else if (names.has(field.name)) {
+      this.error(file, fieldPath, `Duplicate field name '${field.name}'`);
+    } else {
+      names.add(field.name);
+    }
+  }
+
+  // names: the fields before the group, one of which must hold the block count
+  _checkRepeat(file, fieldPath, group, names, inGroup) {
+    if (inGroup) this.error(file, fieldPath, 'Repeated groups cannot be nested');
+    if (!group.fields?.length) this.error(file, fieldPath, `Repeated group '${group.name}' has no fields`);
+    if (!group.count_field) {
+      this.error(file, fieldPath, `Repeated group '${group.name}' has no count_field`);
+    } else if (!names.has(group.count_field)) {
+      this.error(file, `${fieldPath}.count_field`, `Count field '${group.count_field}' is not a field before '${group.name}'`);
+    }
+  }
+
+  _checkBinary(key, binary) {
+    const path = `${key}.binary`;
+    const { names, size, sizeKnown, repeats } = this._checkBinaryFields(path, binary.fields || [], false);
+
+    this._checkDerived(path, binary.derived || [], names);
+
+    // payload_length 0 marks a variable-length log
+    const expected = binary.payload_length;
+    if (repeats) {
+      if (expected) this.warning(LOG_FILE, `${path}.payload_length`, `Has repeated blocks, so payload_length should be 0 (variable), not ${expected}`);
+    } else if (expected == null) {
+      this.warning(LOG_FILE, path, `No payload_length documented (fields add up to ${size} bytes)`);
+    } else if (expected !== 0 && sizeKnown && size !== expected) {
+      this.error(LOG_FILE, `${path}.payload_length`, `Fields add up to ${size} bytes but payload_length is ${expected}`);
+    }
+  }
+
+  // Sizes exclude repeated groups, whose blocks are checked on their own
+  // Derived expressions are evaluated in order, so each may only read decoded
+  // fields and the derived fields above it
+  _checkDerived(path, derivedFields, names) {
+    const known = new Set(names);
+    for (const [i, derived] of derivedFields.entries()) {
+      const derivedPath = `${path}.derived[${i}]`;
+      if (!derived.name) this.error(LOG_FILE, derivedPath, 'Derived field has no name');
+      if (derived.name && names.has(derived.name)) {
+        this.warning(LOG_FILE, derivedPath, `Derived field '${derived.name}' overwrites a decoded field`);
+      }
+      if (!derived.expr) {
+        this.error(LOG_FILE, `${derivedPath}.expr`, `Derived field '${derived.name}' has no expr`);
+      } else {
+        try {
+          for (const name of compile(derived.expr).names) {
+            if (!known.has(name)) {
+              this.error(LOG_FILE, `${derivedPath}.expr`, `'${name}' is not a field or an earlier derived field`);
+            }
+          }
+        } catch (e) {
+          if (!(e instanceof ExpressionError)) throw e;
+          this.error(LOG_FILE, `${derivedPath}.expr`, e.message);
+        }
+      }
+      if (derived.name) known.add(derived.name);
+    }
+  }
+
+  _checkBinaryFields(path, fields, inGroup) {
+    const names = new Set();
+    let size = 0;
+    let sizeKnown = true;
+    let repeats = 0;
+
+    fields.forEach((field, i) => {
+      const fieldPath = `${path}.fields[${i}]`;
+      this._checkFieldName(LOG_FILE, fieldPath, field, names);
+      if (field.note_table) this._checkTableRef(LOG_FILE, `${fieldPath}.note_table`, field.note_table);
+      if (field.enum) this._checkTableRef(LOG_FILE, `${fieldPath}.enum`, field.enum);
+      if (field.bitfield) this._checkBitfield(fieldPath, field);
+      if (isCrcField(field)) return;   // frame trailer, not part of the payload
+
+      const type = field.type || 'uint8';
+      if (type === 'repeat') {
+        repeats++;
+        this._checkRepeat(LOG_FILE, fieldPath, field, names, inGroup);
+        const block = this._checkBinaryFields(fieldPath, field.fields || [], true);
+        if (block.sizeKnown && !block.size) this.error(LOG_FILE, fieldPath, `Blocks of '${field.name}' have no size`);
+        return;
+      }
+      if ((type === 'char' || type === 'bytes') && !field.length && !field.count) {
+        this.warning(LOG_FILE, fieldPath, `${type} field '${field.name}' has no length; 1 byte is assumed`);
+      }
+      const bytes = fieldSize(field);
+      if (bytes == null) {
+        this.error(LOG_FILE, fieldPath, `Unknown field type '${type}'`);
+        sizeKnown = false;
+      } else {
+        size += bytes;
+      }
+    });
+    return { names, size, sizeKnown, repeats };
+  }
+
+  _checkBitfield(fieldPath, field) {
+    const path = `${fieldPath}.bitfield`;
+    let ranges = field.bitfield;
+    if (typeof ranges === 'string') {
+      const table = this.refTables[ranges];
+      if (!table) return this.error(LOG_FILE, path, `Reference table '${ranges}' does not exist`);
+      ranges = (table.rows || []).filter(r => r.name).map(r => ({ name: r.name, bits: r.bit, enum: r.enum }));
+      if (!ranges.length) return this.error(LOG_FILE, path, `Table '${field.bitfield}' has no rows with a bit name`);
+    } else if (!Array.isArray(ranges)) {
+      return this.error(LOG_FILE, path, 'bitfield must be a reference table key or a list of bit ranges');
+    }
+
+    const width = (fieldSize({ type: field.type }) || 0) * 8;
+    if (!/int|long/.test(field.type || 'uint8')) this.error(LOG_FILE, path, `bitfield on non-integer type '${field.type}'`);
+    const names = new Set();
+    let used = 0n;
+    for (const range of ranges) {
+      const match = /^(\d+)(?:-(\d+))?$/.exec(String(range.bits));
+      const lo = match ? Number(match[1]) : NaN;
+      const hi = match ? Number(match[2] ?? match[1]) : NaN;
+      if (!range.name) this.error(LOG_FILE, path, 'Bit range has no name');
+      else if (names.has(range.name)) this.error(LOG_FILE, path, `Duplicate bit name '${range.name}'`);
+      else names.add(range.name);
+      if (!match || hi < lo || hi >= width) {
+        this.error(LOG_FILE, path, `Bits '${range.bits}' of '${range.name}' don't fit a ${width}-bit ${field.type}`);
+        continue;
+      }
+      const mask = ((1n << BigInt(hi - lo + 1)) - 1n) << BigInt(lo);
+      if (used & mask) this.error(LOG_FILE, path, `Bits '${range.bits}' of '${range.name}' overlap another range`);
+      used |= mask;
+      if (range.enum) this._checkTableRef(LOG_FILE, path, range.enum);
+    }
+  }
+
+  // Reserved padding is laid out differently in the two forms, so 'reserved*'
+  // fields are ignored on both sides
+  _compareVariants(key, ascii, binary) {
+    // Fields of a repeated group count as 'group.field'
+    const significant = (fields, prefix = '') => fields
+      .filter(f => f.name && !TRAILER_FIELDS.has(f.name) && !isCrcField(f) && !/^reserved/i.test(f.name))
+      .flatMap(f => [`${prefix}${f.name}`, ...(f.type === 'repeat' ? significant(f.fields || [], `${f.name}.`) : [])]);
+    const asciiNames = significant(ascii.fields || []);
+    const binaryNames = significant(binary.fields || []);
+    const asciiSet = new Set(asciiNames);
+    const binarySet = new Set(binaryNames);
+
+    const asciiOnly = asciiNames.filter(n => !binarySet.has(n));
+    const binaryOnly = binaryNames.filter(n => !asciiSet.has(n));
+    if (asciiOnly.length) this.warning(LOG_FILE, `${key}.ascii`, `Fields missing from the binary variant: ${asciiOnly.join(', ')}`);
+    if (binaryOnly.length) this.warning(LOG_FILE, `${key}.binary`, `Fields missing from the ASCII variant: ${binaryOnly.join(', ')}`);
+
+    if (!asciiOnly.length && !binaryOnly.length) {
+      const shared = binaryNames.filter(n => !n.includes('.'));
+      const order = [...ascii.fields].sort((a, b) => (a.index || 0) - (b.index || 0))
+        .map(f => f.name).filter(n => binarySet.has(n));
+      const at = shared.findIndex((n, i) => n !== order[i]);
+      if (at !== -1) {
+        this.warning(LOG_FILE, key, `ASCII and binary field order differ at '${shared[at]}' / '${order[at]}'`);
+      }
+    }
+  }
+
+  // --- nmea0183.json5 ---
+
+  _checkNmea() {
+    for (const [key, entry] of entries(this.nmea)) {
+      const path = entry.ascii ? `${key}.ascii` : key;
+      this._checkAsciiFields(NMEA_FILE, path, nmeaFields(entry));
+    }
+  }
+
+  // --- display_config.json5 ---
+
+  _checkDisplayConfig() {
+    const capabilities = this.display.capabilities || {};
+    for (const [capName, cap] of entries(capabilities)) {
+      for (const [sourceName, source] of entries(cap.sources)) {
+        this._checkSource(`capabilities.${capName}.sources.${sourceName}`, sourceName, source);
+      }
+    }
+  }
+
+  // Field names the message decodes to, or null when the message isn't in the schemas
+  _resolveSource(path, sourceName, source) {
+    const type = source.type || 'binary';
+    if (type === 'binary') {
+      const found = entries(this.log).find(([, e]) => e.binary && e.binary.id === source.id);
+      if (!found) {
+        this.error(DISPLAY_FILE, `${path}.id`, `No binary message with id ${source.id} in ${LOG_FILE}`);
+        return null;
+      }
+      const [key, entry] = found;
+      const tag = (entry.binary.tag || key).toUpperCase();
+      if (tag !== sourceName.toUpperCase()) {
+        this.warning(DISPLAY_FILE, `${path}.id`, `Source ${sourceName} has id ${source.id}, which is ${tag}`);
+      }
+      return [...(entry.binary.fields || []), ...(entry.binary.derived || [])].map(f => f.name);
+    }
+    if (type === 'ascii') {
+      const tag = String(source.tag || sourceName).toUpperCase();
+      const found = entries(this.log).find(([key, e]) => e.ascii && String(e.ascii.tag || key).toUpperCase() === tag);
+      if (!found) {
+        this.error(DISPLAY_FILE, `${path}.tag`, `No ASCII message tagged ${tag} in ${LOG_FILE}`);
+        return null;
+      }
+      return (found[1].ascii.fields || []).map(f => f.name);
+    }
+    if (type === 'nmea') {
+      const entry = this.nmea[source.id];
+      if (!entry || source.id.startsWith('_')) {
+        this.error(DISPLAY_FILE, `${path}.id`, `No NMEA sentence ${source.id} in ${NMEA_FILE}`);
+        return null;
+      }
+      return [...nmeaFields(entry).map(f => f.name), ...NMEA_INJECTED_FIELDS];
+    }
+    this.error(DISPLAY_FILE, `${path}.type`, `Unknown source type '${type}'`);
+    return null;
+  }
+
+  _checkSource(path, sourceName, source) {
+    const fields = this._resolveSource(path, sourceName, source);
+    const has = fields ? new Set(fields) : null;
+    const mapping = source.field_mapping || {};
+    const extras = source.extra_fields || [];
+
+    for (const [stdName, field] of Object.entries(mapping)) {
+      if (has && !has.has(field)) {
+        this.error(DISPLAY_FILE, `${path}.field_mapping.${stdName}`, `Field '${field}' is not in ${sourceName}`);
+      }
+    }
+
+    extras.forEach((def, i) => {
+      const defPath = `${path}.extra_fields[${i}]`;
+      if (!def.field) {
+        this.error(DISPLAY_FILE, defPath, 'Extra field has no field name');
+      } else if (has && !has.has(def.field)) {
+        this.error(DISPLAY_FILE, `${defPath}.field`, `Field '${def.field}' is not in ${sourceName}`);
+      }
+      if (def.ref_table) {
+        this._checkTableRef(DISPLAY_FILE, `${defPath}.ref_table`, def.ref_table);
+        // lookupRefValue() only searches top-level rows
+        const table = this.refTables[def.ref_table];
+        if (table && !Array.isArray(table.rows)) {
+          this.warning(DISPLAY_FILE, `${defPath}.ref_table`, `Values can't be looked up in sectioned table '${def.ref_table}'`);
+        }
+      }
+    });
+
+    // Conversions apply to mapped standard names and to extra fields
+    const convertible = new Set([...Object.keys(mapping), ...extras.map(d => d.field)]);
+    for (const name of Object.keys(source.conversions || {})) {
+      if (!convertible.has(name) || HEMISPHERE_KEYS.has(name)) {
+        this.warning(DISPLAY_FILE, `${path}.conversions.${name}`, `Conversion for '${name}' matches no mapped or extra field`);
+      }
+    }
+  }
+}
+
+/**
+ * Cross-check the log, NMEA, display and reference-table schemas.
+ * Files that failed to parse are reported as errors; their contents are
+ * treated as empty, so expect follow-on findings in the files that refer to them.
+ * @param {object} [schemas] - {log, nmea, display, refTables}; defaults to the loaded schema files
+ * @returns {{level: 'error'|'warning', file: string, path: string, message: string}[]}
+ */
+function lintSchemas(schemas = {}) {
+  const issues = [];
+  if (!schemas.log) {
+    for (const e of getSchemaErrors()) {
+      issues.push({ level: 'error', file: e.file, path: '', message: e.message });
+    }
+  }
+  const linter = new Linter({
+    log: schemas.log || getLogSchema(),
+    nmea: schemas.nmea || getNmeaSchema(),
+    display: schemas.display || getDisplayConfig(),
+    refTables: schemas.refTables || getReferenceTables()
+  });
+  return issues.concat(linter.run());
+}
+
+module.exports = { lintSchemas };
@@ -1,6 +1,7 @@
 // Unified schema loader - loads all JSON5 schema files
 const fs = require('fs');
 const path = require('path');
+const { parse: parseJson5 } = require('./json5');
 
 const SCHEMA_DIR = path.join(__dirname, '..', 'shared', 'schemas');
 
@@ -9,87 +10,37 @@ let _logSchema = null;
 let _nmeaSchema = null;
 let _displayConfig = null;
 let _refTables = null;
+let _commandSchema = null;
 let _asciiMap = null;
 let _binaryMap = null;
 
-// Simple JSON5 parser: strips comments + trailing commas
-function parseJson5(text) {
-  // Remove single-line comments (not inside strings)
-  const lines = text.split('\n');
-  const cleaned = [];
-  for (const line of lines) {
-    const idx = line.indexOf('//');
-    if (idx !== -1) {
-      let inString = false;
-      for (let i = 0; i < idx; i++) {
-        if (line[i] === '"' && (i === 0 || line[i - 1] !== '\\')) {
-          inString = !inString;
-        }
-      }
-      if (!inString) {
-        cleaned.push(line.substring(0, idx));
-        continue;
-      }
-    }
-    cleaned.push(line);
-  }
-  let content = cleaned.join('\n');
-
-  // Remove block comments
-  content = content.replace(/\/\*[\s\S]*?\*\//g, '');
-
-  // Remove trailing commas
-  content = content.replace(/,(\s*[}\]])/g, '$1');
-
-  // Quote unquoted keys
-  let result = '';
-  let i = 0;
-  while (i < content.length) {
-    if (content[i] === '"') {
-      // Skip string
-      result += content[i++];
-      while (i < content.length) {
-        result += content[i];
-        if (content[i] === '"' && content[i - 1] !== '\\') {
-          i++;
-          break;
-        }
-        i++;
-      }
-    } else if (/[A-Za-z_]/.test(content[i])) {
-      let j = i + 1;
-      while (j < content.length && /[A-Za-z0-9_]/.test(content[j])) j++;
-      let k = j;
-      while (k < content.length && /\s/.test(content[k])) k++;
-      if (k < content.length && content[k] === ':') {
-        result += `"${content.substring(i, j)}"`;
-        i = j;
-      } else {
-        result += content[i++];
-      }
-    } else {
-      result += content[i++];
-    }
-  }
-
-  return JSON.parse(result);
-}
+// Files that failed to load: [{ file, message, line, column }]
+const _loadErrors = [];
 
+// A broken file loads as {} so the rest of the app keeps working; the failure is
+// kept for getSchemaErrors() so the UI can say which file and where
 function loadSchemaFile(filename) {
   const filePath = path.join(SCHEMA_DIR, filename);
-  if (!fs.existsSync(filePath)) {
-    console.error(`[SchemaLoader] Schema not found: ${filePath}`);
-    return {};
-  }
-  const text = fs.readFileSync(filePath, 'utf-8');
   try {
-    return parseJson5(text);
+    return parseJson5(fs.readFileSync(filePath, 'utf-8'), filename);
   } catch (e) {
-    console.error(`[SchemaLoader] Failed to parse ${filename}:`, e.message);
+    const message = e.code === 'ENOENT' ? `${filename}: file not found` : e.message;
+    console.error(`[SchemaLoader] ${message}`);
+    _loadErrors.push({ file: filename, message, line: e.line ?? null, column: e.column ?? null });
     return {};
   }
 }
 
+// Loads every schema file not loaded yet and returns the failures
+function getSchemaErrors() {
+  getLogSchema();
+  getNmeaSchema();
+  getDisplayConfig();
+  getCommandSchema();
+  getReferenceTables();
+  return _loadErrors.map(e => ({ ...e }));
+}
+
 // Log messages schema (unified ASCII + Binary)
 function getLogSchema() {
   if (!_logSchema) {
@@ -117,6 +68,15 @@ function getDisplayConfig() {
   return _displayConfig;
 }
 
+// Command schema (binary command encoding)
+function getCommandSchema() {
+  if (!_commandSchema) {
+    _commandSchema = loadSchemaFile('commands.json5');
+    console.log(`[SchemaLoader] Loaded command schema: ${Object.keys(_commandSchema).length} entries`);
+  }
+  return _commandSchema;
+}
+
 // Reference tables
 function getReferenceTables() {
   if (!_refTables) {
@@ -332,6 +292,7 @@ function getMessageSchema(familyKey, variant) {
   if (!def) return null;
   return {
     name: def.tag || familyKey,
+    id: typeof def.id === 'number' ? def.id : null,
     description: def.description || entry.description || entry.label || '',
     fields: def.fields || [],
     derived: def.derived || [],
@@ -357,9 +318,11 @@ function formatValue(value, formatType, decimals = 2, unit = '') {
 
 module.exports = {
   parseJson5,
+  getSchemaErrors,
   getLogSchema,
   getNmeaSchema,
   getDisplayConfig,
+  getCommandSchema,
   getReferenceTables,
   getReferenceTable,
   lookupRefValue,
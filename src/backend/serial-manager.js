@@ -2,58 +2,181 @@
 const { EventEmitter } = require('events');
 const net = require('net');
 const dgram = require('dgram');
-const { calcBlockCrc32, crc24q } = require('./crc');
+const path = require('path');
+const { CaptureWriter, CaptureReader } = require('./capture-file');
+const CapturePlayer = require('./capture-replay');
+const SimulatedReceiver = require('./simulated-receiver');
+const { encodeCommand } = require('./command-codec');
+const { FrameDecoder, FrameProcessor } = require('./frame-decoder');
+const { checkLineChecksum } = require('./crc');
+const { StreamStats, gnssTimeMs } = require('./stream-stats');
+const { getEntryById } = require('./binary-parser');
 
 const BYNAV_PREAMBLE = Buffer.from([0xAA, 0x44, 0x12]);
 
-// RTCM MSM ranges
-const MSM_RANGES = [[1071, 1077], [1081, 1087], [1091, 1097], [1111, 1117], [1121, 1127]];
-function isMSM(id) {
-  return MSM_RANGES.some(([lo, hi]) => id >= lo && id <= hi);
+// Auto-reconnect backoff: 1 s, 2 s, 4 s ... capped
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+const LOG_PORT_REGEX = /^(COM\d+|ICOM\d+|USB\d+|CCOM\d+|NCOM\d+|THISPORT)$/;
+
+// Binary headers with a time status below COARSE carry no usable GNSS time
+const MIN_TIME_STATUS_FOR_MARKS = 100;
+
+// Automatic baud detection: most likely rates first
+const AUTO_BAUD_RATES = [115200, 9600, 230400, 460800, 921600, 57600, 38400, 19200];
+const AUTO_BAUD_LISTEN_MS = 1500;   // per rate; the probe goes out halfway through
+const AUTO_BAUD_MIN_FRAMES = 2;     // one lucky NMEA checksum is not proof
+const AUTO_BAUD_PROBE = 'LOG LOGLISTA ONCE';
+
+const SERIAL_PARITIES = ['none', 'even', 'odd', 'mark', 'space'];
+
+// Fill in 8N1 defaults and reject values serialport would refuse later
+function normalizeLineSettings(settings = {}) {
+  const dataBits = Number(settings.dataBits ?? 8);
+  const parity = String(settings.parity ?? 'none').toLowerCase();
+  const stopBits = Number(settings.stopBits ?? 1);
+  if (![5, 6, 7, 8].includes(dataBits)) throw new Error(`Invalid data bits: ${settings.dataBits}`);
+  if (!SERIAL_PARITIES.includes(parity)) throw new Error(`Invalid parity: ${settings.parity}`);
+  if (![1, 1.5, 2].includes(stopBits)) throw new Error(`Invalid stop bits: ${settings.stopBits}`);
+  return { dataBits, parity, stopBits, rtscts: !!settings.rtscts, xonxoff: !!settings.xonxoff };
 }
 
-class BitReader {
-  constructor(data) {
-    this.data = data;
-    this.bitLen = data.length * 8;
-    this.pos = 0;
-  }
-  read(n) {
-    if (this.pos + n > this.bitLen) throw new Error('EOFError');
-    let v = 0;
-    for (let i = 0; i < n; i++) {
-      const byteIdx = this.pos >> 3;
-      const bitIdx = 7 - (this.pos & 7);
-      v = (v << 1) | ((this.data[byteIdx] >> bitIdx) & 1);
-      this.pos++;
-    }
-    return v;
+// Frames that prove the rate is right: a checked CRC or checksum that matched
+function isVerifiedFrame(event) {
+  switch (event.type) {
+    case 'binary':
+    case 'rtcm':
+      return event.ok;
+    case 'response':
+      return true;
+    case 'line':
+      return !!event.bytes && checkLineChecksum(event.text) === true;
+    default:
+      return false;
   }
 }
 
+// "8N1", "7E1 RTS/CTS", ...
+function describeLineSettings(line) {
+  let desc = `${line.dataBits}${line.parity[0].toUpperCase()}${line.stopBits}`;
+  if (line.rtscts) desc += ' RTS/CTS';
+  if (line.xonxoff) desc += ' XON/XOFF';
+  return desc;
+}
+
+// 224.0.0.0/4
+function isMulticastAddress(ip) {
+  const first = parseInt(ip.split('.')[0], 10);
+  return first >= 224 && first <= 239;
+}
+
 class SerialManager extends EventEmitter {
   constructor() {
     super();
-    this.mode = null;       // 'serial' | 'tcp' | 'udp'
-    this.connection = null;  // serialport / socket
+    this.mode = null;       // 'serial' | 'tcp' | 'tcp-server' | 'udp' | 'replay' | 'sim'
+    this.connection = null;  // serialport / socket / CapturePlayer / SimulatedReceiver
     this.udpRemote = null;
+    this._tcpServer = null;  // net.Server in tcp-server mode; connection is the accepted socket
     this._running = false;
-    this._buffer = Buffer.alloc(0);
+    // Framing and decoding run on a worker thread; results come back as event batches
+    this._decoder = new FrameDecoder();
+    this._decoder.on('events', (events) => this._onDecoded(events));
+    this._frameEcho = false;  // hex dump of binary frames, only while a terminal is showing them
+    this._decodeInterest = new Map();  // owner -> Set of binary message IDs to schema-decode
+    this._stats = new StreamStats();   // per-message counts, rates, CRC failures and gaps
+    this._binaryNames = new Map();     // msgId -> log name for the statistics
     this._desc = '';
     this._SerialPort = null;
+    this._recorder = null;   // CaptureWriter while recording
+    this._commandFormat = 'ascii';  // 'ascii' | 'binary' (AA 44 12 command frames)
+    this._lastGnssMark = null;      // "week:second" of the last gnss_time record written
+
+    // Auto-reconnect state
+    this._autoReconnect = false;
+    this._lastConnect = null;      // { mode, params } of the last link, reopened after a drop
+    this._serialIdentity = null;   // { vendorId, productId, serialNumber } of the USB device
+    this._reconnectTimer = null;
+    this._reconnectAttempt = 0;
+    this._activeLogs = new Map();  // "PORT MSG" -> LOG command, re-sent after reconnect
   }
 
   // --- Connect methods ---
 
-  async connectSerial(portPath, baudRate) {
+  /**
+   * Connect from one parameter object (ConnectionDialog, CLI).
+   * @param {object} params
+   * @param {string} params.type - 'serial' | 'tcp' | 'udp' | 'replay' | 'sim'
+   * @param {string} [params.port] - serial port path
+   * @param {number|string} [params.baudrate] - serial baud rate or 'auto'
+   * @param {object} [params.lineSettings] - serial data bits / parity / stop bits / flow control
+   * @param {string} [params.host] - TCP host (client) or bind address (server)
+   * @param {number} [params.tcpPort]
+   * @param {string} [params.tcpMode] - 'client' (default) | 'server'
+   * @param {number} [params.udpPort] - local UDP port
+   * @param {string} [params.remoteHost] - UDP command target
+   * @param {number} [params.remotePort]
+   * @param {string} [params.multicastGroup]
+   * @param {string} [params.multicastInterface]
+   * @param {string} [params.filePath] - capture to replay
+   * @param {number} [params.speed] - replay speed
+   * @param {boolean} [params.autoReconnect]
+   * @param {string} [params.commandFormat] - 'ascii' | 'binary'
+   */
+  async connect(params = {}) {
+    const {
+      type, port, baudrate, lineSettings, host, tcpPort, tcpMode, udpPort, remoteHost, remotePort,
+      multicastGroup, multicastInterface, filePath, speed, autoReconnect, commandFormat
+    } = params;
+    this.cancelReconnect();
+    this.setAutoReconnect(autoReconnect);
+    this.setCommandFormat(commandFormat);
+    switch (type) {
+      case 'serial':
+        return baudrate === 'auto'
+          ? await this.connectSerialAuto(port, lineSettings)
+          : await this.connectSerial(port, baudrate, lineSettings);
+      case 'tcp':
+        return tcpMode === 'server'
+          ? await this.connectTcpServer(tcpPort, host || undefined)
+          : await this.connectTcp(host, tcpPort);
+      case 'udp':
+        return await this.connectUdp(udpPort, remoteHost, remotePort, { multicastGroup, multicastInterface });
+      case 'replay': return await this.connectReplay(filePath, speed);
+      case 'sim': return await this.connectSimulator();
+      default: return { ok: false, msg: 'Unknown connection type' };
+    }
+  }
+
+  /**
+   * @param {string} portPath
+   * @param {number} baudRate
+   * @param {object} [lineSettings]
+   * @param {number} [lineSettings.dataBits=8] - 5 | 6 | 7 | 8
+   * @param {string} [lineSettings.parity='none'] - none | even | odd | mark | space
+   * @param {number} [lineSettings.stopBits=1] - 1 | 1.5 | 2
+   * @param {boolean} [lineSettings.rtscts=false] - RTS/CTS hardware flow control
+   * @param {boolean} [lineSettings.xonxoff=false] - XON/XOFF software flow control
+   */
+  async connectSerial(portPath, baudRate, lineSettings = {}) {
     try {
       if (!this._SerialPort) {
         const { SerialPort } = require('serialport');
         this._SerialPort = SerialPort;
       }
+      const line = normalizeLineSettings(lineSettings);
       this.mode = 'serial';
-      this._desc = `${portPath}@${baudRate}`;
-      this.connection = new this._SerialPort({ path: portPath, baudRate, autoOpen: false });
+      this._desc = `${portPath}@${baudRate} ${describeLineSettings(line)}`;
+      this.connection = new this._SerialPort({
+        path: portPath,
+        baudRate,
+        dataBits: line.dataBits,
+        parity: line.parity,
+        stopBits: line.stopBits,
+        rtscts: line.rtscts,
+        xon: line.xonxoff,
+        xoff: line.xonxoff,
+        autoOpen: false
+      });
 
       return new Promise((resolve) => {
         this.connection.open((err) => {
@@ -67,11 +190,8 @@ class SerialManager extends EventEmitter {
           this.connection.on('error', (err) => {
             this.emit('line', `[SERIAL ERROR] ${err.message}`, 'red');
           });
-          this.connection.on('close', () => {
-            this._running = false;
-            this.emit('connection', false);
-          });
-          this.emit('connection', true);
+          this.connection.on('close', () => this._onTransportClosed());
+          this._onConnected('serial', { portPath, baudRate, lineSettings: line });
           resolve({ ok: true, msg: `Connected (Serial) ${this._desc}` });
         });
       });
@@ -81,6 +201,97 @@ class SerialManager extends EventEmitter {
     }
   }
 
+  /**
+   * Find the port's baud rate and connect at it. Each candidate rate is opened
+   * in turn and listened to for frames that pass their check (BYNAV binary
+   * CRC32, NMEA/ASCII checksum, RTCM CRC-24Q); a quiet port is sent a probe
+   * command halfway through.
+   * @param {string} portPath
+   * @param {object} [lineSettings] - as for connectSerial
+   * @param {object} [options]
+   * @param {number[]} [options.rates] - candidates in the order they are tried
+   * @param {boolean} [options.probe=true] - send a LOGLISTA request when nothing arrives
+   */
+  async connectSerialAuto(portPath, lineSettings = {}, options = {}) {
+    const rates = options.rates || AUTO_BAUD_RATES;
+    const probe = options.probe !== false;
+    let line;
+    try {
+      if (!this._SerialPort) {
+        const { SerialPort } = require('serialport');
+        this._SerialPort = SerialPort;
+      }
+      line = normalizeLineSettings(lineSettings);
+    } catch (e) {
+      return { ok: false, msg: `[Serial] ${e.message}` };
+    }
+
+    for (const baudRate of rates) {
+      this.emit('line', `[AUTOBAUD] Trying ${portPath} at ${baudRate}`, '#6a1b9a');
+      let valid;
+      try {
+        valid = await this._probeBaudRate(portPath, baudRate, line, probe);
+      } catch (e) {
+        return { ok: false, msg: `[Serial] ${e.message}` };
+      }
+      if (valid < AUTO_BAUD_MIN_FRAMES) continue;
+
+      this.emit('line', `[AUTOBAUD] Detected ${baudRate} baud (${valid} valid frames)`, '#6a1b9a');
+      const result = await this.connectSerial(portPath, baudRate, line);
+      return { ...result, baudRate, msg: result.ok ? `${result.msg} (auto-detected)` : result.msg };
+    }
+    return { ok: false, msg: `[Serial] No valid data on ${portPath} at ${rates.join(', ')} baud` };
+  }
+
+  // Count frames with a good CRC/checksum received at one rate
+  _probeBaudRate(portPath, baudRate, line, probe) {
+    return new Promise((resolve, reject) => {
+      const port = new this._SerialPort({
+        path: portPath,
+        baudRate,
+        dataBits: line.dataBits,
+        parity: line.parity,
+        stopBits: line.stopBits,
+        rtscts: line.rtscts,
+        xon: line.xonxoff,
+        xoff: line.xonxoff,
+        autoOpen: false
+      });
+      const processor = new FrameProcessor();
+      let valid = 0;
+      let probeTimer = null;
+      let doneTimer = null;
+
+      const finish = () => {
+        clearTimeout(probeTimer);
+        clearTimeout(doneTimer);
+        port.removeAllListeners('data');
+        if (port.isOpen) port.close(() => resolve(valid));
+        else resolve(valid);
+      };
+
+      port.open((err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        port.on('error', () => { });
+        port.on('data', (chunk) => {
+          for (const event of processor.push(chunk)) {
+            if (isVerifiedFrame(event)) valid++;
+          }
+          if (valid >= AUTO_BAUD_MIN_FRAMES) finish();
+        });
+        if (probe) {
+          probeTimer = setTimeout(() => {
+            if (valid === 0) port.write(`${AUTO_BAUD_PROBE}\r\n`);
+          }, AUTO_BAUD_LISTEN_MS / 2);
+        }
+        doneTimer = setTimeout(finish, AUTO_BAUD_LISTEN_MS);
+      });
+    });
+  }
+
   connectTcp(host, port) {
     return new Promise((resolve) => {
       try {
@@ -92,7 +303,7 @@ class SerialManager extends EventEmitter {
         this.connection.connect(port, host, () => {
           this._running = true;
           this.connection.setTimeout(0);
-          this.emit('connection', true);
+          this._onConnected('tcp', { host, port });
           resolve({ ok: true, msg: `Connected (TCP) ${this._desc}` });
         });
 
@@ -104,10 +315,7 @@ class SerialManager extends EventEmitter {
             this.emit('line', `[TCP ERROR] ${err.message}`, 'red');
           }
         });
-        this.connection.on('close', () => {
-          this._running = false;
-          this.emit('connection', false);
-        });
+        this.connection.on('close', () => this._onTransportClosed());
         this.connection.on('timeout', () => {
           if (!this._running) {
             this._cleanup();
@@ -121,22 +329,116 @@ class SerialManager extends EventEmitter {
     });
   }
 
-  connectUdp(listenPort, remoteHost, remotePort) {
+  /**
+   * Listen for the receiver to connect (ICOM port configured as a TCP client).
+   * One receiver at a time: a new inbound connection replaces the current one,
+   * so a receiver that reconnects after a half-open drop is picked up again.
+   * Commands are written to the accepted socket.
+   */
+  connectTcpServer(port, bindHost = '0.0.0.0') {
     return new Promise((resolve) => {
       try {
+        this.mode = 'tcp-server';
+        this._desc = `tcp-listen://${bindHost}:${port}`;
+        this._tcpServer = net.createServer((socket) => this._onTcpClient(socket));
+
+        this._tcpServer.on('error', (err) => {
+          if (!this._running) {
+            this._cleanup();
+            resolve({ ok: false, msg: `[TCP Server] ${err.message}` });
+          } else {
+            this.emit('line', `[TCP SERVER ERROR] ${err.message}`, 'red');
+          }
+        });
+        this._tcpServer.on('close', () => this._onTransportClosed());
+
+        this._tcpServer.listen(port, bindHost, () => {
+          this._running = true;
+          this._onConnected('tcp-server', { port, bindHost });
+          this.emit('line', `[TCP SERVER] Listening on ${bindHost}:${port}, waiting for the receiver`, '#6a1b9a');
+          resolve({ ok: true, msg: `Listening (TCP) ${this._desc}` });
+        });
+      } catch (e) {
+        this._cleanup();
+        resolve({ ok: false, msg: `[TCP Server] ${e.message}` });
+      }
+    });
+  }
+
+  _onTcpClient(socket) {
+    const peer = this._peerDesc(socket);
+    if (this.connection) {
+      this.emit('line', `[TCP SERVER] Replacing ${this._peerDesc(this.connection)} with ${peer}`, '#6a1b9a');
+      this.connection.destroy();
+      this._decoder.reset();
+    } else {
+      this.emit('line', `[TCP SERVER] Receiver connected from ${peer}`, '#6a1b9a');
+    }
+    this.connection = socket;
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => {
+      if (this.connection === socket) this._onData(chunk);
+    });
+    socket.on('error', (err) => this.emit('line', `[TCP SERVER ERROR] ${peer}: ${err.message}`, 'red'));
+    socket.on('close', () => {
+      if (this.connection !== socket) return;
+      this.connection = null;
+      this._decoder.reset();
+      // Keep listening; the receiver reconnects on its own
+      if (this._running) this.emit('line', `[TCP SERVER] Receiver ${peer} disconnected, waiting`, '#6a1b9a');
+    });
+  }
+
+  _peerDesc(socket) {
+    return `${socket.remoteAddress}:${socket.remotePort}`;
+  }
+
+  /**
+   * Bind a UDP port, optionally joining a multicast group.
+   * @param {number} listenPort
+   * @param {string} [remoteHost] - where commands are sent (optional)
+   * @param {number} [remotePort]
+   * @param {object} [options]
+   * @param {string} [options.multicastGroup] - e.g. 239.0.0.1
+   * @param {string} [options.multicastInterface] - local interface address for the group
+   */
+  connectUdp(listenPort, remoteHost, remotePort, options = {}) {
+    const { multicastGroup, multicastInterface } = options;
+    return new Promise((resolve) => {
+      try {
+        if (multicastGroup && !net.isIPv4(multicastGroup)) throw new Error(`Invalid multicast group ${multicastGroup}`);
+        if (multicastGroup && !isMulticastAddress(multicastGroup)) {
+          throw new Error(`${multicastGroup} is not a multicast address (224.0.0.0 - 239.255.255.255)`);
+        }
         this.mode = 'udp';
-        this._desc = `udp://0.0.0.0:${listenPort}`;
-        this.connection = dgram.createSocket('udp4');
+        this._desc = `udp://${multicastGroup || '0.0.0.0'}:${listenPort}`;
+        // Other listeners on the vehicle LAN may share the multicast port
+        this.connection = dgram.createSocket({ type: 'udp4', reuseAddr: !!multicastGroup });
         this.udpRemote = (remoteHost && remotePort) ? { host: remoteHost, port: remotePort } : null;
 
         this.connection.on('message', (msg) => this._onData(msg));
         this.connection.on('error', (err) => {
-          this.emit('line', `[UDP ERROR] ${err.message}`, 'red');
+          if (!this._running) {
+            this._cleanup();
+            resolve({ ok: false, msg: `[UDP] ${err.message}` });
+          } else {
+            this.emit('line', `[UDP ERROR] ${err.message}`, 'red');
+          }
         });
+        this.connection.on('close', () => this._onTransportClosed());
 
         this.connection.bind(listenPort, () => {
+          if (multicastGroup) {
+            try {
+              this.connection.addMembership(multicastGroup, multicastInterface || undefined);
+            } catch (e) {
+              this._cleanup();
+              resolve({ ok: false, msg: `[UDP] Cannot join ${multicastGroup}: ${e.message}` });
+              return;
+            }
+          }
           this._running = true;
-          this.emit('connection', true);
+          this._onConnected('udp', { listenPort, remoteHost, remotePort, multicastGroup, multicastInterface });
           resolve({ ok: true, msg: `Connected (UDP) ${this._desc}` });
         });
       } catch (e) {
@@ -146,10 +448,256 @@ class SerialManager extends EventEmitter {
     });
   }
 
+  connectReplay(filePath, speed = 1) {
+    try {
+      const reader = new CaptureReader(filePath);
+      reader.open();
+      this.mode = 'replay';
+      this._desc = `replay://${path.basename(filePath)}`;
+      this.connection = new CapturePlayer(reader, { speed });
+
+      this.connection.on('data', (chunk) => this._onData(chunk));
+      this.connection.on('tx', (cmd) => this.emit('line', `> ${cmd} (recorded)`, '#0055FF'));
+      this.connection.on('meta', (meta) => {
+        if (meta.desc) this.emit('line', `[REPLAY] ${meta.event || 'meta'}: ${meta.desc}`, '#6a1b9a');
+      });
+      // Drop partial frames so a seek does not splice unrelated data together
+      this.connection.on('seek', () => this._decoder.reset());
+      this.connection.on('status', (status) => this.emit('replay', status));
+      this.connection.on('end', () => this.emit('line', '[REPLAY] End of capture', '#6a1b9a'));
+
+      this._running = true;
+      this._stats.reset();
+      this._emitConnection(true);
+      this.connection.play();
+      return Promise.resolve({ ok: true, msg: `Connected (Replay) ${this._desc}` });
+    } catch (e) {
+      this._cleanup();
+      return Promise.resolve({ ok: false, msg: `[Replay] ${e.message}` });
+    }
+  }
+
+  connectSimulator(options = {}) {
+    try {
+      this.mode = 'sim';
+      this._desc = 'sim://BYNAV';
+      this.connection = new SimulatedReceiver(options);
+      this.connection.on('data', (chunk) => this._onData(chunk));
+
+      this._running = true;
+      this._stats.reset();
+      this._emitConnection(true);
+      return Promise.resolve({ ok: true, msg: `Connected (Simulator) ${this._desc}` });
+    } catch (e) {
+      this._cleanup();
+      return Promise.resolve({ ok: false, msg: `[Simulator] ${e.message}` });
+    }
+  }
+
+  // Play/pause/seek/speed for an active replay connection
+  replayControl(action, value) {
+    if (this.mode !== 'replay' || !this.connection) return { ok: false, msg: 'No replay active' };
+    switch (action) {
+      case 'play': this.connection.play(); break;
+      case 'pause': this.connection.pause(); break;
+      case 'seek': this.connection.seek(value); break;
+      case 'speed': this.connection.setSpeed(value); break;
+      default: return { ok: false, msg: `Unknown replay action: ${action}` };
+    }
+    return { ok: true, status: this.connection.getStatus() };
+  }
+
+  getConnectionStatus() {
+    return {
+      connected: this._running,
+      mode: this.mode,
+      desc: this._running ? this._desc : '',
+      reconnecting: this._reconnectAttempt > 0
+    };
+  }
+
+  getReplayStatus() {
+    if (this.mode !== 'replay' || !this.connection) return null;
+    return this.connection.getStatus();
+  }
+
   disconnect() {
+    // A dropped transport was already reported by _onTransportClosed
+    const wasRunning = this._running;
+    this._running = false;
+    this.cancelReconnect();
+    this._lastConnect = null;
+    this._activeLogs.clear();
+    this._cleanup();
+    if (wasRunning) this._emitConnection(false);
+    if (this._recorder) this.stopRecording();
+  }
+
+  // Disconnect and stop the decode worker; the instance cannot be used afterwards
+  destroy() {
+    this.disconnect();
+    this._decoder.destroy();
+  }
+
+  // --- Auto-reconnect ---
+
+  // Binary commands are needed for ports in a binary-only interface mode
+  setCommandFormat(format) {
+    this._commandFormat = format === 'binary' ? 'binary' : 'ascii';
+  }
+
+  get commandFormat() {
+    return this._commandFormat;
+  }
+
+  setAutoReconnect(enabled) {
+    this._autoReconnect = !!enabled;
+    if (!this._autoReconnect) this.cancelReconnect();
+  }
+
+  cancelReconnect() {
+    if (this._reconnectTimer) {
+      clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = null;
+    }
+    if (this._reconnectAttempt > 0) {
+      this._reconnectAttempt = 0;
+      this.emit('reconnect', { state: 'cancelled' });
+    }
+  }
+
+  _onConnected(mode, params) {
+    const restored = this._reconnectAttempt > 0;
+    this._lastConnect = { mode, params };
+    this._reconnectAttempt = 0;
+    this._emitConnection(true);
+
+    if (restored) {
+      this.emit('line', `[RECONNECT] Reconnected ${this._desc}`, '#6a1b9a');
+      // The CommandScheduler replays the logs that were active before the drop
+      const logs = [...this._activeLogs.values()];
+      if (logs.length) this.emit('line', `[RECONNECT] Restoring ${logs.length} LOG command(s)`, '#6a1b9a');
+      this.emit('reconnect', { state: 'connected', desc: this._desc, logs });
+    } else {
+      this._stats.reset();
+      this._activeLogs.clear();
+      this._serialIdentity = null;
+      if (mode === 'serial') this._lookupSerialIdentity(params.portPath);
+    }
+  }
+
+  // Transport closed: unplugged cable or dropped socket. After our own
+  // disconnect() (or a reconnect cleanup) the drop was already reported.
+  _onTransportClosed() {
+    if (!this._running) return;
     this._running = false;
+    this._emitConnection(false);
+    this._scheduleReconnect();
+  }
+
+  _scheduleReconnect() {
+    if (!this._autoReconnect || !this._lastConnect || this._reconnectTimer) return;
     this._cleanup();
-    this.emit('connection', false);
+
+    const attempt = ++this._reconnectAttempt;
+    const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1), RECONNECT_MAX_DELAY_MS);
+    this.emit('line', `[RECONNECT] Attempt ${attempt} in ${Math.round(delay / 1000)} s`, '#6a1b9a');
+    this.emit('reconnect', { state: 'waiting', attempt, delay });
+
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this._attemptReconnect();
+    }, delay);
+  }
+
+  async _attemptReconnect() {
+    if (!this._lastConnect) return;
+    const { mode, params } = this._lastConnect;
+    this.emit('reconnect', { state: 'connecting', attempt: this._reconnectAttempt });
+
+    let result;
+    if (mode === 'serial') {
+      const portPath = await this._resolveSerialPath(params.portPath);
+      result = portPath
+        ? await this.connectSerial(portPath, params.baudRate, params.lineSettings)
+        : { ok: false, msg: 'Device not present' };
+    } else if (mode === 'tcp') {
+      result = await this.connectTcp(params.host, params.port);
+    } else if (mode === 'tcp-server') {
+      result = await this.connectTcpServer(params.port, params.bindHost);
+    } else if (mode === 'udp') {
+      result = await this.connectUdp(params.listenPort, params.remoteHost, params.remotePort, {
+        multicastGroup: params.multicastGroup,
+        multicastInterface: params.multicastInterface
+      });
+    } else {
+      return;
+    }
+
+    // Cancelled while the attempt was in flight, or already connected
+    if (this._reconnectAttempt === 0 || result.ok) return;
+    this.emit('line', `[RECONNECT] ${result.msg}`, '#6a1b9a');
+    this._scheduleReconnect();
+  }
+
+  // Remember which USB device sits behind the port so it can be found again
+  async _lookupSerialIdentity(portPath) {
+    const ports = await SerialManager.listPorts();
+    const port = ports.find(p => p.path === portPath);
+    if (port && port.vendorId) {
+      this._serialIdentity = {
+        vendorId: port.vendorId,
+        productId: port.productId,
+        serialNumber: port.serialNumber
+      };
+    }
+  }
+
+  // USB adapters may come back under a different COM number after a replug
+  async _resolveSerialPath(portPath) {
+    const ports = await SerialManager.listPorts();
+    const id = this._serialIdentity;
+    if (!id) return ports.some(p => p.path === portPath) ? portPath : null;
+
+    const match = ports.find(p => p.vendorId === id.vendorId && p.productId === id.productId
+      && (!id.serialNumber || p.serialNumber === id.serialNumber));
+    if (!match) return null;
+    if (match.path !== portPath) {
+      this.emit('line', `[RECONNECT] Device moved ${portPath} -> ${match.path}`, '#6a1b9a');
+    }
+    return match.path;
+  }
+
+  // Track LOG/UNLOG so the receiver's output can be restored after a reconnect
+  _trackLogCommand(cmd) {
+    const tokens = cmd.trim().toUpperCase().split(/\s+/);
+    const verb = tokens[0];
+    if (verb !== 'LOG' && verb !== 'UNLOG' && verb !== 'UNLOGALL') return;
+
+    const args = tokens.slice(1);
+    const port = LOG_PORT_REGEX.test(args[0] || '') ? args.shift() : '';
+    if (verb === 'UNLOGALL' || args[0] === 'ALL') {
+      for (const key of [...this._activeLogs.keys()]) {
+        if (!port || key.startsWith(`${port} `)) this._activeLogs.delete(key);
+      }
+      return;
+    }
+
+    const msg = args[0];
+    if (!msg) return;
+    const key = `${port} ${msg}`;
+    if (verb === 'UNLOG') {
+      this._activeLogs.delete(key);
+    } else if (args[1] && args[1] !== 'ONCE') {
+      this._activeLogs.set(key, cmd.trim());
+    }
+  }
+
+  _emitConnection(connected) {
+    if (this._recorder) {
+      this._recorder.writeMeta({ event: connected ? 'connected' : 'disconnected', mode: this.mode, desc: this._desc });
+    }
+    this.emit('connection', connected);
   }
 
   _cleanup() {
@@ -157,166 +705,317 @@ class SerialManager extends EventEmitter {
       if (this.connection) {
         if (this.mode === 'serial') {
           if (this.connection.isOpen) this.connection.close();
-        } else if (this.mode === 'tcp') {
+        } else if (this.mode === 'tcp' || this.mode === 'tcp-server') {
           this.connection.destroy?.();
         } else if (this.mode === 'udp') {
           try { this.connection.close?.(); } catch { }
+        } else if (this.mode === 'replay' || this.mode === 'sim') {
+          this.connection.close();
         }
       }
     } catch { }
+    if (this._tcpServer) {
+      // Listening server goes away without reporting its close as a dropped link
+      this._tcpServer.removeAllListeners('close');
+      this._tcpServer.close();
+      this._tcpServer = null;
+    }
     this.connection = null;
     this.mode = null;
     this.udpRemote = null;
-    this._buffer = Buffer.alloc(0);
+    this._decoder.reset();
   }
 
   // --- Data processing ---
 
   _onData(chunk) {
-    this._buffer = Buffer.concat([this._buffer, chunk]);
-    this._processBuffer();
-  }
-
-  _processBuffer() {
-    let progressed = true;
-    while (progressed) {
-      progressed = false;
-      const buf = this._buffer;
-
-      // 1) BYNAV binary (AA 44 12)
-      if (buf.length >= 3 && buf[0] === 0xAA && buf[1] === 0x44 && buf[2] === 0x12) {
-        if (buf.length < 28) return;
-        const headerLen = buf[3];
-        if (buf.length < Math.max(12, headerLen + 4)) return;
-        const payloadLen = buf.readUInt16LE(8);
-        const totalLen = headerLen + payloadLen + 4;
-        if (buf.length < totalLen) return;
-
-        const msg = buf.slice(0, totalLen);
-        const payloadWithHeader = msg.slice(0, -4);
-        const crcRx = msg.readUInt32LE(msg.length - 4);
-        const crcOk = crcRx === calcBlockCrc32(payloadWithHeader);
-
-        const msgId = payloadWithHeader.readUInt16LE(4);
-        const pLen = payloadWithHeader.readUInt16LE(8);
-        const pStart = payloadWithHeader[3]; // headerLen
-        const pEnd = pStart + pLen;
-        const payload = (pEnd <= payloadWithHeader.length)
-          ? payloadWithHeader.slice(pStart, pEnd) : Buffer.alloc(0);
-
-        const hexStr = [...msg].map(b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ');
-        this.emit('line', crcOk ? hexStr : `[CRC ERROR] ${hexStr}`, crcOk ? '#888' : 'red');
-        this.emit('binary', { ok: crcOk, id: msgId, payload, raw: msg, crc: crcRx });
-
-        this._buffer = buf.slice(totalLen);
-        progressed = true;
-        continue;
-      }
+    if (this._recorder) this._recorder.writeRx(chunk);
+    this.emit('rx', chunk);   // raw bytes for DataFanout
+    this._decoder.push(chunk);
+  }
+
+  /**
+   * Echo binary frames to the terminal as hex. Formatting every frame is the
+   * most expensive part of high-rate streams, so it stays off unless a
+   * terminal is visible; frames that fail their CRC are always reported.
+   */
+  setFrameEcho(enabled) {
+    this._frameEcho = !!enabled;
+    this._decoder.setFrameEcho(this._frameEcho);
+  }
 
-      // 2) RTCM v3 (0xD3)
-      const rtcmIdx = buf.indexOf(0xD3);
-      if (rtcmIdx === -1) {
-        // 3) ASCII (\n)
-        const lfIdx = buf.indexOf(0x0A);
-        if (lfIdx >= 0) {
-          const line = buf.slice(0, lfIdx + 1).toString('utf-8').trim();
-          this.emit('line', line, '#000');
-          this._buffer = buf.slice(lfIdx + 1);
-          progressed = true;
-          continue;
+  get frameEcho() {
+    return this._frameEcho;
+  }
+
+  /**
+   * Declare which binary message IDs an owner (router, renderer, ...) needs
+   * decoded. 'binary' events carry `parsed` only for the union of all owners;
+   * every other frame is passed through undecoded.
+   * @param {string} owner
+   * @param {Iterable<number>} ids - empty to drop the owner's interest
+   */
+  setDecodeInterest(owner, ids) {
+    const set = new Set(ids);
+    if (set.size) this._decodeInterest.set(owner, set);
+    else this._decodeInterest.delete(owner);
+
+    const union = new Set();
+    for (const owned of this._decodeInterest.values()) owned.forEach(id => union.add(id));
+    this._decoder.setDecodeIds(union);
+  }
+
+  // 'framed' ({ type, ok, data }) passes every message framed from the stream
+  // to DataFanout's filtered outputs; status and echo lines are not included
+  _onDecoded(events) {
+    const now = Date.now();
+    for (const event of events) {
+      switch (event.type) {
+        case 'line':
+          if (event.bytes) {
+            this._recordLine(event.text, event.bytes, event.ok, now);
+            this.emit('framed', {
+              type: event.text.startsWith('$') ? 'nmea' : 'ascii',
+              ok: event.ok !== false,
+              data: Buffer.from(`${event.text}\r\n`, 'latin1')
+            });
+          }
+          // Corrupted lines are shown flagged so no parser takes them for data
+          if (event.ok === false) this.emit('line', `[CHECKSUM ERROR] ${event.text}`, 'red');
+          else this.emit('line', event.text, event.color);
+          break;
+        case 'response':
+          // Binary command response, reported like the abbreviated ASCII reply
+          this.emit('line', event.ok ? '<OK' : `<ERROR:${event.text}`, event.ok ? '#000' : 'red');
+          this.emit('framed', { type: 'binary', ok: true, data: event.raw });
+          break;
+        case 'binary': {
+          const { ok, id, raw, crc, header, parsed } = event;
+          if (ok) this._markGnssTime(header);
+          this._stats.record(this._binaryName(id), {
+            protocol: 'binary',
+            id,
+            bytes: raw.length,
+            ok,
+            time: header && header.week ? gnssTimeMs(header.week, header.ms) : null,
+            sequence: header?.short ? null : header?.sequence
+          }, now);
+          const payload = raw.subarray(event.payloadStart, event.payloadEnd);
+          this.emit('binary', { ok, id, payload, raw, crc, header, parsed });
+          this.emit('framed', { type: 'binary', ok, data: raw });
+          break;
         }
-        if (buf.length > 4096) {
-          this._buffer = buf.slice(-3);
+        case 'rtcm': {
+          const { ok, id, sid, length, total } = event;
+          this._stats.record(id != null ? `RTCM${id}` : 'RTCM', { protocol: 'rtcm', id, bytes: total, ok }, now);
+          this.emit('rtcm', { ok, id, sid, length, total });
+          this.emit('framed', { type: 'rtcm', ok, data: event.raw });
+          break;
         }
-        return;
       }
+    }
+  }
 
-      // Check for ASCII before RTCM preamble
-      const lfBefore = buf.indexOf(0x0A, 0);
-      if (lfBefore >= 0 && lfBefore < rtcmIdx) {
-        const line = buf.slice(0, lfBefore + 1).toString('utf-8').trim();
-        this.emit('line', line, '#000');
-        this._buffer = buf.slice(lfBefore + 1);
-        progressed = true;
-        continue;
-      }
+  // --- Stream statistics ---
 
-      if (rtcmIdx > 0) {
-        this._buffer = buf.slice(rtcmIdx);
-        if (this._buffer.length < 3) return;
-        progressed = true;
-        continue;
-      }
+  _binaryName(id) {
+    let name = this._binaryNames.get(id);
+    if (!name) {
+      const found = getEntryById(id);
+      name = found ? (found.entry.tag || found.key).toUpperCase() : `ID ${id}`;
+      this._binaryNames.set(id, name);
+    }
+    return name;
+  }
 
-      if (buf.length < 3) return;
-      const length = ((buf[1] & 0x03) << 8) | buf[2];
-      if (length === 0 || length > 1023) {
-        this._buffer = buf.slice(1);
-        progressed = true;
-        continue;
-      }
-      const total = 1 + 2 + length + 3;
-      if (buf.length < total) return;
+  // NMEA sentences and #ASCII logs; command replies and other text are not counted
+  _recordLine(text, bytes, ok, now) {
+    if (text.startsWith('$')) {
+      const name = text.slice(1).split(/[,*]/, 1)[0].toUpperCase();
+      if (!name || name === 'COMMAND') return;
+      this._stats.record(name, { protocol: 'nmea', bytes, ok }, now);
+    } else if (text.startsWith('#')) {
+      const semi = text.indexOf(';');
+      if (semi === -1 || /^;\s*(OK|ERROR)/i.test(text.slice(semi))) return;
+      const parts = text.slice(1, semi).split(',');
+      const week = parseInt(parts[5], 10);
+      const seconds = parseFloat(parts[6]);
+      this._stats.record(parts[0].toUpperCase(), {
+        protocol: 'ascii',
+        bytes,
+        ok,
+        time: week > 0 && Number.isFinite(seconds) ? gnssTimeMs(week, Math.round(seconds * 1000)) : null
+      }, now);
+    }
+  }
 
-      const frame = buf.slice(0, total);
-      this._buffer = buf.slice(total);
-      progressed = true;
+  // Configured output rates of the logs requested through this connection (LOG ... ONTIME period)
+  _expectedRates() {
+    const rates = {};
+    for (const cmd of this._activeLogs.values()) {
+      const args = cmd.toUpperCase().split(/\s+/).slice(1);
+      if (LOG_PORT_REGEX.test(args[0] || '')) args.shift();
+      const [msg, trigger, period] = args;
+      const seconds = parseFloat(period);
+      if (trigger !== 'ONTIME' || !(seconds > 0)) continue;
+      rates[msg] = 1 / seconds;
+      // LOG BESTPOS without a format suffix outputs the ASCII log
+      if (!/[AB]$/.test(msg)) rates[`${msg}A`] = 1 / seconds;
+    }
+    return rates;
+  }
 
-      const crcRx = (frame[frame.length - 3] << 16) | (frame[frame.length - 2] << 8) | frame[frame.length - 1];
-      const crcOk = crcRx === crc24q(frame.slice(0, -3));
-      const rtcmPayload = frame.slice(3, -3);
+  /**
+   * Per-message statistics since the connection was opened (or last reset).
+   * @returns {{ startedAt, elapsedMs, totals, messages: Array }}
+   */
+  getStreamStats() {
+    return this._stats.snapshot(this._expectedRates());
+  }
 
-      let msgId = null, sid = null;
-      try {
-        const br = new BitReader(rtcmPayload);
-        msgId = br.read(12);
-        if ([1005, 1006, 1007, 1008, 1033, 1019, 1020, 1230].includes(msgId) || isMSM(msgId)) {
-          sid = br.read(12);
-        }
-      } catch { }
-
-      const color = crcOk ? '#6a1b9a' : 'red';
-      let txt = `[RTCM${crcOk ? ' OK' : ' BAD-CRC'}] id=${msgId ?? '?'}`;
-      if (sid != null) txt += ` sid=${sid}`;
-      txt += ` len=${length}`;
-      this.emit('line', txt, color);
-      this.emit('rtcm', { ok: crcOk, id: msgId, sid, length, total });
-    }
+  resetStreamStats() {
+    this._stats.reset();
   }
 
   // --- Send command ---
 
   sendCommand(cmd) {
-    const data = Buffer.from(cmd + '\r\n', 'utf-8');
+    let binary = this._commandFormat === 'binary' && this.mode !== 'replay';
+    let data;
+    try {
+      data = binary ? encodeCommand(cmd) : Buffer.from(cmd + '\r\n', 'utf-8');
+    } catch (e) {
+      if (e.code !== 'NO_BINARY_DEFINITION') {
+        this.emit('line', `[BINARY CMD] ${e.message}`, 'red');
+        return { ok: false, msg: `[BINARY CMD] ${e.message}` };
+      }
+      // Not in commands.json5: ASCII still works on ports that accept both,
+      // a binary-only port will reject it
+      this.emit('line', `[BINARY CMD] ${e.message}; sending ASCII (rejected by binary-only ports)`, '#b26a00');
+      binary = false;
+      data = Buffer.from(cmd + '\r\n', 'utf-8');
+    }
+    const fmt = binary ? ' [BIN]' : '';
     try {
       if (this.mode === 'serial' && this.connection) {
         this.connection.write(data);
+        this._onCommandSent(cmd);
         // Echo command to terminal
-        this.emit('line', `> ${cmd}`, '#0055FF'); // Blue for TX
+        this.emit('line', `> ${cmd}${fmt}`, '#0055FF'); // Blue for TX
         return { ok: true, msg: `Command sent: ${cmd}` };
       }
       if (this.mode === 'tcp' && this.connection) {
         this.connection.write(data);
-        this.emit('line', `> ${cmd} (TCP)`, '#0055FF');
+        this._onCommandSent(cmd);
+        this.emit('line', `> ${cmd} (TCP)${fmt}`, '#0055FF');
         return { ok: true, msg: `Command sent (TCP): ${cmd}` };
       }
+      if (this.mode === 'tcp-server') {
+        if (!this.connection) return { ok: false, msg: 'No receiver connected to the TCP server yet.' };
+        this.connection.write(data);
+        this._onCommandSent(cmd);
+        this.emit('line', `> ${cmd} (TCP ${this._peerDesc(this.connection)})${fmt}`, '#0055FF');
+        return { ok: true, msg: `Command sent (TCP server): ${cmd}` };
+      }
       if (this.mode === 'udp' && this.connection && this.udpRemote) {
         this.connection.send(data, this.udpRemote.port, this.udpRemote.host);
-        this.emit('line', `> ${cmd} (UDP)`, '#0055FF');
+        this._onCommandSent(cmd);
+        this.emit('line', `> ${cmd} (UDP)${fmt}`, '#0055FF');
         return { ok: true, msg: `Command sent (UDP): ${cmd}` };
       }
+      if (this.mode === 'sim' && this.connection) {
+        this.connection.write(data);
+        this._onCommandSent(cmd);
+        this.emit('line', `> ${cmd} (SIM)${fmt}`, '#0055FF');
+        return { ok: true, msg: `Command sent (SIM): ${cmd}` };
+      }
+      if (this.mode === 'replay' && this.connection) {
+        // Captures are read-only: accept the command as a no-op so pages and
+        // DeviceQuery carry on with whatever the capture itself contains
+        this.emit('line', `> ${cmd} (replay, not sent)`, '#0055FF');
+        return { ok: true, written: false, msg: `Replay, not sent: ${cmd}` };
+      }
       return { ok: false, msg: 'Connection not open.' };
     } catch (e) {
       return { ok: false, msg: `[SEND ERROR] ${e.message}` };
     }
   }
 
+  _onCommandSent(cmd) {
+    this._trackLogCommand(cmd);
+    this.emit('command', cmd);
+    if (this._recorder) this._recorder.writeTx(cmd);
+  }
+
+  // --- Recording ---
+
+  // Once per GNSS second, tie the PC arrival time to the receiver time so
+  // recordings can be aligned on GNSS time during analysis
+  _markGnssTime(header) {
+    if (!this._recorder || !header || header.timeStatus < MIN_TIME_STATUS_FOR_MARKS) return;
+    const key = `${header.week}:${Math.floor(header.ms / 1000)}`;
+    if (key === this._lastGnssMark) return;
+    this._lastGnssMark = key;
+    this._recorder.writeMeta({
+      event: 'gnss_time',
+      week: header.week,
+      ms: header.ms,
+      timeStatus: header.timeStatusName
+    });
+  }
+
+  async startRecording(filePath) {
+    if (this._recorder) return { ok: false, msg: 'Recording already in progress' };
+    if (!filePath) return { ok: false, msg: '[Record] No file path given' };
+
+    const recorder = new CaptureWriter(filePath);
+    try {
+      await recorder.open();
+    } catch (e) {
+      return { ok: false, msg: `[Record] ${e.message}` };
+    }
+    recorder.on('error', (err) => {
+      this.emit('line', `[RECORD ERROR] ${err.message}`, 'red');
+      this.stopRecording();
+    });
+
+    this._recorder = recorder;
+    this._lastGnssMark = null;
+    recorder.writeMeta({ event: 'start', mode: this.mode, desc: this._desc, connected: this._running });
+    this.emit('line', `[RECORD] Started: ${filePath}`, '#6a1b9a');
+    this.emit('recording', recorder.getStatus());
+    return { ok: true, msg: `Recording to ${filePath}`, path: filePath };
+  }
+
+  async stopRecording() {
+    const recorder = this._recorder;
+    if (!recorder) return { ok: false, msg: 'Not recording' };
+    this._recorder = null;
+
+    recorder.writeMeta({ event: 'stop', mode: this.mode, desc: this._desc });
+    const status = recorder.getStatus();
+    await recorder.close();
+    this.emit('line', `[RECORD] Stopped: ${status.path} (${status.bytes} bytes)`, '#6a1b9a');
+    this.emit('recording', { ...status, recording: false });
+    return { ok: true, msg: 'Recording stopped', ...status, recording: false };
+  }
+
+  getRecordingStatus() {
+    return this._recorder ? this._recorder.getStatus() : { recording: false };
+  }
+
   // --- List serial ports ---
   static async listPorts() {
     try {
       const { SerialPort } = require('serialport');
       const ports = await SerialPort.list();
-      return ports.map(p => ({ path: p.path, manufacturer: p.manufacturer || '' }));
+      return ports.map(p => ({
+        path: p.path,
+        manufacturer: p.manufacturer || '',
+        vendorId: p.vendorId || '',
+        productId: p.productId || '',
+        serialNumber: p.serialNumber || ''
+      }));
     } catch {
       return [];
     }
@@ -0,0 +1,697 @@
+// SimulatedReceiver - virtual BYNAV receiver for offline development
+// Used as a SerialManager connection: write() takes command text or binary
+// command frames (answered with binary responses), 'data' emits
+// the replies and log output (ASCII, binary, NMEA, RTCM) as raw bytes, so every
+// downstream consumer (router, DeviceQuery, settings pages) runs unmodified.
+
+const { EventEmitter } = require('events');
+const { crc24q, calcBlockCrc32 } = require('./crc');
+const { getBinaryMessageMap, getAsciiMessageMap } = require('./schema-loader');
+const {
+  encodeBinaryPayload,
+  encodeBinaryFrame,
+  encodeShortBinaryFrame,
+  encodeAsciiLog,
+  encodeAsciiMessage,
+  encodeNmea,
+  BYNAV_HEADER_LEN
+} = require('./message-encoder');
+const { decodeCommand, encodeResponse } = require('./command-codec');
+
+const GPS_EPOCH_MS = Date.UTC(1980, 0, 6);
+const GPS_LEAP_SECONDS = 18;
+const MS_PER_WEEK = 7 * 86400 * 1000;
+
+const REPLY_LATENCY_MS = 5;
+const MIN_PERIOD_S = 0.05;
+const ONNEW_IMU_PERIOD_S = 0.05;   // 20 Hz IMU when logged ONNEW
+const ONNEW_PERIOD_S = 1;
+
+const IMU_LOG_REGEX = /^(RAWIMU|CORRIMU)/;
+const MSL_HEIGHT_LOG_REGEX = /^(BESTPOS|BESTGNSSPOS|BESTPVT|INSPTNLPJKS)/;   // height_m above MSL, not the ellipsoid
+const NMEA_LOG_REGEX = /^GP(GGA|RMC|VTG|GSA|GSV|HDT|ZDA|GST)$/;
+const RTCM_LOG_REGEX = /^RTCM(\d{4})$/;
+const QUERY_LOGS = new Set(['COMCONFIG', 'ICOMCONFIG', 'LOGLIST', 'INSCONFIG', 'IPCONFIG']);
+
+const PORT_ADDRESS = { COM1: 0x20, COM2: 0x40, COM3: 0x60, ICOM1: 0xA0, ICOM2: 0xA1, ICOM3: 0xA2 };
+
+// IMU raw scale factors (must match display_config RAWIMU conversions)
+const ACCEL_LSB = 7.48188018798828e-06;  // m/s² per LSB
+const GYRO_LSB = 1.52587890625e-05;      // deg/s per LSB
+const GRAVITY = 9.80665;
+
+const TRACKING_STATUS = 0x1810BC04;   // TRACKSTAT ch-tr-status: GPS L1 C/A, code and phase locked
+
+const EARTH_RADIUS_M = 6378137;
+const UNDULATION_M = 36.2;
+
+// Query logs are answered in ASCII whichever way they are named: COMCONFIG,
+// COMCONFIGA (also what a binary LOG decodes to) -> COMCONFIG
+function queryLogName(msg) {
+  if (QUERY_LOGS.has(msg)) return msg;
+  const base = msg.replace(/A$/, '');
+  return QUERY_LOGS.has(base) ? base : null;
+}
+
+class SimulatedReceiver extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.latitude=39.9208]  - centre of the simulated track (deg)
+   * @param {number} [options.longitude=32.8541]
+   * @param {number} [options.height=938.5]      - ellipsoidal height (m)
+   * @param {number} [options.radius=50]         - track radius (m)
+   * @param {number} [options.speed=5]           - ground speed (m/s)
+   */
+  constructor(options = {}) {
+    super();
+    this._origin = {
+      latitude: options.latitude ?? 39.9208,
+      longitude: options.longitude ?? 32.8541,
+      height: options.height ?? 938.5
+    };
+    this._radius = options.radius ?? 50;
+    this._speed = options.speed ?? 5;
+    this._startTime = Date.now();
+
+    this._open = true;
+    this._rx = Buffer.alloc(0);
+    this._binaryReplyId = null;   // command ID while handling a binary command
+    this._logs = new Map();   // "PORT:MSG" -> { port, msg, trigger, period, timer }
+
+    // Device configuration reported by the query logs and changed by commands
+    this._config = {
+      ports: {
+        COM1: { baud: 115200, inMode: 'BYNAV', outMode: 'BYNAV' },
+        COM2: { baud: 115200, inMode: 'RTCMV3', outMode: 'NONE' },
+        COM3: { baud: 9600, inMode: 'BYNAV', outMode: 'NMEA' }
+      },
+      icoms: {
+        ICOM1: { protocol: 'TCP', port: 3001, inMode: 'BYNAV', outMode: 'BYNAV' },
+        ICOM2: { protocol: 'TCP', port: 3002, inMode: 'BYNAV', outMode: 'BYNAV' },
+        ICOM3: { protocol: 'TCP', port: 3003, inMode: 'RTCMV3', outMode: 'NONE' }
+      },
+      ip: { iface: 'ETHA', mode: 'STATIC', address: '192.168.1.10', mask: '255.255.255.0', gateway: '192.168.1.1' },
+      rtkType: 'ROVER',
+      stationId: 0,
+      insProfile: 'LAND',
+      rbv: [0, 0, 0],
+      ant1: [0, 0, 1.2],
+      ant2: [0, 1.0, 1.2]
+    };
+
+    this._satellites = this._buildSatellites();
+  }
+
+  get isOpen() {
+    return this._open;
+  }
+
+  // --- Connection interface ---
+
+  write(data) {
+    if (!this._open) return;
+    const chunk = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'latin1');
+    this._rx = Buffer.concat([this._rx, chunk]);
+    for (;;) {
+      const rx = this._rx;
+      if (rx.length >= 3 && rx[0] === 0xAA && rx[1] === 0x44 && rx[2] === 0x12) {
+        if (rx.length < BYNAV_HEADER_LEN) return;
+        const total = rx[3] + rx.readUInt16LE(8) + 4;
+        if (rx.length < total) return;
+        this._rx = rx.subarray(total);
+        this._handleBinaryCommand(rx.subarray(0, total));
+        continue;
+      }
+      const idx = rx.indexOf(0x0A);
+      if (idx < 0) return;
+      const line = rx.toString('latin1', 0, idx).trim();
+      this._rx = rx.subarray(idx + 1);
+      if (line) this._handleCommand(line);
+    }
+  }
+
+  close() {
+    this._open = false;
+    for (const log of this._logs.values()) clearInterval(log.timer);
+    this._logs.clear();
+  }
+
+  _send(data) {
+    if (!this._open) return;
+    this.emit('data', Buffer.isBuffer(data) ? data : Buffer.from(data, 'latin1'));
+  }
+
+  _reply(lines) {
+    const binaryId = this._binaryReplyId;
+    const data = [].concat(lines).map((l) => {
+      if (binaryId == null || !l.startsWith('<')) return Buffer.from(`${l}\r\n`, 'latin1');
+      const err = l.match(/^<ERROR:?(.*)$/);
+      return encodeResponse(binaryId, !err, err ? err[1] : 'OK');
+    });
+    setTimeout(() => this._send(Buffer.concat(data)), REPLY_LATENCY_MS);
+  }
+
+  // --- Command handling ---
+
+  // Binary commands are decoded to their ASCII form and answered in binary
+  _handleBinaryCommand(frame) {
+    const id = frame.readUInt16LE(4);
+    const body = frame.subarray(0, frame.length - 4);
+    if (frame.readUInt32LE(frame.length - 4) !== calcBlockCrc32(body)) {
+      this._send(encodeResponse(id, false, 'Invalid Checksum'));
+      return;
+    }
+    this._binaryReplyId = id;
+    try {
+      const decoded = decodeCommand(frame);
+      if (decoded) this._handleCommand(decoded.text);
+      else this._reply('<ERROR:Invalid Message ID');
+    } catch {
+      this._reply('<ERROR:Invalid Message');
+    } finally {
+      this._binaryReplyId = null;
+    }
+  }
+
+  _handleCommand(line) {
+    const tokens = line.toUpperCase().split(/\s+/);
+    const cmd = tokens[0];
+    const args = tokens.slice(1);
+
+    switch (cmd) {
+      case 'LOG': return this._cmdLog(args);
+      case 'UNLOG': return this._cmdUnlog(args);
+      case 'UNLOGALL': return this._cmdUnlogAll(args);
+      case 'SAVECONFIG': return this._reply('<OK');
+      case 'RTKTYPE': return this._cmdRtkType(args);
+      case 'DGPSTXID': return this._cmdDgpsTxId(args);
+      case 'SERIALCONFIG': return this._cmdSerialConfig(args);
+      case 'INTERFACEMODE': return this._cmdInterfaceMode(args);
+      case 'ICOMCONFIG': return this._cmdIcomConfig(args);
+      case 'IPCONFIG': return this._cmdIpConfig(args);
+      case 'SETINSPROFILE': return this._cmdInsProfile(args);
+      case 'SETINSROTATION': return this._cmdInsRotation(args);
+      case 'SETINSTRANSLATION': return this._cmdInsTranslation(args);
+      default:
+        // Other configuration commands are accepted without side effects
+        return this._reply('<OK');
+    }
+  }
+
+  _cmdLog(args) {
+    let port = 'COM1';
+    if (args.length && PORT_ADDRESS[args[0]] != null) port = args.shift();
+    const msg = args[0];
+    if (!msg) return this._reply('<ERROR:Invalid Message ID');
+
+    const trigger = args[1] || 'ONCE';
+    const query = queryLogName(msg);
+    if (query) {
+      this._reply('<OK');
+      setTimeout(() => this._sendQueryLog(query), REPLY_LATENCY_MS * 2);
+      return;
+    }
+    if (!this._canOutput(msg)) return this._reply('<ERROR:Invalid Message ID');
+
+    let period;
+    switch (trigger) {
+      case 'ONTIME':
+        period = Math.max(MIN_PERIOD_S, parseFloat(args[2]) || 1);
+        break;
+      case 'ONNEW':
+        period = IMU_LOG_REGEX.test(msg) ? ONNEW_IMU_PERIOD_S : ONNEW_PERIOD_S;
+        break;
+      case 'ONCE':
+      case 'ONNEXT':
+      case 'ONCHANGED':
+        period = 0;
+        break;
+      default:
+        return this._reply('<ERROR:Invalid Trigger');
+    }
+
+    this._reply('<OK');
+    const key = `${port}:${msg}`;
+    this._stopLog(key);
+    if (period === 0) {
+      setTimeout(() => this._output(port, msg), REPLY_LATENCY_MS * 2);
+      return;
+    }
+    const timer = setInterval(() => this._output(port, msg), period * 1000);
+    this._logs.set(key, { port, msg, trigger, period, timer });
+  }
+
+  _cmdUnlog(args) {
+    let port = null;
+    if (args.length && PORT_ADDRESS[args[0]] != null) port = args.shift();
+    const msg = args[0];
+    if (!msg) return this._reply('<ERROR:Invalid Message ID');
+    if (msg === 'ALL') return this._cmdUnlogAll(port ? [port] : []);
+
+    let found = false;
+    for (const [key, log] of this._logs) {
+      if (log.msg === msg && (!port || log.port === port)) {
+        this._stopLog(key);
+        found = true;
+      }
+    }
+    this._reply(found || this._canOutput(msg) ? '<OK' : '<ERROR:Invalid Message ID');
+  }
+
+  _cmdUnlogAll(args) {
+    const port = args[0] && PORT_ADDRESS[args[0]] != null ? args[0] : null;
+    for (const [key, log] of this._logs) {
+      if (!port || log.port === port) this._stopLog(key);
+    }
+    this._reply('<OK');
+  }
+
+  _cmdRtkType(args) {
+    if (!args.length) return this._reply(`<RTKTYPE ${this._config.rtkType}`);
+    if (!/^(BASE|ROVER)$/.test(args[0])) return this._reply('<ERROR:Invalid Parameter');
+    this._config.rtkType = args[0];
+    this._reply('<OK');
+  }
+
+  _cmdDgpsTxId(args) {
+    if (args.length < 2) return this._reply(`<DGPSTXID RTCMV3 ${this._config.stationId}`);
+    this._config.stationId = parseInt(args[1], 10) || 0;
+    this._reply('<OK');
+  }
+
+  _cmdSerialConfig(args) {
+    const port = this._config.ports[args[0]];
+    if (!port || !/^\d+$/.test(args[1] || '')) return this._reply('<ERROR:Invalid Parameter');
+    port.baud = parseInt(args[1], 10);
+    this._reply('<OK');
+  }
+
+  _cmdInterfaceMode(args) {
+    const target = this._config.ports[args[0]] || this._config.icoms[args[0]];
+    if (!target || args.length < 3) return this._reply('<ERROR:Invalid Parameter');
+    target.inMode = args[1];
+    target.outMode = args[2];
+    this._reply('<OK');
+  }
+
+  _cmdIcomConfig(args) {
+    const icom = this._config.icoms[args[0]];
+    if (!icom) return this._reply('<ERROR:Invalid Parameter');
+    if (args[1]) icom.protocol = args[1];
+    const port = parseInt((args[2] || '').replace(':', ''), 10);
+    if (port) icom.port = port;
+    this._reply('<OK');
+  }
+
+  _cmdIpConfig(args) {
+    const ip = this._config.ip;
+    if (args[0]) ip.iface = args[0];
+    if (args[1] === 'DHCP') {
+      ip.mode = 'DHCP';
+    } else if (args[1] === 'STATIC' && args.length >= 5) {
+      Object.assign(ip, { mode: 'STATIC', address: args[2], mask: args[3], gateway: args[4] });
+    } else {
+      return this._reply('<ERROR:Invalid Parameter');
+    }
+    this._reply('<OK');
+  }
+
+  _cmdInsProfile(args) {
+    if (!args[0]) return this._reply('<ERROR:Invalid Parameter');
+    this._config.insProfile = args[0];
+    this._reply('<OK');
+  }
+
+  _cmdInsRotation(args) {
+    if (args[0] === 'RBV') this._config.rbv = this._parseXyz(args, this._config.rbv);
+    this._reply('<OK');
+  }
+
+  _cmdInsTranslation(args) {
+    if (args[0] === 'ANT1') this._config.ant1 = this._parseXyz(args, this._config.ant1);
+    else if (args[0] === 'ANT2') this._config.ant2 = this._parseXyz(args, this._config.ant2);
+    this._reply('<OK');
+  }
+
+  _parseXyz(args, fallback) {
+    const xyz = [1, 2, 3].map(i => parseFloat(args[i]));
+    return xyz.every(Number.isFinite) ? xyz : fallback;
+  }
+
+  _stopLog(key) {
+    const log = this._logs.get(key);
+    if (!log) return;
+    clearInterval(log.timer);
+    this._logs.delete(key);
+  }
+
+  // --- Log output ---
+
+  _canOutput(msg) {
+    if (NMEA_LOG_REGEX.test(msg) || RTCM_LOG_REGEX.test(msg)) return true;
+    return !!this._resolveLog(msg);
+  }
+
+  // BESTPOSB -> binary entry, BESTPOSA / BESTPOS -> ASCII entry
+  _resolveLog(msg) {
+    const binary = getBinaryMessageMap();
+    const ascii = getAsciiMessageMap();
+    if (msg.endsWith('B') && binary[msg]) return { format: 'binary', entry: binary[msg] };
+    if (ascii[msg]) return { format: 'ascii', entry: ascii[msg] };
+    if (ascii[`${msg}A`]) return { format: 'ascii', entry: ascii[`${msg}A`] };
+    return null;
+  }
+
+  _output(port, msg) {
+    if (!this._open) return;
+    const state = this._state();
+
+    const nmea = msg.match(NMEA_LOG_REGEX);
+    if (nmea) {
+      this._send(this._nmeaSentences(nmea[1], state).map(s => `${s}\r\n`).join(''));
+      return;
+    }
+    const rtcm = msg.match(RTCM_LOG_REGEX);
+    if (rtcm) {
+      this._send(this._rtcmFrame(parseInt(rtcm[1], 10)));
+      return;
+    }
+
+    const log = this._resolveLog(msg);
+    if (!log) return;
+    const header = this._header(port, state);
+    const msl = MSL_HEIGHT_LOG_REGEX.test(msg);
+    if (log.format === 'binary') {
+      const payload = encodeBinaryPayload(log.entry, this._fieldValues(state, false, msl));
+      this._send(log.entry.short_header
+        ? encodeShortBinaryFrame(log.entry.id, payload, header)
+        : encodeBinaryFrame(log.entry.id, payload, header));
+    } else {
+      this._send(`${encodeAsciiMessage(log.entry, this._fieldValues(state, true, msl), header)}\r\n`);
+    }
+  }
+
+  _header(port, state) {
+    return {
+      port,
+      portAddress: PORT_ADDRESS[port] ?? PORT_ADDRESS.COM1,
+      sequence: 0,
+      idleTime: 55,
+      week: state.week,
+      ms: Math.round(state.tow * 1000),
+      receiverStatus: 0x02000000,
+      reserved: 0xB1F6,
+      swVersion: 16248
+    };
+  }
+
+  _sendQueryLog(msg) {
+    const state = this._state();
+    const header = this._header('COM1', state);
+    const cfg = this._config;
+    const lines = [];
+
+    switch (msg) {
+      case 'COMCONFIG':
+        lines.push(`COMCONFIG ${Object.keys(cfg.ports).length}`);
+        for (const [name, p] of Object.entries(cfg.ports)) {
+          lines.push(`${name} ${p.baud} N 8 1 N OFF ON ${p.inMode} ${p.outMode} ON`);
+        }
+        break;
+      case 'ICOMCONFIG':
+        lines.push(`ICOMCONFIG ${Object.keys(cfg.icoms).length}`);
+        for (const [name, p] of Object.entries(cfg.icoms)) {
+          lines.push(`${name} ${p.protocol} ${p.port} IN:${p.inMode} OUT:${p.outMode}`);
+        }
+        break;
+      case 'LOGLIST': {
+        const tokens = [String(this._logs.size)];
+        for (const log of this._logs.values()) {
+          tokens.push(log.port, log.msg, log.trigger, log.period.toFixed(6), '0.000000', 'NOHOLD');
+        }
+        lines.push(encodeAsciiLog('LOGLISTA', tokens, header));
+        break;
+      }
+      case 'INSCONFIG': {
+        const fmt = (v, d) => v.map(x => x.toFixed(d));
+        const tokens = [
+          cfg.insProfile,
+          ...fmt(cfg.rbv, 1), '0.5', '0.5', '0.5',
+          ...fmt(cfg.ant1, 3), '0.050', '0.050', '0.050',
+          ...fmt(cfg.ant2, 3), '0.050', '0.050', '0.050',
+          'VEHICLE', 'ENABLE'
+        ];
+        lines.push(encodeAsciiLog('INSCONFIGA', tokens, header));
+        break;
+      }
+      case 'IPCONFIG': {
+        const ip = cfg.ip;
+        const tokens = ip.mode === 'DHCP'
+          ? [ip.iface, 'DHCP']
+          : [ip.iface, 'STATIC', ip.address, ip.mask, ip.gateway];
+        lines.push(encodeAsciiLog('IPCONFIGA', tokens, header));
+        break;
+      }
+      default:
+        return;
+    }
+    this._send(lines.map(l => `${l}\r\n`).join(''));
+  }
+
+  // --- Synthetic state ---
+
+  _state() {
+    const now = Date.now();
+    const gpsMs = now - GPS_EPOCH_MS + GPS_LEAP_SECONDS * 1000;
+    const week = Math.floor(gpsMs / MS_PER_WEEK);
+    const tow = (gpsMs % MS_PER_WEEK) / 1000;
+
+    // Vehicle drives a circle around the origin
+    const t = (now - this._startTime) / 1000;
+    const omega = this._speed / this._radius;          // rad/s
+    const angle = omega * t;
+    const north = this._radius * Math.sin(angle);
+    const east = this._radius * (1 - Math.cos(angle));
+    const latRad = this._origin.latitude * Math.PI / 180;
+    const latitude = this._origin.latitude + (north / EARTH_RADIUS_M) * 180 / Math.PI;
+    const longitude = this._origin.longitude + (east / (EARTH_RADIUS_M * Math.cos(latRad))) * 180 / Math.PI;
+    const height = this._origin.height + 0.3 * Math.sin(t / 7);
+
+    const vn = this._speed * Math.cos(angle);
+    const ve = this._speed * Math.sin(angle);
+    const vu = 0.3 / 7 * Math.cos(t / 7);
+    const track = ((Math.atan2(ve, vn) * 180 / Math.PI) + 360) % 360;
+    const noise = (scale) => (Math.random() - 0.5) * scale;
+
+    const roll = 2.0 + noise(0.1);
+    const pitch = 0.5 + noise(0.1);
+    const yawRate = omega * 180 / Math.PI;             // deg/s
+    const lateralAcc = this._speed * omega;            // centripetal, m/s²
+
+    return {
+      now, week, tow, t,
+      latitude, longitude, height,
+      vn, ve, vu, track,
+      groundSpeed: this._speed,
+      roll, pitch, heading: track,
+      yawRate, lateralAcc,
+      noise,
+      satellites: this._satellites.map(s => ({
+        ...s,
+        az: (s.az + t * 0.01) % 360,
+        cn0: Math.round(s.cn0 + noise(2))
+      }))
+    };
+  }
+
+  // Field values keyed by schema field name, covering every simulated log.
+  // msl: the log's height_m is above mean sea level (ellipsoid - undulation)
+  _fieldValues(s, ascii, msl) {
+    const used = s.satellites.filter(sv => sv.elev > 10).length;
+    const imuStatus = 0x00000077;
+    return {
+      // Solution
+      solution_status: 0, sol_status: 0,
+      position_type: 50, velocity_type: 50, vel_type: 50,
+      latitude_deg: s.latitude, longitude_deg: s.longitude, height_m: msl ? s.height - UNDULATION_M : s.height,
+      geodetic_height_m: s.height, undulation_m: UNDULATION_M,
+      datum_id: ascii ? 'WGS84' : 61,
+      latitude_sigma_m: 0.012, longitude_sigma_m: 0.010, height_sigma_m: 0.021,
+      lat_sigma: 0.012, lon_sigma: 0.010, height_sigma: 0.021,
+      lat_sigma_m: 0.012, lon_sigma_m: 0.010,
+      base_station_id: ascii ? '"0"' : '0',
+      diff_age_s: 1.0, sol_age_s: 0.0,
+      num_sv_tracked: s.satellites.length, num_sv_used: used,
+      num_sv_l1: used, num_sv_multi: used,
+      extended_sol_status: 0x01, gal_bds_mask: 0x00, gps_glo_mask: 0x33,
+
+      // Velocity
+      latency_s: 0.025, differential_age_s: 1.0,
+      horizontal_speed_ms: s.groundSpeed, hor_speed_ms: s.groundSpeed,
+      track_ground_deg: s.track, track_over_ground_deg: s.track, trk_gnd_deg: s.track, track_deg: s.track,
+      vertical_speed_ms: s.vu, vert_speed_ms: s.vu,
+      hor_speed_sigma: 0.02, vert_speed_sigma: 0.03,
+      north_velocity_ms: s.vn, east_velocity_ms: s.ve, up_velocity_ms: s.vu,
+      north_vel_sigma: 0.01, east_vel_sigma: 0.01, up_vel_sigma: 0.015,
+
+      // Dual-antenna heading
+      baseline_length_m: 1.0,
+      heading_deg: s.heading, heading_std_deg: 0.15, pitch_std_deg: 0.3,
+      station_id: ascii ? '"0"' : '0',
+      rover_station_id: ascii ? '"0"' : '0', master_station_id: ascii ? '"0"' : '0',
+      num_sv_above_el: used, num_l2_above_el: used,
+      num_sv_above_elevation: used, num_l2_above_elevation: used,
+      solution_source: 4,
+
+      // Tracking status, one channel per simulated satellite
+      cutoff_deg: 5,
+      channels: s.satellites.map(sv => this._trackingChannel(sv, s, ascii)),
+
+      // INS
+      week: s.week, tow_s: s.tow, seconds_of_week: s.tow,
+      roll_deg: s.roll, pitch_deg: s.pitch, azimuth_deg: s.heading,
+      status: 3, ins_status: 3, extended_status: 0,
+      roll_sigma: 0.02, pitch_sigma: 0.02, azimuth_sigma: 0.1,
+      roll_sigma_deg: 0.02, pitch_sigma_deg: 0.02, azimuth_sigma_deg: 0.1,
+      time_since_update_s: 0,
+
+      // Raw IMU (LSB), vehicle frame: z up, y forward, x right
+      imu_status: imuStatus,
+      zA: Math.round((GRAVITY + s.noise(0.05)) / ACCEL_LSB),
+      nyA: Math.round(-s.noise(0.05) / ACCEL_LSB),
+      xA: Math.round(-(s.lateralAcc + s.noise(0.05)) / ACCEL_LSB),
+      zG: Math.round((s.yawRate + s.noise(0.02)) / GYRO_LSB),
+      nyG: Math.round(-s.noise(0.02) / GYRO_LSB),
+      xG: Math.round(s.noise(0.02) / GYRO_LSB),
+
+      // Corrected IMU (per-sample increments at 100 Hz)
+      pitch_rate_rad: s.noise(0.0002), roll_rate_rad: s.noise(0.0002),
+      yaw_rate_rad: s.yawRate * Math.PI / 180 / 100,
+      lateral_acc: s.lateralAcc / 100, longitudinal_acc: s.noise(0.001), vertical_acc: GRAVITY / 100,
+
+      // Time
+      clock_status: 0, offset_s: -1.5e-9, offset_std_s: 2.0e-9, utc_offset_s: -GPS_LEAP_SECONDS,
+      clock_offset_s: -1.5e-9, clock_offset_std_s: 2.0e-9,
+      ...this._utcFields(s.now),
+      utc_status: ascii ? 'VALID' : 1,
+
+      efuse_id: 'SIM00001'
+    };
+  }
+
+  // GPS L1 C/A, phase locked; pseudorange and Doppler follow the elevation/azimuth
+  _trackingChannel(sv, s, ascii) {
+    const elevRad = sv.elev * Math.PI / 180;
+    return {
+      prn_slot: sv.prn,
+      glofreq: 0,
+      ch_tr_status: ascii ? TRACKING_STATUS.toString(16).padStart(8, '0') : TRACKING_STATUS,
+      psr_m: 20200000 + 5000000 * Math.cos(elevRad) + s.noise(2),
+      doppler_hz: -3000 * Math.cos(elevRad) * Math.cos(sv.az * Math.PI / 180),
+      cno_dbhz: sv.cn0,
+      locktime_s: s.t,
+      psr_res_m: s.noise(1),
+      reject_code: 0,
+      psr_weight: 1.5
+    };
+  }
+
+  _utcFields(now) {
+    const d = new Date(now);
+    return {
+      utc_year: d.getUTCFullYear(),
+      utc_month: d.getUTCMonth() + 1,
+      utc_day: d.getUTCDate(),
+      utc_hour: d.getUTCHours(),
+      utc_min: d.getUTCMinutes(),
+      utc_ms: d.getUTCSeconds() * 1000 + d.getUTCMilliseconds()
+    };
+  }
+
+  _buildSatellites() {
+    const sats = [];
+    const prns = [2, 5, 7, 9, 13, 15, 18, 20, 24, 27, 29, 30];
+    prns.forEach((prn, i) => {
+      sats.push({
+        prn,
+        elev: 12 + ((i * 37) % 70),
+        az: (i * 31) % 360,
+        cn0: 38 + ((i * 7) % 12)
+      });
+    });
+    return sats;
+  }
+
+  // --- NMEA ---
+
+  _nmeaSentences(type, s) {
+    const d = new Date(s.now);
+    const pad = (n, w) => String(n).padStart(w, '0');
+    const hms = `${pad(d.getUTCHours(), 2)}${pad(d.getUTCMinutes(), 2)}${pad(d.getUTCSeconds(), 2)}.${pad(Math.floor(d.getUTCMilliseconds() / 10), 2)}`;
+    const dm = (deg, w) => {
+      const a = Math.abs(deg);
+      const whole = Math.floor(a);
+      return `${pad(whole, w)}${((a - whole) * 60).toFixed(7).padStart(10, '0')}`;
+    };
+    const lat = `${dm(s.latitude, 2)},${s.latitude >= 0 ? 'N' : 'S'}`;
+    const lon = `${dm(s.longitude, 3)},${s.longitude >= 0 ? 'E' : 'W'}`;
+    const knots = s.groundSpeed * 1.943844;
+    const used = s.satellites.filter(sv => sv.elev > 10);
+
+    switch (type) {
+      case 'GGA':
+        return [encodeNmea(`GPGGA,${hms},${lat},${lon},4,${pad(used.length, 2)},0.8,${(s.height - UNDULATION_M).toFixed(3)},M,${UNDULATION_M.toFixed(3)},M,1.0,0000`)];
+      case 'RMC': {
+        const date = `${pad(d.getUTCDate(), 2)}${pad(d.getUTCMonth() + 1, 2)}${pad(d.getUTCFullYear() % 100, 2)}`;
+        return [encodeNmea(`GPRMC,${hms},A,${lat},${lon},${knots.toFixed(3)},${s.track.toFixed(1)},${date},5.6,E,R`)];
+      }
+      case 'VTG':
+        return [encodeNmea(`GPVTG,${s.track.toFixed(1)},T,${((s.track - 5.6 + 360) % 360).toFixed(1)},M,${knots.toFixed(3)},N,${(s.groundSpeed * 3.6).toFixed(3)},K,R`)];
+      case 'HDT':
+        return [encodeNmea(`GPHDT,${s.heading.toFixed(3)},T`)];
+      case 'ZDA':
+        return [encodeNmea(`GPZDA,${hms},${pad(d.getUTCDate(), 2)},${pad(d.getUTCMonth() + 1, 2)},${d.getUTCFullYear()},,`)];
+      case 'GST':
+        return [encodeNmea(`GPGST,${hms},0.85,0.012,0.010,12.5,0.012,0.010,0.021`)];
+      case 'GSA': {
+        const svs = used.slice(0, 12).map(sv => pad(sv.prn, 2));
+        while (svs.length < 12) svs.push('');
+        return [encodeNmea(`GPGSA,A,3,${svs.join(',')},1.5,0.8,1.2`)];
+      }
+      case 'GSV': {
+        const total = Math.ceil(s.satellites.length / 4);
+        const out = [];
+        for (let i = 0; i < total; i++) {
+          const group = s.satellites.slice(i * 4, i * 4 + 4)
+            .map(sv => `${pad(sv.prn, 2)},${pad(Math.round(sv.elev), 2)},${pad(Math.round(sv.az), 3)},${sv.cn0}`);
+          out.push(encodeNmea(`GPGSV,${total},${i + 1},${pad(s.satellites.length, 2)},${group.join(',')}`));
+        }
+        return out;
+      }
+      default:
+        return [];
+    }
+  }
+
+  // --- RTCM ---
+
+  // Minimal valid RTCM v3 frame: message number + reference station ID, zero body
+  _rtcmFrame(msgId) {
+    const bodyLen = msgId === 1005 ? 19 : 8;
+    const frame = Buffer.alloc(3 + bodyLen + 3);
+    frame[0] = 0xD3;
+    frame[1] = (bodyLen >> 8) & 0x03;
+    frame[2] = bodyLen & 0xFF;
+    const stationId = this._config.stationId & 0xFFF;
+    frame[3] = (msgId >> 4) & 0xFF;
+    frame[4] = ((msgId & 0x0F) << 4) | ((stationId >> 8) & 0x0F);
+    frame[5] = stationId & 0xFF;
+    const crc = crc24q(frame.subarray(0, 3 + bodyLen));
+    frame[3 + bodyLen] = (crc >> 16) & 0xFF;
+    frame[4 + bodyLen] = (crc >> 8) & 0xFF;
+    frame[5 + bodyLen] = crc & 0xFF;
+    return frame;
+  }
+}
+
+module.exports = SimulatedReceiver;
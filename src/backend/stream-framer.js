@@ -0,0 +1,194 @@
+// StreamFramer - splits the raw device byte stream into frames
+// Incoming chunks are copied once into a growable ring buffer; each complete
+// frame is copied out once and handed to a handler. Nothing is re-concatenated
+// or re-sliced per frame, so cost stays proportional to the bytes received.
+//
+// Recognized frames (checked at the read position, in this order):
+//   BYNAV binary  AA 44 12  (28-byte header + payload + CRC32)
+//   BYNAV short   AA 44 13  (12-byte header + payload + CRC32)
+//   RTCM v3       D3        (3-byte header + payload + CRC24Q)
+//   ASCII lines   ... \n    (NMEA, #ASCII logs, <OK replies)
+
+const INITIAL_CAPACITY = 64 * 1024;
+const MAX_UNFRAMED_BYTES = 4096;
+const BYNAV_HEADER_LEN = 28;
+const BYNAV_SHORT_HEADER_LEN = 12;
+const RTCM_PREAMBLE = 0xD3;
+const LF = 0x0A;
+
+// Byte FIFO over a power-of-two circular buffer that doubles when full
+class ByteRing {
+  constructor(capacity = INITIAL_CAPACITY) {
+    let size = 1;
+    while (size < capacity) size <<= 1;
+    this._buf = Buffer.allocUnsafe(size);
+    this._mask = size - 1;
+    this._head = 0;
+    this.length = 0;
+  }
+
+  get capacity() {
+    return this._buf.length;
+  }
+
+  write(chunk) {
+    const needed = this.length + chunk.length;
+    if (needed > this._buf.length) this._grow(needed);
+    const cap = this._buf.length;
+    const tail = (this._head + this.length) & this._mask;
+    const first = Math.min(chunk.length, cap - tail);
+    chunk.copy(this._buf, tail, 0, first);
+    if (first < chunk.length) chunk.copy(this._buf, 0, first);
+    this.length += chunk.length;
+  }
+
+  at(i) {
+    return this._buf[(this._head + i) & this._mask];
+  }
+
+  readUInt16LE(i) {
+    return this.at(i) | (this.at(i + 1) << 8);
+  }
+
+  // Index of byte in [from, to) relative to the read position, or -1
+  indexOf(byte, from = 0, to = this.length) {
+    const stop = Math.min(to, this.length);
+    if (from >= stop) return -1;
+    const cap = this._buf.length;
+    const start = this._head + from;
+    const end = this._head + stop;
+    if (start < cap) {
+      const idx = this._buf.subarray(start, Math.min(end, cap)).indexOf(byte);
+      if (idx !== -1) return from + idx;
+    }
+    if (end > cap) {
+      const wrapStart = Math.max(0, start - cap);
+      const idx = this._buf.subarray(wrapStart, end - cap).indexOf(byte);
+      if (idx !== -1) return (cap - this._head) + wrapStart + idx;
+    }
+    return -1;
+  }
+
+  // Copy of the first n bytes (the frame handed to consumers owns its memory)
+  peek(n) {
+    const out = Buffer.allocUnsafe(n);
+    const first = Math.min(n, this._buf.length - this._head);
+    this._buf.copy(out, 0, this._head, this._head + first);
+    if (first < n) this._buf.copy(out, first, 0, n - first);
+    return out;
+  }
+
+  skip(n) {
+    this._head = (this._head + n) & this._mask;
+    this.length -= n;
+    if (this.length === 0) this._head = 0;
+  }
+
+  take(n) {
+    const out = this.peek(n);
+    this.skip(n);
+    return out;
+  }
+
+  clear() {
+    this._head = 0;
+    this.length = 0;
+  }
+
+  _grow(needed) {
+    let size = this._buf.length;
+    while (size < needed) size <<= 1;
+    const next = Buffer.allocUnsafe(size);
+    if (this.length) this.peek(this.length).copy(next, 0);
+    this._buf = next;
+    this._mask = size - 1;
+    this._head = 0;
+  }
+}
+
+class StreamFramer {
+  /**
+   * @param {object} handlers
+   * @param {function(Buffer)} handlers.binary      - complete AA 44 12 frame
+   * @param {function(Buffer)} handlers.shortBinary - complete AA 44 13 frame
+   * @param {function(Buffer)} handlers.rtcm        - complete RTCM v3 frame
+   * @param {function(string, number)} handlers.line - trimmed ASCII line, bytes consumed
+   */
+  constructor(handlers = {}) {
+    this._handlers = handlers;
+    this._ring = new ByteRing();
+  }
+
+  get pending() {
+    return this._ring.length;
+  }
+
+  reset() {
+    this._ring.clear();
+  }
+
+  push(chunk) {
+    if (!chunk || chunk.length === 0) return;
+    this._ring.write(chunk);
+    while (this._next()) { /* keep framing */ }
+  }
+
+  // Frames one item at the read position; false when more bytes are needed
+  _next() {
+    const ring = this._ring;
+    const len = ring.length;
+    if (len === 0) return false;
+
+    if (len >= 3 && ring.at(0) === 0xAA && ring.at(1) === 0x44) {
+      const sync = ring.at(2);
+      if (sync === 0x12) {
+        if (len < BYNAV_HEADER_LEN) return false;
+        const total = ring.at(3) + ring.readUInt16LE(8) + 4;
+        if (len < total) return false;
+        this._handlers.binary?.(ring.take(total));
+        return true;
+      }
+      if (sync === 0x13) {
+        if (len < BYNAV_SHORT_HEADER_LEN) return false;
+        const total = BYNAV_SHORT_HEADER_LEN + ring.at(3) + 4;
+        if (len < total) return false;
+        this._handlers.shortBinary?.(ring.take(total));
+        return true;
+      }
+    }
+
+    // Only the bytes up to the first line feed can hold an RTCM preamble
+    // that takes precedence, so long ASCII buffers are scanned once per line
+    const lfIdx = ring.indexOf(LF);
+    const rtcmIdx = ring.indexOf(RTCM_PREAMBLE, 0, lfIdx === -1 ? len : lfIdx);
+
+    if (rtcmIdx === -1) {
+      if (lfIdx !== -1) {
+        const line = ring.take(lfIdx + 1).toString('utf-8').trim();
+        this._handlers.line?.(line, lfIdx + 1);
+        return true;
+      }
+      // No frame boundary in sight: drop noise, keeping a possible partial sync
+      if (len > MAX_UNFRAMED_BYTES) ring.skip(len - 3);
+      return false;
+    }
+
+    if (rtcmIdx > 0) {
+      ring.skip(rtcmIdx);
+      return true;
+    }
+
+    if (len < 3) return false;
+    const length = ((ring.at(1) & 0x03) << 8) | ring.at(2);
+    if (length === 0 || length > 1023) {
+      ring.skip(1);
+      return true;
+    }
+    const total = 3 + length + 3;
+    if (len < total) return false;
+    this._handlers.rtcm?.(ring.take(total));
+    return true;
+  }
+}
+
+module.exports = { StreamFramer, ByteRing };
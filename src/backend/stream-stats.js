@@ -0,0 +1,206 @@
+// StreamStats - per-message statistics for the incoming device stream
+// SerialManager records every framed message (BYNAV binary, #ASCII logs, NMEA
+// sentences, RTCM v3) here. For each message name it keeps the count, bytes,
+// CRC failures, last arrival, the measured rate and gaps: missing parts of a
+// multi-message binary set (header sequence) and holes in the message time.
+//
+// Rates and gaps use the receiver time from the message header when there is
+// one (binary and #ASCII logs), so USB/network jitter and replay speed do not
+// distort them; NMEA and RTCM fall back to the PC arrival time.
+
+const RATE_WINDOW_MS = 5000;
+const STALE_AFTER_MS = 5000;
+const INTERVAL_HISTORY = 16;     // recent intervals used for the nominal period
+const MIN_INTERVALS_FOR_GAPS = 4;
+const GAP_FACTOR = 1.5;          // an interval this many periods long is a gap
+const RATE_CHANGE_RUN = 4;       // this many agreeing gaps in a row are a new rate, not gaps
+const MS_PER_WEEK = 604800000;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[sorted.length >> 1];
+}
+
+class StreamStats {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this._entries = new Map();   // name -> entry
+    this._startedAt = Date.now();
+    this._totals = { messages: 0, bytes: 0, crcErrors: 0 };
+  }
+
+  /**
+   * Record one received message.
+   * @param {string} name - message name (BESTPOSB, GPGGA, RTCM1077, ...)
+   * @param {object} info
+   * @param {string} info.protocol - 'binary' | 'ascii' | 'nmea' | 'rtcm'
+   * @param {number|null} [info.id] - binary message ID / RTCM message number
+   * @param {number} info.bytes
+   * @param {boolean} [info.ok=true] - false when the CRC / checksum failed
+   * @param {number|null} [info.time] - receiver time in ms (GPS week * week ms + ms of week)
+   * @param {number|null} [info.sequence] - binary header sequence (counts down within a set)
+   * @param {number} [now]
+   */
+  record(name, info, now = Date.now()) {
+    let entry = this._entries.get(name);
+    if (!entry) {
+      entry = {
+        name,
+        protocol: info.protocol,
+        id: info.id ?? null,
+        count: 0,
+        bytes: 0,
+        crcErrors: 0,
+        firstSeen: now,
+        lastSeen: now,
+        timeGaps: 0,
+        sequenceGaps: 0,
+        missed: 0,
+        _samples: [],      // [{ arrival, time }] inside the rate window
+        _intervals: [],    // recent message-time intervals (ms)
+        _gapRun: [],       // consecutive gap intervals [{ delta, missed }]
+        _expectedHz: undefined,
+        _lastTime: null,
+        _lastSequence: null
+      };
+      this._entries.set(name, entry);
+    }
+
+    this._totals.messages++;
+    this._totals.bytes += info.bytes;
+    entry.count++;
+    entry.bytes += info.bytes;
+    entry.lastSeen = now;
+
+    if (info.ok === false) {
+      // Nothing else in a corrupted message can be trusted
+      entry.crcErrors++;
+      this._totals.crcErrors++;
+      return;
+    }
+
+    this._trackSequence(entry, info.sequence);
+    const receiverTime = Number.isFinite(info.time) && info.time > 0;
+    const time = receiverTime ? info.time : now;
+    const lastTime = entry._lastTime;
+    this._trackTime(entry, time);
+
+    // Parts of one multi-message set share a receiver time and count once
+    if (!(receiverTime && time === lastTime)) entry._samples.push({ arrival: now, time });
+    while (entry._samples.length > 1 && now - entry._samples[0].arrival > RATE_WINDOW_MS) {
+      entry._samples.shift();
+    }
+  }
+
+  /**
+   * Current statistics, most frequent messages first.
+   * @param {object} [expectedRates] - name -> configured rate (Hz)
+   */
+  snapshot(expectedRates = {}, now = Date.now()) {
+    const messages = [];
+    for (const entry of this._entries.values()) {
+      this._trackExpectedRate(entry, expectedRates[entry.name] ?? null);
+      const stale = now - entry.lastSeen > STALE_AFTER_MS;
+      messages.push({
+        name: entry.name,
+        protocol: entry.protocol,
+        id: entry.id,
+        count: entry.count,
+        bytes: entry.bytes,
+        crcErrors: entry.crcErrors,
+        rateHz: stale ? 0 : this._rate(entry),
+        expectedHz: expectedRates[entry.name] ?? null,
+        lastSeen: entry.lastSeen,
+        ageMs: now - entry.lastSeen,
+        stale,
+        timeGaps: entry.timeGaps,
+        sequenceGaps: entry.sequenceGaps,
+        missed: entry.missed
+      });
+    }
+    messages.sort((a, b) => (a.stale - b.stale) || (b.rateHz - a.rateHz) || a.name.localeCompare(b.name));
+    return {
+      startedAt: this._startedAt,
+      elapsedMs: now - this._startedAt,
+      totals: { ...this._totals },
+      messages
+    };
+  }
+
+  // Messages in a set count down to 0; anything else means a part went missing
+  _trackSequence(entry, sequence) {
+    if (sequence == null) return;
+    const last = entry._lastSequence;
+    if (last != null && last > 0 && sequence !== last - 1) entry.sequenceGaps++;
+    entry._lastSequence = sequence;
+  }
+
+  // A log re-configured to another rate measures its period afresh
+  _trackExpectedRate(entry, hz) {
+    if (entry._expectedHz !== undefined && entry._expectedHz !== hz) {
+      entry._intervals = [];
+      entry._gapRun = [];
+    }
+    entry._expectedHz = hz;
+  }
+
+  _trackTime(entry, time) {
+    const last = entry._lastTime;
+    entry._lastTime = time;
+    if (last == null) return;
+    const delta = time - last;
+    if (delta < 0) {
+      // Time went backwards (replay seek, receiver restart): start over
+      entry._intervals = [];
+      entry._gapRun = [];
+      entry._samples = [];
+      return;
+    }
+    if (delta === 0) return;   // parts of one multi-message set share a time
+
+    if (entry._intervals.length >= MIN_INTERVALS_FOR_GAPS) {
+      const period = median(entry._intervals);
+      if (delta > period * GAP_FACTOR) {
+        const missed = Math.max(1, Math.round(delta / period) - 1);
+        entry.timeGaps++;
+        entry.missed += missed;
+        entry._gapRun.push({ delta, missed });
+        if (!this._isRateChange(entry._gapRun)) return;   // keep gaps out of the nominal period
+
+        // The log slowed down: these were never gaps, measure the new period from them
+        for (const gap of entry._gapRun) {
+          entry.timeGaps--;
+          entry.missed -= gap.missed;
+        }
+        entry._intervals = entry._gapRun.map(gap => gap.delta);
+        entry._gapRun = [];
+        return;
+      }
+    }
+    entry._gapRun = [];
+    entry._intervals.push(delta);
+    if (entry._intervals.length > INTERVAL_HISTORY) entry._intervals.shift();
+  }
+
+  _isRateChange(run) {
+    if (run.length < RATE_CHANGE_RUN) return false;
+    const deltas = run.map(gap => gap.delta);
+    return Math.max(...deltas) <= Math.min(...deltas) * GAP_FACTOR;
+  }
+
+  _rate(entry) {
+    const samples = entry._samples;
+    if (samples.length < 2) return 0;
+    const span = samples[samples.length - 1].time - samples[0].time;
+    return span > 0 ? ((samples.length - 1) * 1000) / span : 0;
+  }
+}
+
+function gnssTimeMs(week, ms) {
+  return week * MS_PER_WEEK + ms;
+}
+
+module.exports = { StreamStats, gnssTimeMs };
@@ -0,0 +1,461 @@
+#!/usr/bin/env node
+// swegeo - command-line tool for unattended jobs without the desktop app
+//
+//   swegeo ports
+//   swegeo record  <connection> --out FILE [--duration SEC] [--script FILE]
+//   swegeo convert FILE.swgcap --format json|csv [--out PATH] [--messages BESTPOSB,GGA]
+//   swegeo ntrip   <connection> --caster HOST[:PORT] --mount NAME [--user U --password P] [--duration SEC]
+//                  [--gga-source LOG]  GGA built from LOG (default BESTPOSB) when the receiver sends none
+//   swegeo send    <connection> SCRIPT [--keep-going] [--timeout MS] [--retries N]
+//   swegeo lint-schemas               cross-check the message schemas; exits 1 on errors
+//
+// Connection options (one of):
+//   --serial PATH [--baud N|auto] [--framing 8N1] [--rtscts] [--xonxoff]
+//   --tcp HOST:PORT                   connect to a receiver port
+//   --tcp-listen [HOST:]PORT          wait for the receiver to connect
+//   --udp PORT [--multicast GROUP] [--remote HOST:PORT]
+//   --replay FILE [--speed N]
+//   --sim
+// plus --binary-commands (commands without a binary definition in commands.json5
+// are sent as ASCII) and --auto-reconnect.
+//
+// Command scripts hold one receiver command per line; '#' starts a comment.
+// Long-running jobs (record, ntrip) stop cleanly on SIGINT / SIGTERM.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+  createSession, SerialManager, MessageRouter, FrameProcessor, capture, binaryParser, schemaLoader, lintSchemas
+} = require('..');
+
+// The header comment above doubles as --help text
+const USAGE = (() => {
+  const lines = fs.readFileSync(__filename, 'utf-8').split('\n').slice(1);
+  const end = lines.findIndex(l => !l.startsWith('//'));
+  return lines.slice(0, end).map(l => l.replace(/^\/\/ ?/, '')).join('\n');
+})();
+
+const OPTIONS = {
+  // connection
+  serial: { type: 'string' },
+  baud: { type: 'string', default: '115200' },
+  framing: { type: 'string', default: '8N1' },
+  rtscts: { type: 'boolean', default: false },
+  xonxoff: { type: 'boolean', default: false },
+  tcp: { type: 'string' },
+  'tcp-listen': { type: 'string' },
+  udp: { type: 'string' },
+  multicast: { type: 'string' },
+  remote: { type: 'string' },
+  replay: { type: 'string' },
+  speed: { type: 'string', default: '1' },
+  sim: { type: 'boolean', default: false },
+  'binary-commands': { type: 'boolean', default: false },
+  'auto-reconnect': { type: 'boolean', default: false },
+  // record
+  out: { type: 'string', short: 'o' },
+  duration: { type: 'string' },
+  script: { type: 'string' },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  // convert
+  format: { type: 'string', default: 'json' },
+  messages: { type: 'string' },
+  // ntrip
+  caster: { type: 'string' },
+  mount: { type: 'string' },
+  user: { type: 'string', default: '' },
+  password: { type: 'string', default: '' },
+  'gga-source': { type: 'string', default: 'BESTPOSB' },
+  // send
+  'keep-going': { type: 'boolean', default: false },
+  timeout: { type: 'string' },
+  retries: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const NTRIP_STATS_MS = 10000;
+
+class UsageError extends Error { }
+
+// --- Argument helpers ---
+
+function splitHostPort(value, defaultHost) {
+  const idx = value.lastIndexOf(':');
+  const host = idx === -1 ? defaultHost : value.slice(0, idx);
+  const port = parseInt(idx === -1 ? value : value.slice(idx + 1));
+  if (!host || !port) throw new UsageError(`Expected HOST:PORT, got "${value}"`);
+  return { host, port };
+}
+
+// "8N1", "7E2" -> SerialManager line settings
+function parseFraming(value, flags) {
+  const m = /^([5-8])([NEOMS])(1|1\.5|2)$/i.exec(value);
+  if (!m) throw new UsageError(`Invalid framing "${value}" (expected e.g. 8N1)`);
+  const parity = { N: 'none', E: 'even', O: 'odd', M: 'mark', S: 'space' }[m[2].toUpperCase()];
+  return {
+    dataBits: Number(m[1]),
+    parity,
+    stopBits: Number(m[3]),
+    rtscts: flags.rtscts,
+    xonxoff: flags.xonxoff
+  };
+}
+
+function connectionParams(values) {
+  const common = {
+    autoReconnect: values['auto-reconnect'],
+    commandFormat: values['binary-commands'] ? 'binary' : 'ascii'
+  };
+  if (values.serial) {
+    const baudrate = values.baud === 'auto' ? 'auto' : parseInt(values.baud);
+    if (!baudrate) throw new UsageError(`Invalid baud rate "${values.baud}"`);
+    return {
+      ...common, type: 'serial', port: values.serial, baudrate,
+      lineSettings: parseFraming(values.framing, values)
+    };
+  }
+  if (values.tcp) {
+    const { host, port } = splitHostPort(values.tcp);
+    return { ...common, type: 'tcp', tcpMode: 'client', host, tcpPort: port };
+  }
+  if (values['tcp-listen']) {
+    const { host, port } = splitHostPort(values['tcp-listen'], '0.0.0.0');
+    return { ...common, type: 'tcp', tcpMode: 'server', host, tcpPort: port };
+  }
+  if (values.udp) {
+    const udpPort = parseInt(values.udp);
+    if (!udpPort) throw new UsageError(`Invalid UDP port "${values.udp}"`);
+    const remote = values.remote ? splitHostPort(values.remote) : {};
+    return {
+      ...common, type: 'udp', udpPort, remoteHost: remote.host, remotePort: remote.port,
+      multicastGroup: values.multicast
+    };
+  }
+  if (values.replay) {
+    return { ...common, type: 'replay', filePath: path.resolve(values.replay), speed: parseFloat(values.speed) || 1 };
+  }
+  if (values.sim) return { ...common, type: 'sim' };
+  throw new UsageError('No connection given (--serial, --tcp, --tcp-listen, --udp, --replay or --sim)');
+}
+
+function readScript(filePath) {
+  return fs.readFileSync(filePath, 'utf-8')
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*$/, '').trim())
+    .filter(Boolean);
+}
+
+function log(msg) {
+  console.error(`[${new Date().toISOString()}] ${msg}`);
+}
+
+// Resolves on the first SIGINT / SIGTERM, or after ms when given
+function waitForStop(ms) {
+  return new Promise((resolve) => {
+    const timer = ms > 0 ? setTimeout(() => done('duration reached'), ms) : null;
+    const done = (reason) => {
+      clearTimeout(timer);
+      process.removeListener('SIGINT', onInt);
+      process.removeListener('SIGTERM', onTerm);
+      resolve(reason);
+    };
+    const onInt = () => done('SIGINT');
+    const onTerm = () => done('SIGTERM');
+    process.once('SIGINT', onInt);
+    process.once('SIGTERM', onTerm);
+  });
+}
+
+async function openSession(values, { verbose = false } = {}) {
+  const params = connectionParams(values);
+  const session = createSession();
+  session.serial.on('connection', (connected) => {
+    if (!connected) log('Disconnected');
+  });
+  session.serial.on('line', (text, color) => {
+    // Diagnostics (reconnects, errors) are always shown; the data itself only with --verbose
+    if (verbose || (color && color !== '#000' && color !== '#888')) log(text);
+  });
+  const result = await session.connect(params);
+  if (!result.ok) {
+    session.close();
+    throw new Error(result.msg);
+  }
+  log(result.msg);
+  return session;
+}
+
+async function runScript(session, commands, values) {
+  const batch = await session.scheduler.runBatch(commands, {
+    stopOnError: !values['keep-going'],
+    timeout: parseInt(values.timeout) || undefined,
+    retries: values.retries != null ? parseInt(values.retries) : undefined
+  });
+  batch.results.forEach((result, i) => {
+    log(`${result.ok ? 'OK  ' : 'FAIL'} ${commands[i]}${result.ok ? '' : ` - ${result.error}`}`);
+  });
+  if (batch.stoppedAt !== -1) log(`Stopped at line ${batch.stoppedAt + 1} of ${commands.length}`);
+  return batch.ok;
+}
+
+// --- Subcommands ---
+
+async function cmdPorts() {
+  const ports = await SerialManager.listPorts();
+  if (!ports.length) {
+    console.log('No serial ports found');
+    return 0;
+  }
+  for (const p of ports) {
+    const id = p.vendorId ? ` [${p.vendorId}:${p.productId}${p.serialNumber ? ` ${p.serialNumber}` : ''}]` : '';
+    console.log(`${p.path}\t${p.manufacturer}${id}`);
+  }
+  return 0;
+}
+
+async function cmdLintSchemas() {
+  const issues = lintSchemas();
+  for (const issue of issues) {
+    const where = issue.path ? `${issue.file} ${issue.path}` : issue.file;
+    console.log(`${issue.level}\t${where}: ${issue.message}`);
+  }
+  const errors = issues.filter(i => i.level === 'error').length;
+  console.log(`${errors} error(s), ${issues.length - errors} warning(s)`);
+  return errors ? 1 : 0;
+}
+
+async function cmdRecord(values) {
+  if (!values.out) throw new UsageError('record needs --out FILE');
+  const commands = values.script ? readScript(values.script) : [];
+  const session = await openSession(values, { verbose: values.verbose });
+  try {
+    const rec = await session.serial.startRecording(path.resolve(values.out));
+    if (!rec.ok) throw new Error(rec.msg);
+    if (commands.length && !await runScript(session, commands, values)) {
+      log('Command script failed; recording continues');
+    }
+    const reason = await waitForStop(parseFloat(values.duration) * 1000);
+    const status = await session.serial.stopRecording();
+    log(`Recording stopped (${reason}): ${status.bytes} bytes`);
+    return 0;
+  } finally {
+    session.close();
+  }
+}
+
+async function cmdSend(values, positionals) {
+  const scriptPath = positionals[0] || values.script;
+  if (!scriptPath) throw new UsageError('send needs a command script');
+  const commands = readScript(scriptPath);
+  const session = await openSession(values, { verbose: values.verbose });
+  try {
+    return await runScript(session, commands, values) ? 0 : 1;
+  } finally {
+    session.close();
+  }
+}
+
+async function cmdNtrip(values) {
+  if (!values.caster || !values.mount) throw new UsageError('ntrip needs --caster HOST[:PORT] and --mount NAME');
+  const caster = values.caster.includes(':') ? splitHostPort(values.caster) : { host: values.caster, port: 2101 };
+  const session = await openSession(values, { verbose: values.verbose });
+  const { ntrip } = session;
+  ntrip.on('error', (err) => log(`[NTRIP] ${err.message}`));
+  // Receivers logging only binary solutions still need a GGA for network RTK
+  if (values['gga-source']) {
+    const result = session.nmea.start({ sentences: ['GGA'], sources: { position: values['gga-source'] } });
+    if (!result.ok) throw new UsageError(result.msg);
+  }
+  const statsTimer = setInterval(() => {
+    const s = ntrip.getStats();
+    const types = Object.entries(s.rtcmTypes).map(([id, n]) => `${id}:${n}`).join(' ');
+    log(`[NTRIP] ${s.connected ? 'connected' : 'disconnected'} ${s.rtcmMessages} msgs, ${s.bytesReceived} bytes, ${s.dataRate} B/s ${types}`);
+  }, NTRIP_STATS_MS);
+  try {
+    const result = await ntrip.connect({
+      host: caster.host,
+      port: caster.port,
+      mountpoint: values.mount,
+      username: values.user,
+      password: values.password
+    });
+    if (!result.ok) throw new Error(`[NTRIP] ${result.error || result.msg || 'Connection failed'}`);
+    log(`[NTRIP] Streaming ${caster.host}:${caster.port}/${values.mount} to the receiver`);
+    const reason = await waitForStop(parseFloat(values.duration) * 1000);
+    log(`[NTRIP] Stopped (${reason})`);
+    return 0;
+  } finally {
+    clearInterval(statsTimer);
+    session.close();
+  }
+}
+
+async function cmdConvert(values, positionals) {
+  const input = positionals[0];
+  if (!input) throw new UsageError('convert needs a capture file');
+  const format = values.format.toLowerCase();
+  if (format !== 'json' && format !== 'csv') throw new UsageError(`Unknown format "${values.format}"`);
+  const wanted = values.messages
+    ? new Set(values.messages.split(',').map(m => m.trim().toUpperCase()).filter(Boolean))
+    : null;
+
+  const reader = new capture.CaptureReader(input);
+  reader.open();
+  const writer = format === 'json'
+    ? new JsonWriter(values.out)
+    : new CsvWriter(values.out || input.replace(/\.[^.\\/]+$/, '') + '_csv');
+  const processor = new FrameProcessor();
+  const router = new MessageRouter(null);
+  let count = 0;
+
+  const emit = (timestamp, parsed) => {
+    if (!parsed) return;
+    const name = String(parsed.message_type).toUpperCase();
+    if (wanted && !wanted.has(name)) return;
+    writer.write(name, timestamp, flatten(parsed.fields));
+    count++;
+  };
+
+  try {
+    for (let i = 0; i < reader.count; i++) {
+      const record = reader.readRecord(i);
+      if (record.type !== capture.RECORD_RX) continue;
+      for (const event of processor.push(record.data)) {
+        if (event.type === 'binary' && event.ok) {
+          emit(record.timestamp, decodeBinary(event));
+        } else if (event.type === 'line' && event.bytes && event.ok) {
+          emit(record.timestamp, router.parseLine(event.text));
+        }
+      }
+    }
+  } finally {
+    reader.close();
+    await writer.close();
+  }
+  log(`Converted ${count} messages from ${reader.count} records`);
+  return 0;
+}
+
+// Binary messages are named by their schema key (BESTPOSB), like on the Stream Health page
+function decodeBinary(event) {
+  try {
+    const parsed = binaryParser.parseBinaryPayload(
+      event.id, event.raw.subarray(event.payloadStart, event.payloadEnd), event.crc);
+    return parsed && { ...parsed, message_type: parsed.schema_key };
+  } catch {
+    return null;
+  }
+}
+
+// { name: { value, label? } } -> { name: value, name_label: label }
+function flatten(fields) {
+  const flat = {};
+  for (const [name, data] of Object.entries(fields || {})) {
+    const isObj = typeof data === 'object' && data !== null;
+    flat[name] = isObj && 'value' in data ? data.value : data;
+    if (isObj && data.label != null) flat[`${name}_label`] = data.label;
+  }
+  return flat;
+}
+
+// One JSON object per line: { time, message, fields }
+class JsonWriter {
+  constructor(outPath) {
+    this._stream = outPath ? fs.createWriteStream(outPath) : process.stdout;
+  }
+
+  write(name, timestamp, fields) {
+    this._stream.write(JSON.stringify({ time: new Date(timestamp).toISOString(), message: name, fields }) + '\n');
+  }
+
+  close() {
+    if (this._stream === process.stdout) return Promise.resolve();
+    return new Promise((resolve) => this._stream.end(resolve));
+  }
+}
+
+// One CSV file per message type in the output directory; columns come from the first message
+class CsvWriter {
+  constructor(outDir) {
+    this._dir = outDir;
+    this._files = new Map();   // message name -> { stream, columns }
+    fs.mkdirSync(outDir, { recursive: true });
+  }
+
+  write(name, timestamp, fields) {
+    let file = this._files.get(name);
+    if (!file) {
+      const columns = Object.keys(fields);
+      const stream = fs.createWriteStream(path.join(this._dir, `${name}.csv`));
+      stream.write(['time', ...columns].map(csvCell).join(',') + '\n');
+      file = { stream, columns };
+      this._files.set(name, file);
+    }
+    const row = [new Date(timestamp).toISOString(), ...file.columns.map(c => fields[c])];
+    file.stream.write(row.map(csvCell).join(',') + '\n');
+  }
+
+  close() {
+    for (const name of this._files.keys()) log(`Wrote ${path.join(this._dir, `${name}.csv`)}`);
+    return Promise.all([...this._files.values()].map(f => new Promise((resolve) => f.stream.end(resolve))));
+  }
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  // Repeated-block records (e.g. TRACKSTAT channels) stay JSON inside the cell
+  const records = Array.isArray(value) && value.some(v => v !== null && typeof v === 'object');
+  const text = records ? JSON.stringify(value) : Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// --- Entry ---
+
+const SUBCOMMANDS = {
+  ports: cmdPorts,
+  record: cmdRecord,
+  convert: cmdConvert,
+  ntrip: cmdNtrip,
+  send: cmdSend,
+  'lint-schemas': cmdLintSchemas
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    console.error(e.message);
+    return 2;
+  }
+  const { values, positionals } = parsed;
+  const [sub, ...rest] = positionals;
+  if (values.help || !sub) {
+    console.log(USAGE);
+    return sub || values.help ? 0 : 2;
+  }
+  const handler = SUBCOMMANDS[sub];
+  if (!handler) {
+    console.error(`Unknown command "${sub}"\n\n${USAGE}`);
+    return 2;
+  }
+  if (handler !== cmdPorts && handler !== cmdLintSchemas) {
+    // Messages from a broken schema file would silently go undecoded
+    for (const err of schemaLoader.getSchemaErrors()) console.error(`Warning: ${err.message}`);
+  }
+  try {
+    return await handler(values, rest);
+  } catch (e) {
+    console.error(e instanceof UsageError ? `${e.message}\n\nRun "swegeo --help" for usage.` : e.message);
+    return e instanceof UsageError ? 2 : 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main };
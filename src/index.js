@@ -0,0 +1,116 @@
+// SWEGEO GNSS backend - library entry point for use without Electron
+// The backend modules are plain Node; this module re-exports them and wires a
+// session the same way the desktop app's main process does.
+//
+//   const { createSession } = require('swegeo-gnss-app/src');
+//
+//   const session = createSession();
+//   const result = await session.connect({ type: 'serial', port: '/dev/ttyUSB0', baudrate: 115200 });
+//   if (!result.ok) throw new Error(result.msg);
+//
+//   session.serial.on('line', (text) => console.log(text));
+//   session.router.subscribe('position', 42, 'BESTPOSB');
+//   session.router.on('position', (pos) => console.log(pos.latitude, pos.longitude));
+//
+//   await session.scheduler.runBatch(['LOG BESTPOSB ONTIME 1']);
+//   await session.serial.startRecording('/data/run1.swgcap');
+//   ...
+//   session.close();
+//
+// Connection parameters are those of SerialManager.connect(): type 'serial' |
+// 'tcp' | 'udp' | 'replay' | 'sim' plus the fields of that type. The
+// command-line tool in src/cli/swegeo.js is built on this module.
+
+const SerialManager = require('./backend/serial-manager');
+const MessageRouter = require('./backend/message-router');
+const CommandTransactions = require('./backend/command-transaction');
+const CommandScheduler = require('./backend/command-scheduler');
+const DeviceQuery = require('./backend/device-query');
+const NtripClient = require('./backend/ntrip-client');
+const DataFanout = require('./backend/data-fanout');
+const SimulatedReceiver = require('./backend/simulated-receiver');
+const CapturePlayer = require('./backend/capture-replay');
+const { LocalApiServer } = require('./backend/local-api');
+const { NmeaSynthesizer } = require('./backend/nmea-synth');
+const { StreamFramer } = require('./backend/stream-framer');
+const { FrameDecoder, FrameProcessor } = require('./backend/frame-decoder');
+const { StreamStats } = require('./backend/stream-stats');
+const capture = require('./backend/capture-file');
+const binaryParser = require('./backend/binary-parser');
+const schemaLoader = require('./backend/schema-loader');
+const { lintSchemas } = require('./backend/schema-lint');
+const expression = require('./backend/expression');
+const messageEncoder = require('./backend/message-encoder');
+const commandCodec = require('./backend/command-codec');
+const crc = require('./backend/crc');
+
+/**
+ * Create a connected set of backend objects sharing one SerialManager.
+ * GGA sentences from the receiver are passed on to the NTRIP client; while the
+ * NMEA synthesizer runs, its GGA is used when the receiver outputs none.
+ * @returns {{serial: SerialManager, router: MessageRouter, transactions: CommandTransactions,
+ *   scheduler: CommandScheduler, deviceQuery: DeviceQuery, ntrip: NtripClient, nmea: NmeaSynthesizer,
+ *   connect: function(object): Promise<{ok: boolean, msg: string}>, close: function(): void}}
+ */
+function createSession() {
+  const serial = new SerialManager();
+  const router = new MessageRouter(serial);
+  const transactions = new CommandTransactions(serial);
+  const scheduler = new CommandScheduler(serial, transactions);
+  const deviceQuery = new DeviceQuery(serial, scheduler);
+  const ntrip = new NtripClient(serial);
+  const nmea = new NmeaSynthesizer(serial);
+  nmea.on('gga', (text) => ntrip.setGga(text));
+
+  const onGgaLine = (text) => {
+    if (text.startsWith('$GPGGA') || text.startsWith('$GNGGA')) ntrip.setGga(text);
+  };
+  serial.on('line', onGgaLine);
+
+  return {
+    serial,
+    router,
+    transactions,
+    scheduler,
+    deviceQuery,
+    ntrip,
+    nmea,
+    connect: (params) => serial.connect(params),
+    close() {
+      serial.removeListener('line', onGgaLine);
+      ntrip.disconnect();
+      nmea.stop();
+      deviceQuery.destroy();
+      scheduler.destroy();
+      transactions.destroy();
+      serial.destroy();
+    }
+  };
+}
+
+module.exports = {
+  createSession,
+  SerialManager,
+  MessageRouter,
+  CommandTransactions,
+  CommandScheduler,
+  DeviceQuery,
+  NtripClient,
+  DataFanout,
+  LocalApiServer,
+  NmeaSynthesizer,
+  SimulatedReceiver,
+  CapturePlayer,
+  StreamFramer,
+  FrameDecoder,
+  FrameProcessor,
+  StreamStats,
+  capture,
+  binaryParser,
+  schemaLoader,
+  lintSchemas,
+  expression,
+  messageEncoder,
+  commandCodec,
+  crc
+};
@@ -0,0 +1,52 @@
+// IpcBatcher - coalesces high-rate events into one IPC message per channel
+// A 200 Hz IMU stream plus terminal echo would otherwise cost hundreds of
+// webContents.send() calls per second. Items are queued per channel and sent
+// as an array every interval; the preload unpacks them for the listeners.
+
+const DEFAULT_INTERVAL_MS = 50;
+const MAX_BATCH_SIZE = 500;
+
+class IpcBatcher {
+  /**
+   * @param {function(string, Array)} send - delivers one batch (e.g. safeSend)
+   * @param {number} [intervalMs=50]
+   */
+  constructor(send, intervalMs = DEFAULT_INTERVAL_MS) {
+    this._send = send;
+    this._intervalMs = intervalMs;
+    this._queues = new Map();   // channel -> items
+    this._timer = null;
+  }
+
+  push(channel, item) {
+    let queue = this._queues.get(channel);
+    if (!queue) {
+      queue = [];
+      this._queues.set(channel, queue);
+    }
+    queue.push(item);
+    if (queue.length >= MAX_BATCH_SIZE) {
+      this._queues.delete(channel);
+      this._send(channel, queue);
+    }
+    if (!this._timer) this._timer = setTimeout(() => this.flush(), this._intervalMs);
+  }
+
+  flush() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    const queues = this._queues;
+    this._queues = new Map();
+    for (const [channel, items] of queues) this._send(channel, items);
+  }
+
+  destroy() {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+    this._queues.clear();
+  }
+}
+
+module.exports = IpcBatcher;
@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const { autoUpdater } = require('electron-updater');
 const path = require('path');
 const fs = require('fs');
@@ -11,7 +11,18 @@ let mainWindow;
 let serialManager;
 let messageRouter;
 let deviceQuery;
+let commandTransactions;
+let commandScheduler;
 let ntripClient;
+let dataFanout;
+let localApi;
+let nmeaSynth;
+let ipcBatcher;
+
+// Binary message IDs the renderer wants as binary:parsed (token -> Set of msgIds)
+const rendererBinarySubs = new Map();
+let rendererBinaryIds = new Set();
+let nextBinaryToken = 1;
 
 // Prevent EPIPE crashes on stdout/stderr when pipe is broken
 process.stdout?.on('error', () => { });
@@ -24,6 +35,58 @@ function safeSend(channel, data) {
   }
 }
 
+// Local WebSocket/HTTP API: { enabled, port }, remembered across restarts
+function localApiSettingsFile() {
+  return path.join(app.getPath('userData'), 'local-api.json');
+}
+
+function readLocalApiSettings() {
+  try {
+    const file = localApiSettingsFile();
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch { }
+  return { enabled: false, port: null };
+}
+
+function saveLocalApiSettings(settings) {
+  try {
+    const file = localApiSettingsFile();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(settings, null, 2), 'utf-8');
+  } catch (e) {
+    console.error('[Main] Failed to save API settings:', e.message);
+  }
+}
+
+// NMEA synthesizer: { enabled, config }, remembered across restarts
+function nmeaOutputSettingsFile() {
+  return path.join(app.getPath('userData'), 'nmea-output.json');
+}
+
+function readNmeaOutputSettings() {
+  try {
+    const file = nmeaOutputSettingsFile();
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch { }
+  return { enabled: false, config: null };
+}
+
+function saveNmeaOutputSettings(settings) {
+  try {
+    const file = nmeaOutputSettingsFile();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(settings, null, 2), 'utf-8');
+  } catch (e) {
+    console.error('[Main] Failed to save NMEA output settings:', e.message);
+  }
+}
+
+function updateRendererBinaryIds() {
+  rendererBinaryIds = new Set();
+  for (const ids of rendererBinarySubs.values()) ids.forEach(id => rendererBinaryIds.add(id));
+  serialManager?.setDecodeInterest('renderer', rendererBinaryIds);
+}
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1400,
@@ -46,11 +109,41 @@ function createWindow() {
   const MessageRouter = require('../backend/message-router');
   const DeviceQuery = require('../backend/device-query');
   const NtripClient = require('../backend/ntrip-client');
+  const CommandTransactions = require('../backend/command-transaction');
+  const CommandScheduler = require('../backend/command-scheduler');
+  const DataFanout = require('../backend/data-fanout');
+  const { LocalApiServer } = require('../backend/local-api');
+  const { NmeaSynthesizer } = require('../backend/nmea-synth');
+  const IpcBatcher = require('./ipc-batcher');
 
   serialManager = new SerialManager();
   messageRouter = new MessageRouter(serialManager);
-  deviceQuery = new DeviceQuery(serialManager);
+  commandTransactions = new CommandTransactions(serialManager);
+  commandScheduler = new CommandScheduler(serialManager, commandTransactions);
+  deviceQuery = new DeviceQuery(serialManager, commandScheduler);
   ntripClient = new NtripClient(serialManager);
+  dataFanout = new DataFanout(serialManager);
+  // Commands from the output designated for it go to the receiver like typed ones
+  dataFanout.on('command', (cmd) => commandScheduler.send(cmd));
+  localApi = new LocalApiServer({ serialManager, commandScheduler, ntripClient });
+  const apiSettings = readLocalApiSettings();
+  if (apiSettings.enabled) {
+    localApi.start(apiSettings.port || undefined).then((result) => {
+      if (!result.ok) console.error(result.msg);
+    });
+  }
+  // Synthesized NMEA goes to outputs filtering on 'synth'; its GGA feeds NTRIP
+  // while the receiver outputs none
+  nmeaSynth = new NmeaSynthesizer(serialManager);
+  nmeaSynth.on('sentence', (text) => dataFanout.publish('synth', Buffer.from(`${text}\r\n`, 'latin1')));
+  nmeaSynth.on('gga', (text) => ntripClient.setGga(text));
+  const nmeaSettings = readNmeaOutputSettings();
+  if (nmeaSettings.enabled) {
+    const result = nmeaSynth.start(nmeaSettings.config || undefined);
+    if (!result.ok) console.error(result.msg);
+  }
+  // High-rate channels reach the renderer as arrays, one message per interval
+  ipcBatcher = new IpcBatcher(safeSend);
 
   // Forward NTRIP events to renderer
   ntripClient.on('status', (data) => safeSend('ntrip:status', data));
@@ -69,40 +162,49 @@ function createWindow() {
   serialManager.on('line', onGgaLine);
 
   // Forward events to renderer (using safeSend to prevent errors on close)
-  const onLine = (text, color) => safeSend('terminal:line', { text, color });
+  const onLine = (text, color) => ipcBatcher.push('terminal:line', { text, color });
   const onConnection = (connected) => safeSend('connection:status', connected);
 
+  const onRecording = (status) => safeSend('record:status', status);
+  const onReplay = (status) => safeSend('replay:status', status);
+  const onReconnect = (status) => safeSend('connection:reconnect', status);
+  const onCommandProgress = (progress) => safeSend('commands:progress', progress);
+
   serialManager.on('line', onLine);
   serialManager.on('connection', onConnection);
+  serialManager.on('recording', onRecording);
+  serialManager.on('replay', onReplay);
+  serialManager.on('reconnect', onReconnect);
+  commandScheduler.on('progress', onCommandProgress);
 
-  // Forward parsed binary frames to renderer (for info panel live values)
+  // Forward decoded binary frames to renderer (for info panel live values),
+  // only for the message IDs the renderer has subscribed to
   const onBinaryFrame = (frame) => {
-    if (!frame.ok) return;
-    const { parseBinaryPayload } = require('../backend/binary-parser');
-    try {
-      const parsed = parseBinaryPayload(frame.id, frame.payload, frame.crc);
-      if (parsed) {
-        // Flatten fields for the renderer: { fieldName: value, ... }
-        const flat = {};
-        for (const [name, data] of Object.entries(parsed.fields || {})) {
-          flat[name] = (typeof data === 'object' && data !== null && 'value' in data)
-            ? data.value : data;
-        }
-        safeSend('binary:parsed', {
-          msgId: frame.id,
-          schemaKey: parsed.schema_key,
-          name: parsed.message_type,
-          fields: flat
-        });
-      }
-    } catch { }
+    if (!frame.ok || !frame.parsed || !rendererBinaryIds.has(frame.id)) return;
+    const { parsed } = frame;
+    // Flatten fields for the renderer: { fieldName: value, ... } plus enum / bitfield labels
+    const flat = {};
+    const labels = {};
+    for (const [name, data] of Object.entries(parsed.fields || {})) {
+      const isObj = typeof data === 'object' && data !== null;
+      flat[name] = isObj && 'value' in data ? data.value : data;
+      if (isObj && data.label != null) labels[name] = data.label;
+    }
+    ipcBatcher.push('binary:parsed', {
+      msgId: frame.id,
+      schemaKey: parsed.schema_key,
+      name: parsed.message_type,
+      header: frame.header,
+      fields: flat,
+      labels
+    });
   };
   serialManager.on('binary', onBinaryFrame);
 
   // Forward capability data to renderer
   const capabilityHandlers = {};
   for (const cap of ['position', 'velocity', 'heading', 'satellites', 'imu', 'time']) {
-    capabilityHandlers[cap] = (data) => safeSend(`data:${cap}`, data);
+    capabilityHandlers[cap] = (data) => ipcBatcher.push(`data:${cap}`, data);
     messageRouter.on(cap, capabilityHandlers[cap]);
   }
 
@@ -111,12 +213,24 @@ function createWindow() {
     serialManager.removeListener('line', onLine);
     serialManager.removeListener('line', onGgaLine);
     serialManager.removeListener('connection', onConnection);
+    serialManager.removeListener('recording', onRecording);
+    serialManager.removeListener('replay', onReplay);
+    serialManager.removeListener('reconnect', onReconnect);
+    commandScheduler.removeListener('progress', onCommandProgress);
     serialManager.removeListener('binary', onBinaryFrame);
     for (const cap of Object.keys(capabilityHandlers)) {
       messageRouter.removeListener(cap, capabilityHandlers[cap]);
     }
     ntripClient.disconnect();
     ntripClient.removeAllListeners();
+    dataFanout.destroy();
+    dataFanout.removeAllListeners();
+    localApi.stop();
+    nmeaSynth.stop();
+    nmeaSynth.removeAllListeners();
+    ipcBatcher.destroy();
+    rendererBinarySubs.clear();
+    updateRendererBinaryIds();
     mainWindow = null;
   });
 
@@ -134,7 +248,10 @@ function createWindow() {
 
 function setupIPC() {
   const SerialManager = require('../backend/serial-manager');
-  const { getMessagesForCapability, getAllMessageDefinitions, getMessageSchema, getReferenceTable } = require('../backend/schema-loader');
+  const {
+    getMessagesForCapability, getAllMessageDefinitions, getMessageSchema, getReferenceTable, getSchemaErrors
+  } = require('../backend/schema-loader');
+  const { lintSchemas } = require('../backend/schema-lint');
 
   // Window controls
   ipcMain.on('window:minimize', () => mainWindow?.minimize());
@@ -145,18 +262,43 @@ function setupIPC() {
   ipcMain.on('window:close', () => mainWindow?.close());
 
   // Serial port management
+  const SERIAL_SETTINGS_FILE = path.join(app.getPath('userData'), 'serial-settings.json');
+
+  // Last-used baud rate and line settings, keyed by port path
+  const readSerialSettings = () => {
+    try {
+      if (fs.existsSync(SERIAL_SETTINGS_FILE)) {
+        return JSON.parse(fs.readFileSync(SERIAL_SETTINGS_FILE, 'utf-8'));
+      }
+    } catch { }
+    return {};
+  };
+
+  const saveSerialSettings = (portPath, settings) => {
+    try {
+      const all = readSerialSettings();
+      all[portPath] = settings;
+      fs.mkdirSync(path.dirname(SERIAL_SETTINGS_FILE), { recursive: true });
+      fs.writeFileSync(SERIAL_SETTINGS_FILE, JSON.stringify(all, null, 2), 'utf-8');
+    } catch (e) {
+      console.error('[Main] Failed to save serial settings:', e.message);
+    }
+  };
+
   ipcMain.handle('serial:list', async () => {
     return await SerialManager.listPorts();
   });
 
+  ipcMain.handle('serial:settings:get', async (_, portPath) => {
+    return readSerialSettings()[portPath] || null;
+  });
+
   ipcMain.handle('serial:connect', async (_, params) => {
-    const { type, port, baudrate, host, tcpPort, udpPort, remoteHost, remotePort } = params;
-    switch (type) {
-      case 'serial': return await serialManager.connectSerial(port, baudrate);
-      case 'tcp': return await serialManager.connectTcp(host, tcpPort);
-      case 'udp': return await serialManager.connectUdp(udpPort, remoteHost, remotePort);
-      default: return { ok: false, msg: 'Unknown connection type' };
+    const result = await serialManager.connect(params);
+    if (result.ok && params.type === 'serial') {
+      saveSerialSettings(params.port, { baudrate: result.baudRate ?? params.baudrate, ...params.lineSettings });
     }
+    return result;
   });
 
   ipcMain.handle('serial:disconnect', async () => {
@@ -168,7 +310,98 @@ function setupIPC() {
     try {
       console.log(`[Main] Sending Command: ${cmd}`);
     } catch (_e) { /* EPIPE safe */ }
-    return serialManager.sendCommand(cmd);
+    return await commandScheduler.send(cmd);
+  });
+
+  // Send and wait for the receiver's <OK / <ERROR response
+  ipcMain.handle('serial:sendAndWait', async (_, { cmd, timeout, retries }) => {
+    return await commandScheduler.enqueue(cmd, { timeout, retries });
+  });
+
+  // Run a command batch through the shared scheduler (progress on commands:progress)
+  ipcMain.handle('commands:run', async (_, { cmds, options }) => {
+    return await commandScheduler.runBatch(cmds, options || {});
+  });
+
+  ipcMain.handle('commands:cancel', async (_, id) => {
+    commandScheduler.cancelBatch(id);
+    return { ok: true };
+  });
+
+  // Per-message stream statistics (Stream Health page)
+  ipcMain.handle('stats:get', async () => {
+    return serialManager.getStreamStats();
+  });
+
+  ipcMain.handle('stats:reset', async () => {
+    serialManager.resetStreamStats();
+    return { ok: true };
+  });
+
+  // Hex echo of binary frames is only formatted while the terminal is visible
+  ipcMain.handle('terminal:setActive', async (_, active) => {
+    serialManager.setFrameEcho(active);
+    return { ok: true };
+  });
+
+  // Raw stream recording
+  ipcMain.handle('record:start', async (_, filePath) => {
+    const { CAPTURE_EXTENSION } = require('../backend/capture-file');
+    let target = filePath;
+    if (!target) {
+      const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+      const result = await dialog.showSaveDialog(mainWindow, {
+        title: 'Record Raw Stream',
+        defaultPath: path.join(app.getPath('documents'), `gnss_capture_${stamp}.${CAPTURE_EXTENSION}`),
+        filters: [{ name: 'SWEGEO Capture', extensions: [CAPTURE_EXTENSION] }]
+      });
+      if (result.canceled || !result.filePath) return { ok: false, msg: 'Cancelled' };
+      target = result.filePath;
+    }
+    return await serialManager.startRecording(target);
+  });
+
+  ipcMain.handle('record:stop', async () => {
+    return await serialManager.stopRecording();
+  });
+
+  ipcMain.handle('record:status', async () => {
+    return serialManager.getRecordingStatus();
+  });
+
+  // Capture replay
+  ipcMain.handle('replay:browse', async () => {
+    const { CAPTURE_EXTENSION } = require('../backend/capture-file');
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Open Capture File',
+      defaultPath: app.getPath('documents'),
+      properties: ['openFile'],
+      filters: [{ name: 'SWEGEO Capture', extensions: [CAPTURE_EXTENSION] }]
+    });
+    if (result.canceled || !result.filePaths.length) return null;
+    return result.filePaths[0];
+  });
+
+  ipcMain.handle('replay:control', async (_, { action, value }) => {
+    return serialManager.replayControl(action, value);
+  });
+
+  ipcMain.handle('replay:status', async () => {
+    return serialManager.getReplayStatus();
+  });
+
+  // binary:parsed subscriptions (info panel live values)
+  ipcMain.handle('binary:subscribe', async (_, msgIds) => {
+    const token = nextBinaryToken++;
+    rendererBinarySubs.set(token, new Set((msgIds || []).map(Number).filter(Number.isInteger)));
+    updateRendererBinaryIds();
+    return token;
+  });
+
+  ipcMain.handle('binary:unsubscribe', async (_, token) => {
+    rendererBinarySubs.delete(token);
+    updateRendererBinaryIds();
+    return { ok: true };
   });
 
   // Message router subscriptions
@@ -182,6 +415,16 @@ function setupIPC() {
     return { ok: true };
   });
 
+  // Schema files that failed to parse (the app runs on without them)
+  ipcMain.handle('config:schemaErrors', async () => {
+    return getSchemaErrors();
+  });
+
+  // Cross-file consistency findings for the developer tab in Settings
+  ipcMain.handle('config:lintSchemas', async () => {
+    return lintSchemas();
+  });
+
   // Get available messages for a capability
   ipcMain.handle('config:messages', async (_, capability) => {
     return getMessagesForCapability(capability);
@@ -237,6 +480,61 @@ function setupIPC() {
     }
   });
 
+  // --- Data outputs (fan-out to other applications) ---
+  ipcMain.handle('fanout:list', async () => {
+    return dataFanout ? dataFanout.getOutputs() : [];
+  });
+
+  ipcMain.handle('fanout:add', async (_, config) => {
+    if (!dataFanout) return { ok: false, msg: 'Outputs not initialized' };
+    return await dataFanout.addOutput(config);
+  });
+
+  ipcMain.handle('fanout:remove', async (_, id) => {
+    if (!dataFanout) return { ok: false, msg: 'Outputs not initialized' };
+    return dataFanout.removeOutput(id);
+  });
+
+  // --- Local WebSocket/HTTP API ---
+  ipcMain.handle('api:status', async () => {
+    return localApi ? localApi.getStatus() : { running: false };
+  });
+
+  ipcMain.handle('api:start', async (_, port) => {
+    if (!localApi) return { ok: false, msg: 'API not initialized' };
+    const result = await localApi.start(port || undefined);
+    if (result.ok) saveLocalApiSettings({ enabled: true, port: localApi.getStatus().port });
+    return result;
+  });
+
+  ipcMain.handle('api:stop', async () => {
+    if (!localApi) return { ok: false, msg: 'API not initialized' };
+    const { port } = readLocalApiSettings();
+    localApi.stop();
+    saveLocalApiSettings({ enabled: false, port });
+    return { ok: true };
+  });
+
+  // --- NMEA synthesizer ---
+  ipcMain.handle('nmea:status', async () => {
+    return nmeaSynth ? nmeaSynth.getStatus() : { running: false };
+  });
+
+  ipcMain.handle('nmea:start', async (_, config) => {
+    if (!nmeaSynth) return { ok: false, msg: 'NMEA output not initialized' };
+    const result = nmeaSynth.start(config);
+    if (result.ok) saveNmeaOutputSettings({ enabled: true, config: nmeaSynth.getStatus().config });
+    return result;
+  });
+
+  ipcMain.handle('nmea:stop', async () => {
+    if (!nmeaSynth) return { ok: false, msg: 'NMEA output not initialized' };
+    const { config } = readNmeaOutputSettings();
+    nmeaSynth.stop();
+    saveNmeaOutputSettings({ enabled: false, config });
+    return { ok: true };
+  });
+
   // --- NTRIP Client ---
   const NTRIP_PROFILES_FILE = path.join(app.getPath('userData'), 'ntrip-profiles.json');
 
@@ -376,6 +674,8 @@ app.whenReady().then(() => {
 
 app.on('window-all-closed', () => {
   ntripClient?.disconnect();
+  dataFanout?.closeAll();
+  localApi?.stop();
   serialManager?.disconnect();
   app.quit();
 });
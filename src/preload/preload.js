@@ -9,9 +9,43 @@ contextBridge.exposeInMainWorld('api', {
 
   // Serial connection
   listPorts: () => ipcRenderer.invoke('serial:list'),
+  getSerialSettings: (portPath) => ipcRenderer.invoke('serial:settings:get', portPath),
   connect: (params) => ipcRenderer.invoke('serial:connect', params),
   disconnect: () => ipcRenderer.invoke('serial:disconnect'),
   sendCommand: (cmd) => ipcRenderer.invoke('serial:send', cmd),
+  sendCommandAndWait: (cmd, timeout) => ipcRenderer.invoke('serial:sendAndWait', { cmd, timeout }),
+  runCommands: (cmds, options) => ipcRenderer.invoke('commands:run', { cmds, options }),
+  cancelCommands: (id) => ipcRenderer.invoke('commands:cancel', id),
+  setTerminalActive: (active) => ipcRenderer.invoke('terminal:setActive', active),
+
+  // Stream statistics
+  getStreamStats: () => ipcRenderer.invoke('stats:get'),
+  resetStreamStats: () => ipcRenderer.invoke('stats:reset'),
+
+  // Data outputs (re-broadcast the receiver stream)
+  getOutputs: () => ipcRenderer.invoke('fanout:list'),
+  addOutput: (config) => ipcRenderer.invoke('fanout:add', config),
+  removeOutput: (id) => ipcRenderer.invoke('fanout:remove', id),
+
+  // Local WebSocket/HTTP API for other applications
+  getApiStatus: () => ipcRenderer.invoke('api:status'),
+  startApi: (port) => ipcRenderer.invoke('api:start', port),
+  stopApi: () => ipcRenderer.invoke('api:stop'),
+
+  // NMEA synthesized from binary / ASCII solutions
+  getNmeaStatus: () => ipcRenderer.invoke('nmea:status'),
+  startNmea: (config) => ipcRenderer.invoke('nmea:start', config),
+  stopNmea: () => ipcRenderer.invoke('nmea:stop'),
+
+  // Raw stream recording
+  startRecording: (filePath) => ipcRenderer.invoke('record:start', filePath),
+  stopRecording: () => ipcRenderer.invoke('record:stop'),
+  getRecordingStatus: () => ipcRenderer.invoke('record:status'),
+
+  // Capture replay
+  browseCapture: () => ipcRenderer.invoke('replay:browse'),
+  replayControl: (action, value) => ipcRenderer.invoke('replay:control', { action, value }),
+  getReplayStatus: () => ipcRenderer.invoke('replay:status'),
 
   // Message router
   subscribe: (capability, msgId, sourceName) =>
@@ -24,6 +58,8 @@ contextBridge.exposeInMainWorld('api', {
   getAllMessages: () => ipcRenderer.invoke('config:allMessages'),
   getMessageSchema: (familyKey, variant) => ipcRenderer.invoke('config:messageSchema', { familyKey, variant }),
   getReferenceTable: (key) => ipcRenderer.invoke('config:referenceTable', key),
+  getSchemaErrors: () => ipcRenderer.invoke('config:schemaErrors'),
+  lintSchemas: () => ipcRenderer.invoke('config:lintSchemas'),
 
   // Device query
   requestComconfig: () => ipcRenderer.invoke('device:comconfig'),
@@ -34,9 +70,9 @@ contextBridge.exposeInMainWorld('api', {
   getNetworkInfo: () => ipcRenderer.invoke('system:networkInfo'),
   getArpTable: () => ipcRenderer.invoke('system:arpTable'),
 
-  // Event listeners
+  // Event listeners (terminal:line, binary:parsed and data:* arrive as batches)
   onTerminalLine: (cb) => {
-    const listener = (_, data) => cb(data);
+    const listener = (_, batch) => batch.forEach(item => cb(item));
     ipcRenderer.on('terminal:line', listener);
     return () => ipcRenderer.removeListener('terminal:line', listener);
   },
@@ -45,16 +81,44 @@ contextBridge.exposeInMainWorld('api', {
     ipcRenderer.on('connection:status', listener);
     return () => ipcRenderer.removeListener('connection:status', listener);
   },
+  onReconnect: (cb) => {
+    const listener = (_, status) => cb(status);
+    ipcRenderer.on('connection:reconnect', listener);
+    return () => ipcRenderer.removeListener('connection:reconnect', listener);
+  },
+  onCommandProgress: (cb) => {
+    const listener = (_, progress) => cb(progress);
+    ipcRenderer.on('commands:progress', listener);
+    return () => ipcRenderer.removeListener('commands:progress', listener);
+  },
   onData: (capability, cb) => {
     const channel = `data:${capability}`;
-    const listener = (_, data) => cb(data);
+    const listener = (_, batch) => batch.forEach(item => cb(item));
     ipcRenderer.on(channel, listener);
     return () => ipcRenderer.removeListener(channel, listener);
   },
-  onBinaryParsed: (cb) => {
+  onRecordingStatus: (cb) => {
     const listener = (_, data) => cb(data);
+    ipcRenderer.on('record:status', listener);
+    return () => ipcRenderer.removeListener('record:status', listener);
+  },
+  onReplayStatus: (cb) => {
+    const listener = (_, data) => cb(data);
+    ipcRenderer.on('replay:status', listener);
+    return () => ipcRenderer.removeListener('replay:status', listener);
+  },
+  // Binary frames are only decoded and forwarded for subscribed message IDs
+  onBinaryParsed: (msgIds, cb) => {
+    const ids = new Set(msgIds);
+    const listener = (_, batch) => batch.forEach(item => {
+      if (ids.has(item.msgId)) cb(item);
+    });
     ipcRenderer.on('binary:parsed', listener);
-    return () => ipcRenderer.removeListener('binary:parsed', listener);
+    const token = ipcRenderer.invoke('binary:subscribe', [...ids]);
+    return () => {
+      ipcRenderer.removeListener('binary:parsed', listener);
+      token.then(t => ipcRenderer.invoke('binary:unsubscribe', t));
+    };
   },
 
   // NTRIP Client
@@ -28,9 +28,18 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('Initializing Terminal...');
     const terminal = new Terminal(window.api);
 
+    console.log('Initializing StreamHealth...');
+    const streamHealth = new StreamHealth(window.api);
+
+    console.log('Initializing DataOutputs...');
+    const dataOutputs = new DataOutputs(window.api);
+
     console.log('Initializing ConnectionDialog...');
     const connDialog = new ConnectionDialog(window.api);
 
+    console.log('Initializing ReplayBar...');
+    const replayBar = new ReplayBar(window.api);
+
     console.log('Initializing Dashboard...');
     const dashboard = new Dashboard(window.api);
 
@@ -58,6 +67,12 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('Initializing UpdatePanel...');
     const updatePanel = new UpdatePanel();
 
+    console.log('Initializing SchemaErrorBanner...');
+    const schemaErrorBanner = new SchemaErrorBanner(window.api);
+
+    console.log('Initializing SchemaLint...');
+    const schemaLint = new SchemaLint(window.api);
+
     // Auto-scan ports when connection established
     window.api.onConnection((connected) => {
       messagesSettings.onConnectionChanged(connected);
@@ -77,6 +92,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (target === 'base-rover') baseRoverSettings.onPageActivated();
         if (target === 'ethernet') ethernetSettings.onPageActivated();
         if (target === 'ins') insSettings.onPageActivated();
+        if (target === 'schemas') schemaLint.onPageActivated();
       });
     });
 
@@ -84,6 +100,10 @@ document.addEventListener('DOMContentLoaded', () => {
     const origSetActive = sidebar.setActivePage.bind(sidebar);
     sidebar.setActivePage = (pageId, btnIndex) => {
       origSetActive(pageId, btnIndex);
+      // Binary frames are only echoed as hex while the terminal is on screen
+      window.api.setTerminalActive(pageId === 'terminal');
+      streamHealth.setActive(pageId === 'stream');
+      dataOutputs.setActive(pageId === 'outputs');
       if (pageId === 'settings') {
         const activeTab = document.querySelector('.settings-tab.active');
         const target = activeTab?.dataset.settingsTab || 'messages';
@@ -92,6 +112,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (target === 'base-rover') baseRoverSettings.onPageActivated();
         if (target === 'ethernet') ethernetSettings.onPageActivated();
         if (target === 'ins') insSettings.onPageActivated();
+        if (target === 'schemas') schemaLint.onPageActivated();
       }
     };
 
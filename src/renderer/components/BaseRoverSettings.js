@@ -70,6 +70,8 @@ class BaseRoverSettings {
     this.avgSecsInput = document.getElementById('br-avg-secs');
     this.avgMetersInput = document.getElementById('br-avg-meters');
     this.statusLabel = document.getElementById('br-status');
+    this.cmdResults = new CommandResults('br-cmd-results');
+    this.cmdResults.follow(this.api, 'baserover');
     this.rightCol = document.getElementById('br-right-col');
 
     // Device Status overview elements
@@ -342,10 +344,9 @@ class BaseRoverSettings {
         this._refreshPortsTable();
       }
 
-      // Send RTKTYPE and DGPSTXID via raw command (no DeviceQuery conflict)
-      await this.api.sendCommand('RTKTYPE');
-      await this.api.sendCommand('DGPSTXID RTCMV3');
-      await new Promise(r => setTimeout(r, 800));
+      // Query RTKTYPE and DGPSTXID; replies are picked up by the terminal line handler
+      await this.api.sendCommandAndWait('RTKTYPE');
+      await this.api.sendCommandAndWait('DGPSTXID RTCMV3');
 
       // Use structured API for LOGLISTA
       const logResult = await this.api.requestLoglista();
@@ -380,11 +381,12 @@ class BaseRoverSettings {
     const cmds = this._buildCommands();
     this._setStatus('Applying configuration...');
     try {
-      for (const cmd of cmds) {
-        await this.api.sendCommand(cmd);
-        await new Promise(r => setTimeout(r, 150));
+      const batch = await this.api.runCommands(cmds, { label: 'baserover', stopOnError: true });
+      if (!batch.ok) {
+        this._setStatus(`Apply incomplete: ${this.cmdResults.summary()}`, 'danger');
+        return;
       }
-      this._setStatus(`${cmds.length} commands applied — pulling new state...`, 'success');
+      this._setStatus(`${this.cmdResults.summary()} — pulling new state...`, 'success');
       // Auto-pull to refresh Current Device Status with actual device data
       await new Promise(r => setTimeout(r, 500));
       await this._pullAll();
@@ -396,7 +398,12 @@ class BaseRoverSettings {
   async _saveConfig() {
     this._setStatus('Saving configuration...');
     try {
-      await this.api.sendCommand('SAVECONFIG');
+      const result = await this.api.sendCommandAndWait('SAVECONFIG');
+      this.cmdResults.add(result);
+      if (!result.ok) {
+        this._setStatus(`Save failed: ${result.error}`, 'danger');
+        return;
+      }
       this._setStatus('Configuration saved to device', 'success');
     } catch (e) {
       this._setStatus(`Save failed: ${e.message}`, 'danger');
@@ -405,24 +412,28 @@ class BaseRoverSettings {
 
   async _disableSelected() {
     const port = this.portInput?.value.trim() || '';
-    let count = 0;
-    for (const [id, row] of Object.entries(this._rtcmRows)) {
-      if (row.ck.checked) {
-        const cmd = port ? `UNLOG ${port} RTCM${id}` : `UNLOG RTCM${id}`;
-        await this.api.sendCommand(cmd);
-        row.ck.checked = false;
-        count++;
-        await new Promise(r => setTimeout(r, 100));
-      }
-    }
-    this._setStatus(`Disabled ${count} RTCM messages`, 'success');
+    const rows = Object.entries(this._rtcmRows).filter(([, row]) => row.ck.checked);
+    const cmds = rows.map(([id]) => (port ? `UNLOG ${port} RTCM${id}` : `UNLOG RTCM${id}`));
+    const batch = await this.api.runCommands(cmds, { label: 'baserover', stopOnError: false });
+    batch.results.forEach((result, i) => {
+      if (result.ok) rows[i][1].ck.checked = false;
+    });
+    const failed = this.cmdResults.failedCount;
+    this._setStatus(failed > 0 ? `Disable incomplete: ${this.cmdResults.summary()}`
+      : `Disabled ${this.cmdResults.count} RTCM messages`, failed > 0 ? 'danger' : 'success');
     this._updatePreview();
   }
 
   async _disableAll() {
     const port = this.portInput?.value.trim() || '';
     const cmd = port ? `UNLOG ${port} ALL` : 'UNLOGALL';
-    await this.api.sendCommand(cmd);
+    this.cmdResults.clear();
+    const result = await this.api.sendCommandAndWait(cmd);
+    this.cmdResults.add(result);
+    if (!result.ok) {
+      this._setStatus(`Disable failed: ${result.error}`, 'danger');
+      return;
+    }
     for (const row of Object.values(this._rtcmRows)) {
       row.ck.checked = false;
     }
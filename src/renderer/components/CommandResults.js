@@ -0,0 +1,70 @@
+// CommandResults - per-command outcome list shown under settings pages
+// Fed with results from api.sendCommandAndWait(): { ok, cmd, response, error, timedOut, elapsedMs }
+// or live from scheduler batches started with api.runCommands() via follow()
+
+class CommandResults {
+  constructor(containerId) {
+    this.el = document.getElementById(containerId);
+    this._results = [];
+  }
+
+  // Show results of batches run with this label as they arrive
+  follow(api, label) {
+    if (!api?.onCommandProgress) return;
+    api.onCommandProgress((progress) => {
+      if (progress.label !== label) return;
+      if (progress.state === 'started') this.clear();
+      else if (progress.state === 'result') this.add(progress.result);
+    });
+  }
+
+  clear() {
+    this._results = [];
+    if (!this.el) return;
+    this.el.innerHTML = '';
+    this.el.style.display = 'none';
+  }
+
+  add(result) {
+    this._results.push(result);
+    if (!this.el) return;
+    this.el.style.display = '';
+
+    const row = document.createElement('div');
+    row.className = `cmd-result ${result.ok ? 'ok' : 'failed'}`;
+
+    const icon = document.createElement('span');
+    icon.className = 'cmd-result-icon';
+    icon.textContent = result.ok ? '✓' : '✗';
+
+    const cmd = document.createElement('span');
+    cmd.className = 'cmd-result-cmd';
+    cmd.textContent = result.cmd;
+
+    const detail = document.createElement('span');
+    detail.className = 'cmd-result-detail';
+    detail.textContent = result.ok
+      ? `${result.elapsedMs} ms`
+      : (result.error || 'Failed');
+    if (result.response) detail.title = result.response;
+
+    row.append(icon, cmd, detail);
+    this.el.appendChild(row);
+    this.el.scrollTop = this.el.scrollHeight;
+  }
+
+  get failedCount() {
+    return this._results.filter(r => !r.ok).length;
+  }
+
+  get count() {
+    return this._results.length;
+  }
+
+  // "5 commands applied" / "2 of 5 commands failed"
+  summary(verb = 'applied') {
+    const failed = this.failedCount;
+    if (failed === 0) return `${this.count} commands ${verb}`;
+    return `${failed} of ${this.count} commands failed`;
+  }
+}
@@ -2,6 +2,7 @@ class ConnectionDialog {
     constructor(api) {
         this.api = api;
         this.isConnected = false;
+        this.isReconnecting = false;
 
         // UI Elements - Updated for title bar button
         this.connectBtn = document.getElementById('btn-connect-titlebar');
@@ -15,7 +16,8 @@ class ConnectionDialog {
     init() {
         // Open/Close/Disconnect logic
         this.connectBtn.addEventListener('click', () => {
-            if (this.isConnected) {
+            if (this.isConnected || this.isReconnecting) {
+                // Disconnect also cancels a pending auto-reconnect
                 this.api.disconnect();
             } else {
                 this.show();
@@ -43,9 +45,30 @@ class ConnectionDialog {
             });
         });
 
+        // TCP client / server mode
+        document.getElementById('tcp-mode')?.addEventListener('change', (e) => {
+            const server = e.target.value === 'server';
+            document.getElementById('tcp-host-group').style.display = server ? 'none' : '';
+            document.getElementById('tcp-bind-group').style.display = server ? '' : 'none';
+            document.getElementById('tcp-server-note').style.display = server ? '' : 'none';
+        });
+
+        document.getElementById('conn-binary-commands')?.addEventListener('change', (e) => {
+            document.getElementById('conn-binary-note').style.display = e.target.checked ? '' : 'none';
+        });
+
         // Refresh ports button
         document.getElementById('btn-refresh-ports')?.addEventListener('click', () => this.refreshPorts());
 
+        // Restore the settings last used on the selected port
+        document.getElementById('serial-port')?.addEventListener('change', (e) => this.loadSerialSettings(e.target.value));
+
+        // Browse for a capture file to replay
+        document.getElementById('btn-browse-capture')?.addEventListener('click', async () => {
+            const filePath = await this.api.browseCapture();
+            if (filePath) document.getElementById('replay-file').value = filePath;
+        });
+
         // Connect Action
         document.getElementById('btn-do-connect')?.addEventListener('click', () => this.doConnect());
 
@@ -67,6 +90,19 @@ class ConnectionDialog {
 
             if (connected) this.hide();
         });
+
+        // Auto-reconnect progress
+        this.api.onReconnect((status) => {
+            this.isReconnecting = status.state === 'waiting' || status.state === 'connecting';
+            const statusText = this.connectBtn.querySelector('.connection-status-text');
+            if (this.isReconnecting) {
+                this.connectBtn.title = 'Cancel reconnect';
+                if (statusText) statusText.textContent = `Reconnecting (${status.attempt})...`;
+            } else if (!this.isConnected) {
+                this.connectBtn.title = 'Connect';
+                if (statusText) statusText.textContent = 'Disconnected';
+            }
+        });
     }
 
     show() {
@@ -98,27 +134,74 @@ class ConnectionDialog {
             portSelect.innerHTML = ports.map(p =>
                 `<option value="${p.path}">${p.path}${p.manufacturer ? ` (${p.manufacturer})` : ''}</option>`
             ).join('');
+            this.loadSerialSettings(portSelect.value);
         }
     }
 
+    async loadSerialSettings(portPath) {
+        if (!portPath) return;
+        const saved = await this.api.getSerialSettings(portPath);
+        if (!saved) return;
+        const setValue = (id, value) => {
+            const el = document.getElementById(id);
+            if (el && value != null) el.value = String(value);
+        };
+        setValue('serial-baud', saved.baudrate);
+        setValue('serial-data-bits', saved.dataBits);
+        setValue('serial-parity', saved.parity);
+        setValue('serial-stop-bits', saved.stopBits);
+        document.getElementById('serial-rtscts').checked = !!saved.rtscts;
+        document.getElementById('serial-xonxoff').checked = !!saved.xonxoff;
+    }
+
     async doConnect() {
         const activeTab = document.querySelector('.conn-tab.active')?.dataset.conn || 'serial';
         let params = { type: activeTab };
+        params.autoReconnect = document.getElementById('conn-auto-reconnect')?.checked || false;
+        params.commandFormat = document.getElementById('conn-binary-commands')?.checked ? 'binary' : 'ascii';
 
         if (activeTab === 'serial') {
             params.port = document.getElementById('serial-port').value;
-            params.baudrate = parseInt(document.getElementById('serial-baud').value);
+            const baud = document.getElementById('serial-baud').value;
+            params.baudrate = baud === 'auto' ? 'auto' : parseInt(baud);
+            params.lineSettings = {
+                dataBits: parseInt(document.getElementById('serial-data-bits').value),
+                parity: document.getElementById('serial-parity').value,
+                stopBits: parseFloat(document.getElementById('serial-stop-bits').value),
+                rtscts: document.getElementById('serial-rtscts').checked,
+                xonxoff: document.getElementById('serial-xonxoff').checked
+            };
             if (!params.port) return;
         } else if (activeTab === 'tcp') {
-            params.host = document.getElementById('tcp-host').value;
+            params.tcpMode = document.getElementById('tcp-mode').value;
+            params.host = params.tcpMode === 'server'
+                ? document.getElementById('tcp-bind').value.trim()
+                : document.getElementById('tcp-host').value;
             params.tcpPort = parseInt(document.getElementById('tcp-port').value);
         } else if (activeTab === 'udp') {
             params.udpPort = parseInt(document.getElementById('udp-listen-port').value);
             params.remoteHost = document.getElementById('udp-remote-host').value;
             params.remotePort = parseInt(document.getElementById('udp-remote-port').value) || undefined;
+            params.multicastGroup = document.getElementById('udp-multicast-group').value.trim() || undefined;
+            params.multicastInterface = document.getElementById('udp-multicast-interface').value.trim() || undefined;
+        } else if (activeTab === 'replay') {
+            params.filePath = document.getElementById('replay-file').value;
+            params.speed = parseFloat(document.getElementById('replay-speed').value);
+            if (!params.filePath) return;
         }
 
+        // Auto baud tries one rate after another; keep the dialog busy meanwhile
+        const connectBtn = document.getElementById('btn-do-connect');
+        const detecting = activeTab === 'serial' && params.baudrate === 'auto';
+        if (detecting) {
+            connectBtn.disabled = true;
+            connectBtn.textContent = 'Detecting baud rate...';
+        }
         const result = await this.api.connect(params);
+        if (detecting) {
+            connectBtn.disabled = false;
+            connectBtn.textContent = 'Connect';
+        }
         if (!result.ok) {
             alert(result.msg);
         }
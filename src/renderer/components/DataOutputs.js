@@ -0,0 +1,242 @@
+// DataOutputs - re-broadcast the receiver stream to other applications
+// Outputs (TCP server, UDP target, second serial port) are opened in the backend;
+// their client lists and byte counters are polled while the page is visible.
+// The page also starts and stops the local WebSocket/HTTP API and the NMEA
+// synthesizer (GGA, RMC, ... rebuilt from binary / ASCII solutions).
+
+class DataOutputs {
+    constructor(api) {
+        this.api = api;
+        this.body = document.getElementById('outputs-table-body');
+        this.typeSelect = document.getElementById('output-type');
+        this.hostLabel = document.getElementById('output-host-label');
+        this.hostInput = document.getElementById('output-host');
+        this.portInput = document.getElementById('output-port');
+        this.serialPathInput = document.getElementById('output-serial-path');
+        this.serialBaudInput = document.getElementById('output-serial-baud');
+        this.commandsCheck = document.getElementById('output-commands');
+        this.addBtn = document.getElementById('btn-output-add');
+        this.apiPortInput = document.getElementById('api-port');
+        this.apiStatus = document.getElementById('api-status');
+        this.apiToggleBtn = document.getElementById('btn-api-toggle');
+        this._apiRunning = false;
+        this.nmeaSources = {
+            position: document.getElementById('nmea-source-position'),
+            velocity: document.getElementById('nmea-source-velocity'),
+            heading: document.getElementById('nmea-source-heading')
+        };
+        this.nmeaTalkerInput = document.getElementById('nmea-talker');
+        this.nmeaStatus = document.getElementById('nmea-status');
+        this.nmeaToggleBtn = document.getElementById('btn-nmea-toggle');
+        this._nmeaRunning = false;
+        this._nmeaConfigShown = false;
+
+        this.POLL_MS = 1000;
+        this._timer = null;
+
+        this.init();
+    }
+
+    init() {
+        this.typeSelect?.addEventListener('change', () => this._updateFields());
+        this.addBtn?.addEventListener('click', () => this.addOutput());
+        this.apiToggleBtn?.addEventListener('click', () => this.toggleApi());
+        this.nmeaToggleBtn?.addEventListener('click', () => this.toggleNmea());
+        this._updateFields();
+        this._loadNmeaSources();
+    }
+
+    // Synthesizing NMEA from NMEA makes no sense; only binary and ASCII sources are offered
+    async _loadNmeaSources() {
+        for (const [cap, select] of Object.entries(this.nmeaSources)) {
+            if (!select) continue;
+            const messages = (await this.api.getMessages(cap)) || [];
+            select.innerHTML = '';
+            if (cap !== 'position') select.add(new Option('None', ''));
+            for (const msg of messages.filter(m => m.type !== 'nmea')) {
+                select.add(new Option(`${msg.name} - ${msg.description}`, msg.name));
+            }
+        }
+    }
+
+    async toggleNmea() {
+        this.nmeaToggleBtn.disabled = true;
+        let result;
+        if (this._nmeaRunning) {
+            result = await this.api.stopNmea();
+        } else {
+            result = await this.api.startNmea({
+                talker: this.nmeaTalkerInput.value.trim() || 'GP',
+                sentences: [...document.querySelectorAll('.nmea-sentence:checked')].map(el => el.value),
+                sources: {
+                    position: this.nmeaSources.position.value || null,
+                    velocity: this.nmeaSources.velocity.value || null,
+                    heading: this.nmeaSources.heading.value || null
+                }
+            });
+        }
+        this.nmeaToggleBtn.disabled = false;
+        if (!result.ok) alert(result.msg);
+        this.refresh();
+    }
+
+    renderNmeaStatus(status) {
+        this._nmeaRunning = !!status.running;
+        this.nmeaToggleBtn.textContent = status.running ? 'Stop' : 'Start';
+        const inputs = [...Object.values(this.nmeaSources), this.nmeaTalkerInput,
+            ...document.querySelectorAll('.nmea-sentence')];
+        inputs.forEach(el => { el.disabled = status.running; });
+
+        // Show the saved / running configuration once, then leave the form to the user
+        if (status.config && !this._nmeaConfigShown && this.nmeaSources.position.options.length) {
+            this._nmeaConfigShown = true;
+            for (const [cap, select] of Object.entries(this.nmeaSources)) {
+                select.value = status.config.sources?.[cap] || '';
+            }
+            this.nmeaTalkerInput.value = status.config.talker;
+            document.querySelectorAll('.nmea-sentence').forEach(el => {
+                el.checked = status.config.sentences.includes(el.value);
+            });
+        }
+
+        if (!status.running) {
+            this.nmeaStatus.textContent = 'Stopped';
+            return;
+        }
+        const counts = Object.entries(status.counts).map(([type, n]) => `${type} ${n}`).join(', ');
+        this.nmeaStatus.textContent = (counts || 'Waiting for data')
+            + (status.deviceGga ? ' (receiver GGA to NTRIP)' : '');
+    }
+
+    async toggleApi() {
+        this.apiToggleBtn.disabled = true;
+        const result = this._apiRunning
+            ? await this.api.stopApi()
+            : await this.api.startApi(parseInt(this.apiPortInput.value) || undefined);
+        this.apiToggleBtn.disabled = false;
+        if (!result.ok) alert(result.msg);
+        this.refresh();
+    }
+
+    renderApiStatus(status) {
+        this._apiRunning = !!status.running;
+        this.apiToggleBtn.textContent = status.running ? 'Stop' : 'Start';
+        this.apiPortInput.disabled = status.running;
+        if (status.running) {
+            this.apiPortInput.value = status.port;
+            this.apiStatus.textContent = `${status.url} (${status.clients} WebSocket client${status.clients === 1 ? '' : 's'})`;
+        } else {
+            this.apiStatus.textContent = 'Stopped';
+        }
+    }
+
+    setActive(active) {
+        if (active && !this._timer) {
+            this.refresh();
+            this._timer = setInterval(() => this.refresh(), this.POLL_MS);
+        } else if (!active && this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+    }
+
+    _updateFields() {
+        const type = this.typeSelect.value;
+        const serial = type === 'serial';
+        document.querySelectorAll('.output-net-field').forEach(el => { el.style.display = serial ? 'none' : ''; });
+        document.querySelectorAll('.output-serial-field').forEach(el => { el.style.display = serial ? '' : 'none'; });
+        if (type === 'tcp-server') {
+            this.hostLabel.textContent = 'Listen Address';
+            if (!this.hostInput.value) this.hostInput.value = '127.0.0.1';
+        } else if (type === 'udp') {
+            this.hostLabel.textContent = 'Target Host';
+        }
+    }
+
+    async addOutput() {
+        const type = this.typeSelect.value;
+        const config = {
+            type,
+            types: [...document.querySelectorAll('.output-type-filter:checked')].map(el => el.value),
+            commands: this.commandsCheck.checked
+        };
+        if (type === 'serial') {
+            config.path = this.serialPathInput.value.trim();
+            config.baudRate = parseInt(this.serialBaudInput.value) || 115200;
+            if (!config.path) return;
+        } else {
+            config.host = this.hostInput.value.trim() || undefined;
+            config.port = parseInt(this.portInput.value);
+            if (!config.port) return;
+        }
+
+        this.addBtn.disabled = true;
+        const result = await this.api.addOutput(config);
+        this.addBtn.disabled = false;
+        if (!result.ok) {
+            alert(result.msg);
+            return;
+        }
+        this.refresh();
+    }
+
+    async removeOutput(id) {
+        await this.api.removeOutput(id);
+        this.refresh();
+    }
+
+    async refresh() {
+        try {
+            const [outputs, apiStatus, nmeaStatus] = await Promise.all([
+                this.api.getOutputs(), this.api.getApiStatus(), this.api.getNmeaStatus()
+            ]);
+            this.render(outputs || []);
+            if (apiStatus) this.renderApiStatus(apiStatus);
+            if (nmeaStatus) this.renderNmeaStatus(nmeaStatus);
+        } catch (e) {
+            console.error('[DataOutputs] Failed to load outputs:', e);
+        }
+    }
+
+    render(outputs) {
+        this.body.innerHTML = '';
+        if (!outputs.length) {
+            const tr = document.createElement('tr');
+            tr.className = 'stream-empty';
+            tr.innerHTML = '<td colspan="7">No outputs</td>';
+            this.body.appendChild(tr);
+            return;
+        }
+        for (const output of outputs) {
+            const tr = document.createElement('tr');
+            this._cell(tr, output.desc);
+            this._cell(tr, output.types.length ? output.types.map(t => t.toUpperCase()).join(', ') : 'Raw');
+            this._cell(tr, output.commands ? 'Yes' : '--');
+            this._cell(tr, output.type === 'tcp-server' ? (output.clients.join(', ') || 'None') : '--');
+            this._cell(tr, this._formatBytes(output.bytesSent), 'num');
+            this._cell(tr, this._formatBytes(output.bytesDropped), output.bytesDropped > 0 ? 'num warn' : 'num');
+
+            const td = document.createElement('td');
+            const btn = document.createElement('button');
+            btn.className = 'btn-danger btn-sm';
+            btn.textContent = 'Remove';
+            btn.addEventListener('click', () => this.removeOutput(output.id));
+            td.appendChild(btn);
+            tr.appendChild(td);
+            this.body.appendChild(tr);
+        }
+    }
+
+    _cell(tr, text, className = '') {
+        const td = document.createElement('td');
+        if (className) td.className = className;
+        td.textContent = text;
+        tr.appendChild(td);
+    }
+
+    _formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+}
@@ -30,6 +30,8 @@ class EthernetSettings {
     this.icomSelect = document.getElementById('eth-icom');
     this.portInput = document.getElementById('eth-tcp-port');
     this.statusLabel = document.getElementById('eth-status');
+    this.cmdResults = new CommandResults('eth-cmd-results');
+    this.cmdResults.follow(this.api, 'ethernet');
 
     // DOM refs — Left (device status)
     this.ovMode = document.getElementById('eth-ov-mode');
@@ -197,9 +199,7 @@ class EthernetSettings {
     this._setStatus('Pulling device status...');
 
     try {
-      await new Promise(r => setTimeout(r, 100));
       await this.api.sendCommand('LOG IPCONFIG ONCE');
-      await new Promise(r => setTimeout(r, 500));
       await this.api.sendCommand('LOG ICOMCONFIG ONCE');
       // Wait for responses with early exit
       let waited = 0;
@@ -356,11 +356,12 @@ class EthernetSettings {
     const cmds = this._buildCommands();
     this._setStatus('Applying configuration...');
     try {
-      for (const cmd of cmds) {
-        await this.api.sendCommand(cmd);
-        await new Promise(r => setTimeout(r, 200));
+      const batch = await this.api.runCommands(cmds, { label: 'ethernet', stopOnError: true });
+      if (!batch.ok) {
+        this._setStatus(`Apply incomplete: ${this.cmdResults.summary()}`, 'danger');
+        return;
       }
-      this._setStatus(`${cmds.length} commands applied — pulling new state...`, 'success');
+      this._setStatus(`${this.cmdResults.summary()} — pulling new state...`, 'success');
       // Auto-pull to show updated device status
       await new Promise(r => setTimeout(r, 500));
       await this._pullCurrentStatus();
@@ -372,7 +373,12 @@ class EthernetSettings {
   async _saveConfig() {
     this._setStatus('Saving configuration...');
     try {
-      await this.api.sendCommand('SAVECONFIG');
+      const result = await this.api.sendCommandAndWait('SAVECONFIG');
+      this.cmdResults.add(result);
+      if (!result.ok) {
+        this._setStatus(`Save failed: ${result.error}`, 'danger');
+        return;
+      }
       this._setStatus('Configuration saved to device', 'success');
     } catch (e) {
       this._setStatus(`Save failed: ${e.message}`, 'danger');
@@ -28,6 +28,8 @@ class HeadingSettings {
     this.preview = document.getElementById('hdg-preview');
     this.btnApply = document.getElementById('hdg-btn-apply');
     this.statusLabel = document.getElementById('hdg-status');
+    this.cmdResults = new CommandResults('hdg-cmd-results');
+    this.cmdResults.follow(this.api, 'heading');
 
     this._bindEvents();
   }
@@ -415,11 +417,9 @@ class HeadingSettings {
 
     this._setStatus('Sending commands...', '');
     try {
-      for (const cmd of cmds) {
-        await this.api.sendCommand(cmd);
-        await new Promise(r => setTimeout(r, 200));
-      }
-      this._setStatus('Commands sent successfully', 'success');
+      const batch = await this.api.runCommands(cmds, { label: 'heading', stopOnError: true });
+      this._setStatus(batch.ok ? 'Commands sent successfully' : `Send incomplete: ${this.cmdResults.summary('sent')}`,
+        batch.ok ? 'success' : 'danger');
     } catch (e) {
       this._setStatus(`Error: ${e.message}`, 'danger');
     }
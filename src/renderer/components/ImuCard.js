@@ -56,13 +56,13 @@ class ImuCard {
     this._rawFields = {};
 
     // High-rate IMU messages that should use ONNEW
-    this.HIGH_RATE_IMU = new Set(['CORRIMUDATAB', 'CORRIMUDATASB', 'RAWIMUB', 'CORRIMUDATAA', 'RAWIMUA']);
+    this.HIGH_RATE_IMU = new Set(['CORRIMUDATAB', 'CORRIMUDATASB', 'RAWIMUB', 'RAWIMUSB', 'CORRIMUDATAA', 'RAWIMUA']);
 
     // Pure IMU messages (show 3D cube)
-    this.PURE_IMU_MESSAGES = new Set(['CORRIMUDATAB', 'CORRIMUDATASB', 'RAWIMUB', 'CORRIMUDATAA', 'RAWIMUA']);
+    this.PURE_IMU_MESSAGES = new Set(['CORRIMUDATAB', 'CORRIMUDATASB', 'RAWIMUB', 'RAWIMUSB', 'CORRIMUDATAA', 'RAWIMUA']);
 
     // INS messages (show PFD)
-    this.INS_MESSAGES = new Set(['INSATTB', 'INSATTA', 'INSPVAB', 'INSPVAA']);
+    this.INS_MESSAGES = new Set(['INSATTB', 'INSATTA', 'INSPVAB', 'INSPVASB', 'INSPVAA']);
 
     // Visualization mode: 'imu' or 'ins'
     this._visualMode = 'ins';
@@ -43,6 +43,8 @@ class InsSettings {
     this.ckAnt2 = document.getElementById('ins-ck-ant2');
     this.preview = document.getElementById('ins-preview');
     this.statusLabel = document.getElementById('ins-status');
+    this.cmdResults = new CommandResults('ins-cmd-results');
+    this.cmdResults.follow(this.api, 'ins');
 
     // ANT spinboxes
     this._ant1Inputs = [
@@ -471,11 +473,9 @@ class InsSettings {
     const cmds = this._buildCommands();
     this._setStatus('Sending INS commands...');
     try {
-      for (const cmd of cmds) {
-        await this.api.sendCommand(cmd);
-        await new Promise(r => setTimeout(r, 200));
-      }
-      this._setStatus(`${cmds.length} commands sent`, 'success');
+      const batch = await this.api.runCommands(cmds, { label: 'ins', stopOnError: true });
+      this._setStatus(batch.ok ? this.cmdResults.summary('sent')
+        : `Send incomplete: ${this.cmdResults.summary('sent')}`, batch.ok ? 'success' : 'danger');
     } catch (e) {
       this._setStatus(`Send failed: ${e.message}`, 'danger');
     }
@@ -281,7 +281,6 @@ class MessagesSettings {
       const serialPorts = (comResult.ports || []).filter(p => p.type !== 'ethernet');
 
       // 2. Fetch ICOM ports (ICOMCONFIG)
-      await new Promise(r => setTimeout(r, 300));
       this._setStatus('Requesting ICOMCONFIG...');
       const icomResult = await this.api.requestIcomconfig();
       const icomPorts = icomResult.ports || [];
@@ -298,7 +297,6 @@ class MessagesSettings {
       }
 
       // 4. Fetch LOGLISTA
-      await new Promise(r => setTimeout(r, 300));
       const logResult = await this.api.requestLoglista();
       if (logResult.entries) {
         this.activeEntries = logResult.entries;
@@ -483,29 +481,35 @@ class MessagesSettings {
     }
 
     this._setStatus(`Sending ${commands.length} command(s)...`);
-    let sent = 0;
-    for (const { cmd } of commands) {
-      const result = await this.api.sendCommand(cmd);
-      if (result?.ok) sent++;
-    }
+    const batch = await this.api.runCommands(commands.map(c => c.cmd), { label: 'messages', stopOnError: false });
+    const applied = batch.results.filter(r => r.ok).length;
+    const failed = batch.results.find(r => !r.ok);
 
-    this._setStatus(`Applied: ${sent}/${commands.length} command(s) sent`);
+    this._setStatus(failed
+      ? `Applied ${applied}/${commands.length} \u2014 ${failed.cmd}: ${failed.error}`
+      : `Applied: ${applied}/${commands.length} command(s) accepted`, failed ? 'danger' : '');
 
     // Refresh LOGLISTA after delay
     setTimeout(() => this.refreshPortsAndState(), 500);
   }
 
   async stopAll() {
+    let cmds;
     if (this.selectedPorts.size === 0) {
       // Send general UNLOGALL
       this._setStatus('Sending UNLOGALL...');
-      await this.api.sendCommand('UNLOGALL');
+      cmds = ['UNLOGALL'];
     } else {
       const ports = [...this.selectedPorts];
       this._setStatus(`Stopping all on ${ports.join(', ')}...`);
-      for (const port of ports) {
-        await this.api.sendCommand(`UNLOGALL ${port}`);
-      }
+      cmds = ports.map(port => `UNLOGALL ${port}`);
+    }
+    const batch = await this.api.runCommands(cmds, { label: 'messages', stopOnError: false });
+    const failed = batch.results.find(r => !r.ok);
+    if (failed) {
+      this._setStatus(`Stop failed \u2014 ${failed.cmd}: ${failed.error}`, 'danger');
+      setTimeout(() => this.refreshPortsAndState(), 500);
+      return;
     }
 
     // Clear all checkboxes
@@ -520,8 +524,9 @@ class MessagesSettings {
 
   async saveConfig() {
     this._setStatus('Saving configuration...');
-    const result = await this.api.sendCommand('SAVECONFIG');
-    this._setStatus(result?.ok ? 'Configuration saved' : 'Save failed');
+    const result = await this.api.sendCommandAndWait('SAVECONFIG');
+    this._setStatus(result?.ok ? 'Configuration saved' : `Save failed: ${result?.error || 'unknown error'}`,
+      result?.ok ? '' : 'danger');
   }
 
   async _onCheckboxChanged(msg, checked) {
@@ -662,11 +667,10 @@ class MessagesSettings {
       const line = typeof data === 'string' ? data : data?.text || '';
       this._tryParseInfoLine(line);
     });
-    // Listen for parsed binary frames
-    if (this.api.onBinaryParsed) {
-      this._binaryUnsub = this.api.onBinaryParsed((data) => {
+    // Listen for parsed binary frames (decoded in the backend only while subscribed)
+    if (this.api.onBinaryParsed && this._infoOpenMsg?.variant === 'binary' && this._infoSchema?.id != null) {
+      this._binaryUnsub = this.api.onBinaryParsed([this._infoSchema.id], (data) => {
         if (!this._infoOpenMsg || !this._infoSchema) return;
-        if (this._infoOpenMsg.variant !== 'binary') return;
         this._onBinaryParsed(data);
       });
     }
@@ -744,6 +748,7 @@ class MessagesSettings {
 
     // data.fields is already flat: { fieldName: value, ... }
     const fields = data.fields || {};
+    const labels = data.labels || {};
     const schema = this._infoSchema;
 
     for (const field of (schema.fields || [])) {
@@ -775,6 +780,8 @@ class MessagesSettings {
       } else {
         display = String(value);
       }
+      // Enum / bitfield fields: raw value plus its decoded meaning
+      if (labels[fieldName] != null) display = `${display} (${labels[fieldName]})`;
 
       td.textContent = display;
       td.classList.add('has-value');
@@ -796,6 +803,8 @@ class MessagesSettings {
     if (!fields || !tokens) return;
 
     for (const field of fields) {
+      // Tokens after a repeated block shift with its record count
+      if (field.type === 'repeat') break;
       const idx = field.index || 0;
       // For ASCII, field index is 1-based from data section
       // For NMEA, field index is 1-based from full sentence
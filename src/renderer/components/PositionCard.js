@@ -260,20 +260,31 @@ class PositionCard {
         // Extra fields (Dynamic Grid)
         const extraDiv = document.getElementById('pos-extra-fields');
         extraDiv.innerHTML = '';
+        const items = [];
         for (const ef of (data.extra_fields || [])) {
             if (ef.value == null) continue;
+            items.push([ef.label, this.formatFieldValue(ef)]);
+        }
+
+        // Receiver time tag from the log header (binary and #ASCII logs)
+        if (data.header) {
+            const { week, ms, timeStatusName } = data.header;
+            items.push(['GPS Time', `${week} / ${(ms / 1000).toFixed(3)} s`]);
+            items.push(['Time Status', timeStatusName || '--']);
+        }
 
+        for (const [labelText, valueText] of items) {
             // New Grid Item Structure
             const gridItem = document.createElement('div');
             gridItem.className = 'pos-grid-item';
 
             const label = document.createElement('span');
             label.className = 'pos-label';
-            label.textContent = ef.label;
+            label.textContent = labelText;
 
             const value = document.createElement('span');
             value.className = 'pos-value-secondary';
-            value.textContent = this.formatFieldValue(ef);
+            value.textContent = valueText;
 
             gridItem.appendChild(label);
             gridItem.appendChild(value);
@@ -0,0 +1,93 @@
+// ReplayBar - play/pause, seek and speed controls for capture replay connections
+
+class ReplayBar {
+    constructor(api) {
+        this.api = api;
+        this.bar = document.getElementById('replay-bar');
+        this.playBtn = document.getElementById('replay-play');
+        this.seekInput = document.getElementById('replay-seek');
+        this.timeLabel = document.getElementById('replay-time');
+        this.speedSelect = document.getElementById('replay-bar-speed');
+        this._status = null;
+        this._dragging = false;
+
+        this.init();
+    }
+
+    init() {
+        this.playBtn?.addEventListener('click', () => {
+            if (!this._status) return;
+            this.api.replayControl(this._status.playing ? 'pause' : 'play');
+        });
+
+        // Only seek on release so dragging does not flood the backend
+        this.seekInput?.addEventListener('input', () => {
+            this._dragging = true;
+            this._renderTime(parseFloat(this.seekInput.value), this._status?.duration || 0);
+        });
+        this.seekInput?.addEventListener('change', () => {
+            this._dragging = false;
+            this.api.replayControl('seek', parseFloat(this.seekInput.value));
+        });
+
+        this.speedSelect?.addEventListener('change', () => {
+            this.api.replayControl('speed', parseFloat(this.speedSelect.value));
+        });
+
+        this.api.onReplayStatus((status) => this.update(status));
+        this.api.onConnection((connected) => {
+            if (!connected) {
+                this.hide();
+                return;
+            }
+            this.api.getReplayStatus().then((status) => {
+                if (status) this.update(status);
+            });
+        });
+    }
+
+    update(status) {
+        this._status = status;
+        if (!status) {
+            this.hide();
+            return;
+        }
+        this.bar.style.display = 'flex';
+
+        const label = this.playBtn?.querySelector('.btn-label');
+        if (label) label.textContent = status.playing ? 'Pause' : 'Play';
+        this.playBtn?.classList.toggle('active', status.playing);
+
+        if (this.seekInput && !this._dragging) {
+            this.seekInput.max = String(status.duration || 0);
+            this.seekInput.value = String(status.position || 0);
+        }
+        if (this.speedSelect && document.activeElement !== this.speedSelect) {
+            this.speedSelect.value = String(status.speed);
+        }
+        if (!this._dragging) this._renderTime(status.position, status.duration);
+    }
+
+    hide() {
+        this._status = null;
+        if (this.bar) this.bar.style.display = 'none';
+    }
+
+    _renderTime(position, duration) {
+        if (this.timeLabel) {
+            this.timeLabel.textContent = `${this._fmt(position)} / ${this._fmt(duration)}`;
+        }
+    }
+
+    _fmt(seconds) {
+        const total = Math.max(0, Math.floor(seconds || 0));
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = total % 60;
+        return h > 0
+            ? `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`
+            : `${m}:${String(s).padStart(2, '0')}`;
+    }
+}
+
+// End ReplayBar class
@@ -0,0 +1,34 @@
+// SchemaErrorBanner - reports schema files that failed to parse
+// A broken schema file loads empty in the backend, so without this banner the
+// affected messages would just silently stop decoding.
+
+class SchemaErrorBanner {
+    constructor(api) {
+        this.api = api;
+        this.banner = document.getElementById('schema-error-banner');
+        this.list = document.getElementById('schema-error-list');
+        this.closeBtn = document.getElementById('btn-schema-error-close');
+
+        this.init();
+    }
+
+    async init() {
+        this.closeBtn?.addEventListener('click', () => { this.banner.style.display = 'none'; });
+        try {
+            const errors = await this.api.getSchemaErrors();
+            if (errors?.length) this.show(errors);
+        } catch (e) {
+            console.error('[SchemaErrorBanner] Failed to load schema errors:', e);
+        }
+    }
+
+    show(errors) {
+        this.list.innerHTML = '';
+        for (const err of errors) {
+            const li = document.createElement('li');
+            li.textContent = err.message;
+            this.list.appendChild(li);
+        }
+        this.banner.style.display = '';
+    }
+}
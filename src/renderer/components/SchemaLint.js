@@ -0,0 +1,50 @@
+// SchemaLint - Settings > Schemas: cross-file consistency check of the message catalogs
+// Lists what the backend linter finds in log_messages, nmea0183, display_config
+// and reference_tables, so a field that shows '--' can be traced to its schema.
+
+class SchemaLint {
+    constructor(api) {
+        this.api = api;
+        this.body = document.getElementById('schema-lint-body');
+        this.summary = document.getElementById('schema-lint-summary');
+    }
+
+    // Schemas are loaded once per run of the app, so one check is enough
+    async onPageActivated() {
+        if (this._checked) return;
+        this._checked = true;
+        try {
+            this.render(await this.api.lintSchemas());
+        } catch (e) {
+            this._checked = false;
+            this.summary.textContent = `Check failed: ${e.message}`;
+            console.error('[SchemaLint] Failed to lint schemas:', e);
+        }
+    }
+
+    render(issues) {
+        const errors = issues.filter(i => i.level === 'error').length;
+        const warnings = issues.length - errors;
+        this.summary.textContent = issues.length
+            ? `${errors} error(s), ${warnings} warning(s)`
+            : 'No problems found';
+        this.summary.classList.toggle('bad', errors > 0);
+
+        this.body.innerHTML = '';
+        for (const issue of issues) {
+            const tr = document.createElement('tr');
+            this._cell(tr, issue.level, issue.level === 'error' ? 'bad' : 'warn');
+            this._cell(tr, issue.file);
+            this._cell(tr, issue.path || '--');
+            this._cell(tr, issue.message, 'schema-lint-message');
+            this.body.appendChild(tr);
+        }
+    }
+
+    _cell(tr, text, className) {
+        const td = document.createElement('td');
+        td.textContent = text;
+        if (className) td.className = className;
+        tr.appendChild(td);
+    }
+}
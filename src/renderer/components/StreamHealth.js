@@ -0,0 +1,116 @@
+// StreamHealth - per-message rates, CRC failures and gaps of the incoming stream
+// Statistics are polled from the backend once per second while the page is visible.
+
+class StreamHealth {
+    constructor(api) {
+        this.api = api;
+        this.body = document.getElementById('stream-table-body');
+        this.totalMessages = document.getElementById('stream-total-messages');
+        this.totalBytes = document.getElementById('stream-total-bytes');
+        this.totalCrc = document.getElementById('stream-total-crc');
+        this.elapsed = document.getElementById('stream-elapsed');
+        this.resetBtn = document.getElementById('btn-stream-reset');
+
+        this.POLL_MS = 1000;
+        this.RATE_TOLERANCE = 0.1;   // measured rate within 10 % of the configured rate is fine
+        this._timer = null;
+
+        this.init();
+    }
+
+    init() {
+        this.resetBtn?.addEventListener('click', async () => {
+            await this.api.resetStreamStats();
+            this.refresh();
+        });
+    }
+
+    setActive(active) {
+        if (active && !this._timer) {
+            this.refresh();
+            this._timer = setInterval(() => this.refresh(), this.POLL_MS);
+        } else if (!active && this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+    }
+
+    async refresh() {
+        try {
+            const stats = await this.api.getStreamStats();
+            if (stats) this.render(stats);
+        } catch (e) {
+            console.error('[StreamHealth] Failed to load statistics:', e);
+        }
+    }
+
+    render(stats) {
+        this.totalMessages.textContent = stats.totals.messages.toLocaleString();
+        this.totalBytes.textContent = this._formatBytes(stats.totals.bytes);
+        this.totalCrc.textContent = stats.totals.crcErrors.toLocaleString();
+        this.totalCrc.classList.toggle('bad', stats.totals.crcErrors > 0);
+        this.elapsed.textContent = this._formatDuration(stats.elapsedMs);
+
+        this.body.innerHTML = '';
+        if (!stats.messages.length) {
+            const tr = document.createElement('tr');
+            tr.className = 'stream-empty';
+            tr.innerHTML = '<td colspan="10">No messages received yet</td>';
+            this.body.appendChild(tr);
+            return;
+        }
+        for (const msg of stats.messages) this.body.appendChild(this._renderRow(msg));
+    }
+
+    _renderRow(msg) {
+        const tr = document.createElement('tr');
+        tr.classList.toggle('stale', msg.stale);
+
+        const rateOff = msg.expectedHz != null && !msg.stale
+            && Math.abs(msg.rateHz - msg.expectedHz) > msg.expectedHz * this.RATE_TOLERANCE;
+        const gaps = msg.timeGaps + msg.sequenceGaps;
+
+        this._cell(tr, msg.name);
+        this._cell(tr, msg.protocol.toUpperCase());
+        this._cell(tr, msg.count.toLocaleString(), 'num');
+        this._cell(tr, msg.stale ? '--' : this._formatRate(msg.rateHz), rateOff ? 'num warn' : 'num');
+        this._cell(tr, msg.expectedHz != null ? this._formatRate(msg.expectedHz) : '--', 'num');
+        this._cell(tr, msg.crcErrors.toLocaleString(), msg.crcErrors > 0 ? 'num bad' : 'num');
+        this._cell(tr, gaps.toLocaleString(), gaps > 0 ? 'num warn' : 'num');
+        this._cell(tr, msg.missed.toLocaleString(), msg.missed > 0 ? 'num warn' : 'num');
+        this._cell(tr, this._formatBytes(msg.bytes), 'num');
+        this._cell(tr, this._formatAge(msg.ageMs), 'num');
+        return tr;
+    }
+
+    _cell(tr, text, className = '') {
+        const td = document.createElement('td');
+        if (className) td.className = className;
+        td.textContent = text;
+        tr.appendChild(td);
+    }
+
+    _formatRate(hz) {
+        return hz >= 10 ? hz.toFixed(1) : hz.toFixed(2);
+    }
+
+    _formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    _formatAge(ms) {
+        if (ms < 1000) return 'now';
+        if (ms < 60000) return `${Math.round(ms / 1000)} s ago`;
+        return `${Math.round(ms / 60000)} min ago`;
+    }
+
+    _formatDuration(ms) {
+        const total = Math.floor(ms / 1000);
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = total % 60;
+        return h > 0 ? `${h}h ${m}m ${s}s` : `${m}m ${s}s`;
+    }
+}
@@ -17,12 +17,15 @@ class Terminal {
         this.btnScroll = document.getElementById('btn-term-scroll');
         this.btnClear = document.getElementById('btn-term-clear');
         this.btnSave = document.getElementById('btn-term-save');
+        this.btnRecord = document.getElementById('btn-term-record');
+        this._recording = false;
 
         // SVG Icons
         this.SVG_CLOCK = `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline></svg>`;
         this.SVG_SCROLL = `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="2" y="2" width="20" height="20" rx="5" ry="5"></rect><path d="M12 7v10"></path><path d="M8 13l4 4 4-4"></path></svg>`;
         this.SVG_TRASH = `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path></svg>`;
         this.SVG_SAVE = `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"></path><polyline points="17 21 17 13 7 13 7 21"></polyline><polyline points="7 3 7 8 15 8"></polyline></svg>`;
+        this.SVG_RECORD = `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><circle cx="12" cy="12" r="4" fill="currentColor"></circle></svg>`;
 
         this.init();
     }
@@ -33,6 +36,7 @@ class Terminal {
         this.injectIcon(this.btnScroll, this.SVG_SCROLL);
         this.injectIcon(this.btnClear, this.SVG_TRASH);
         this.injectIcon(this.btnSave, this.SVG_SAVE);
+        this.injectIcon(this.btnRecord, this.SVG_RECORD);
 
         // Listen for lines from backend
         this.api.onTerminalLine(({ text, color }) => this.appendLine(text, color));
@@ -49,6 +53,10 @@ class Terminal {
         this.btnScroll.onclick = () => this.toggleAutoScroll();
         this.btnClear.onclick = () => this.clear();
         this.btnSave.onclick = () => this.saveLog();
+        if (this.btnRecord) this.btnRecord.onclick = () => this.toggleRecording();
+
+        // Recording status from backend (start/stop, auto-stop on disconnect)
+        this.api.onRecordingStatus((status) => this._updateRecordingUI(status));
     }
 
     injectIcon(btn, svgString) {
@@ -83,6 +91,26 @@ class Terminal {
         URL.revokeObjectURL(url);
     }
 
+    async toggleRecording() {
+        const result = this._recording
+            ? await this.api.stopRecording()
+            : await this.api.startRecording();
+        if (!result.ok && result.msg !== 'Cancelled') {
+            alert(result.msg);
+        }
+    }
+
+    _updateRecordingUI(status) {
+        this._recording = !!status?.recording;
+        if (!this.btnRecord) return;
+        this.btnRecord.classList.toggle('recording', this._recording);
+        const label = this.btnRecord.querySelector('.btn-label');
+        if (label) label.textContent = this._recording ? 'Stop Rec' : 'Record';
+        this.btnRecord.title = this._recording
+            ? `Recording to ${status.path}`
+            : 'Record raw stream to capture file';
+    }
+
     /**
      * Buffer a line and schedule a batched flush via rAF.
      * This prevents per-line DOM reflows when data arrives at high rates.